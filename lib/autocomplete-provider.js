@@ -0,0 +1,43 @@
+'use babel';
+
+import { getCompletions } from './core/completion'
+import { findDecompositionMetamodel } from './core/metamodel'
+
+/* autocomplete-plus provider for .fudomo files. The metamodel is looked up once per
+   file and cached until a .config or metamodel file changes (see clearMetamodelCache).
+*/
+export default class FudomoAutocompleteProvider {
+  constructor() {
+    this.selector = '.source.fudomo';
+    this.disableForSelector = '.source.fudomo .comment';
+    this.filterSuggestions = true;
+    this.metamodels = new Map(); // key is path of .fudomo file, value is promise of the metamodel (or null)
+  }
+
+  getMetamodel(filePath) {
+    let metamodel = this.metamodels.get(filePath);
+    if (metamodel === undefined) {
+      const projectPath = atom.project.relativizePath(filePath)[0];
+      metamodel = findDecompositionMetamodel(filePath, projectPath).catch(error => null);
+      this.metamodels.set(filePath, metamodel);
+    }
+    return metamodel;
+  }
+
+  clearMetamodelCache() {
+    this.metamodels.clear();
+  }
+
+  async getSuggestions({ editor, bufferPosition }) {
+    const filePath = editor.getPath();
+    const metamodel = filePath ? await this.getMetamodel(filePath) : null;
+    const completions = getCompletions(editor.getText(), [bufferPosition.row, bufferPosition.column], metamodel);
+    return completions.suggestions.map(suggestion => ({
+      text: suggestion.text,
+      type: suggestion.kind,
+      rightLabel: suggestion.detail,
+      description: suggestion.description,
+      replacementPrefix: completions.prefix
+    }));
+  }
+}
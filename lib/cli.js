@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const { ArgumentParser } = require('argparse');
+const { FudomoComputeException, SKELETON_GENERATORS } = require('fudomo-transform');
+const { loadConfig, readTextFile } = require('./core/config.js');
+const { PhaseError, DecompositionSyntaxError, runTransformation, startPostprocess } = require('./core/pipeline.js');
+const { validateTransformation, validateData, validateFunctions } = require('./core/validation.js');
+const { validateConfigText } = require('./core/config-schema.js');
+const { inferMetamodelText } = require('./core/metamodel.js');
+const { validateMetamodel } = require('./core/metamodel-schema.js');
+const { updateMetamodelText } = require('./core/metamodel-merge.js');
+const { getSkeletonLanguage, generateSkeletonSource, planSkeletonSync, applySkeletonSync } = require('./core/skeletons.js');
+const { loadTestSuite, runTestSuite, acceptTestResult } = require('./core/golden-tests.js');
+const { formatDiff } = require('./core/diff.js');
+const { formatFudomoText } = require('./core/formatter.js');
+const { version } = require('../package.json');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_DIAGNOSTICS = 1; // validation found errors, or an input file has syntax errors
+const EXIT_USAGE = 2; // also used by argparse for invalid arguments
+const EXIT_FAILURE = 3; // the command could not be completed
+
+// Messages of the decomposition functions go to stderr, so they don't mix with (JSON) results on stdout.
+const stderrConsole = {
+  log: (...args) => console.error(...args),
+  error: (...args) => console.error(...args)
+};
+// The console methods writing to stdout. JavaScript decomposition functions log to the global console.
+const STDOUT_CONSOLE_METHODS = ['log', 'info', 'debug'];
+
+class CommandResult {
+  constructor(exitCode, diagnostics = [], extra = {}) {
+    this.exitCode = exitCode;
+    this.diagnostics = diagnostics;
+    this.extra = extra;
+  }
+}
+
+function diagnostic(file, position, message, description = '', severity = 'error') {
+  return { severity: severity, file: file, position: position || [[0, 0], [0, 0]], message: message, description: description || '' };
+}
+
+// Converts a linter message (see core/validation.js) to a diagnostic.
+function messageToDiagnostic(message) {
+  return diagnostic(message.location.file, message.location.position, message.excerpt, message.description, message.severity);
+}
+
+// Diagnostics of errors that happened outside of a phase (e.g. a missing config file) are reported for defaultFile.
+function errorToDiagnostics(error, baseDir, defaultFile = null) {
+  let phase = null;
+  if (error instanceof PhaseError) {
+    phase = error.phase;
+    error = error.cause;
+  }
+  const file = phase !== null ? phase.openablePath : defaultFile;
+  const prefix = phase !== null ? `Error while ${phase.activity}: ` : '';
+
+  if (error instanceof DecompositionSyntaxError) {
+    return error.errors.map(e => diagnostic(error.decompositionPath, e.position, e.excerpt));
+  }
+  if (error instanceof FudomoComputeException) {
+    return [diagnostic(file, null, prefix + error.message, error.toString(baseDir))];
+  }
+  if (error.markers !== undefined) { // OYAML parsing errors
+    return error.markers.map(marker => diagnostic(file, marker.location, marker.message));
+  }
+  return [diagnostic(file, null, prefix + error.message)];
+}
+
+function hasErrors(diagnostics) {
+  return diagnostics.some(d => d.severity === 'error');
+}
+
+// Writes the text to outputPath if given, otherwise the text is reported as the content of the result.
+function writeOrReturn(text, outputPath) {
+  if (outputPath) {
+    fs.writeFileSync(outputPath, text);
+    return { output: path.resolve(outputPath) };
+  }
+  return { content: text };
+}
+
+async function commandRun(args) {
+  const config = await loadConfig(args.config);
+  const { outputPaths, deletedPaths } = await runTransformation(config, { consoleHandler: stderrConsole, timeout: args.timeout });
+  // A single output file is reported as "output", like the results of the other commands
+  const outputs = outputPaths.length === 1 ? { output: outputPaths[0] } : { outputs: outputPaths, deleted: deletedPaths };
+  if (args.skip_postprocess || !config.has('postprocess')) {
+    return new CommandResult(EXIT_OK, [], outputs);
+  }
+  return new Promise(resolve => {
+    startPostprocess(config, (error, stdout, stderr) => {
+      if (stdout) process.stderr.write(stdout);
+      if (stderr) process.stderr.write(stderr);
+      if (error == null) {
+        resolve(new CommandResult(EXIT_OK, [], outputs));
+      } else {
+        resolve(new CommandResult(EXIT_FAILURE, [diagnostic(config.path, null, `Error post-processing result of Fudomo transformation "${config.get('decomposition')}".`, stderr || stdout)], outputs));
+      }
+    });
+  });
+}
+
+function validationCommand(validate) {
+  return async function(args) {
+    const config = await loadConfig(args.config);
+    const { messages } = await validate(config, stderrConsole);
+    const diagnostics = messages.map(messageToDiagnostic);
+    return new CommandResult(hasErrors(diagnostics) ? EXIT_DIAGNOSTICS : EXIT_OK, diagnostics);
+  };
+}
+
+async function commandValidateConfig(args) {
+  let text = null;
+  try {
+    text = fs.readFileSync(args.config, 'utf-8');
+  } catch (error) {
+    return new CommandResult(EXIT_FAILURE, [diagnostic(path.resolve(args.config), null, 'Config file not found.')]);
+  }
+  const diagnostics = (await validateConfigText(path.resolve(args.config), text)).map(messageToDiagnostic);
+  return new CommandResult(hasErrors(diagnostics) ? EXIT_DIAGNOSTICS : EXIT_OK, diagnostics);
+}
+
+async function commandInferMetamodel(args) {
+  if (args.update) {
+    return updateMetamodel(args);
+  }
+  const text = inferMetamodelText(args.data);
+  return new CommandResult(EXIT_OK, [], writeOrReturn(text, args.output));
+}
+
+// Merges the inferred metamodel into the existing metamodel file (see core/metamodel-merge.js).
+function updateMetamodel(args) {
+  if (!args.output) {
+    return new CommandResult(EXIT_USAGE, [diagnostic(null, null, '--update requires the metamodel file to update (-o).')]);
+  }
+  const metamodelPath = path.resolve(args.output);
+  let existingText = null;
+  try {
+    existingText = fs.readFileSync(metamodelPath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return new CommandResult(EXIT_OK, [], Object.assign(writeOrReturn(inferMetamodelText(args.data), metamodelPath), { additions: [] }));
+  }
+  const merge = updateMetamodelText(existingText, args.data);
+  const diagnostics = merge.conflicts.map(conflict => {
+    let description = 'The metamodel has to be changed by hand.';
+    if (conflict.resolvable) {
+      description = args.resolve_conflicts ? 'The declared types were extended.' : 'Use --resolve-conflicts to extend the declared types.';
+    }
+    return diagnostic(metamodelPath, conflict.position, conflict.message, description, 'warning');
+  });
+  const text = args.resolve_conflicts ? merge.text : merge.additionsText;
+  if (text !== existingText) {
+    fs.writeFileSync(metamodelPath, text);
+  }
+  const additions = merge.additions.map(addition => addition.feature !== null ? `${addition.type}.${addition.feature}` : addition.type);
+  return new CommandResult(EXIT_OK, diagnostics, { output: text !== existingText ? metamodelPath : null, additions: additions });
+}
+
+async function commandGenerateSkeleton(args) {
+  const language = getSkeletonLanguage(args.lang);
+  const text = await generateSkeletonSource(args.decomposition, language.id);
+  return new CommandResult(EXIT_OK, [], writeOrReturn(text, args.output));
+}
+
+async function commandSyncSkeletons(args) {
+  const config = await loadConfig(args.config);
+  const plan = await planSkeletonSync(config, stderrConsole);
+  const write = plan.missing.length > 0 && !args.dry_run;
+  if (write) {
+    fs.writeFileSync(plan.functionsPath, applySkeletonSync(plan));
+  }
+  const added = plan.missing.map(decomposition => decomposition.function.qualifiedName);
+  const diagnostics = plan.messages.map(messageToDiagnostic);
+  return new CommandResult(EXIT_OK, diagnostics, { output: write ? plan.functionsPath : null, added: added });
+}
+
+// Formats the .fudomo file in place, or with --check only reports whether it would change.
+async function commandFormat(args) {
+  const decompositionPath = path.resolve(args.decomposition);
+  const text = await readTextFile(decompositionPath, 'Decomposition file not found.');
+  const formattedText = formatFudomoText(text, { path: decompositionPath, sortByType: args.sort_by_type });
+  const changed = formattedText !== text;
+  if (args.check) {
+    const diagnostics = changed ? [diagnostic(decompositionPath, null, 'The file is not formatted.', 'Run "fudomo format" to format it.')] : [];
+    return new CommandResult(changed ? EXIT_DIAGNOSTICS : EXIT_OK, diagnostics, { changed: changed });
+  }
+  if (changed) {
+    fs.writeFileSync(decompositionPath, formattedText);
+  }
+  return new CommandResult(EXIT_OK, [], { output: changed ? decompositionPath : null, changed: changed });
+}
+
+const COMMANDS = {
+  'run': commandRun,
+  'validate-config': commandValidateConfig,
+  'validate-transformation': validationCommand(validateTransformation),
+  'validate-data': validationCommand(validateData),
+  'validate-metamodel': validationCommand(validateMetamodel),
+  'validate-functions': validationCommand(validateFunctions),
+  'infer-metamodel': commandInferMetamodel,
+  'generate-skeleton': commandGenerateSkeleton,
+  'sync-skeletons': commandSyncSkeletons,
+  'format': commandFormat,
+  'test': commandTest
+};
+
+// Describes the differences of a failed test as text.
+function formatTestDiffs(testResult, baseDir) {
+  return testResult.diffs.map(diff => {
+    const header = `--- ${path.relative(baseDir, diff.path)}`;
+    return header + '\n' + (diff.onlyWhitespace ? 'The result differs only in the final newline.' : formatDiff(diff.hunks));
+  }).join('\n');
+}
+
+async function commandTest(args) {
+  const suite = await loadTestSuite(args.file);
+  const baseDir = path.dirname(suite.path);
+  const results = await runTestSuite(suite, { consoleHandler: stderrConsole });
+  const diagnostics = [];
+  const tests = [];
+  for (const result of results) {
+    const testCase = result.testCase;
+    const expected = path.relative(baseDir, testCase.expectedPath);
+    const accept = args.accept && (result.status === 'failed' || result.status === 'new');
+    if (accept) {
+      await acceptTestResult(result);
+    }
+    if (result.status === 'error') {
+      for (const d of errorToDiagnostics(result.error, suite.config.baseDir)) {
+        diagnostics.push(Object.assign(d, { message: `Test "${testCase.name}": ${d.message}` }));
+      }
+    } else if (result.status === 'failed') {
+      const message = accept ? `Accepted the new output of test "${testCase.name}" as "${expected}".` : `Test "${testCase.name}" failed: the result differs from "${expected}".`;
+      diagnostics.push(diagnostic(suite.path, testCase.position, message, formatTestDiffs(result, baseDir), accept ? 'info' : 'error'));
+    } else if (result.status === 'new') {
+      // Without --accept, a missing expected output fails the tests, as it was deleted or never accepted
+      const message = accept ? `Accepted the output of test "${testCase.name}" as "${expected}".` : `Test "${testCase.name}" has no expected output "${expected}" yet, accept it with --accept.`;
+      diagnostics.push(diagnostic(suite.path, testCase.position, message, '', accept ? 'info' : 'error'));
+    }
+    tests.push({ name: testCase.name, status: result.status, accepted: accept });
+  }
+  return new CommandResult(hasErrors(diagnostics) ? EXIT_DIAGNOSTICS : EXIT_OK, diagnostics, { tests: tests });
+}
+
+function createArgumentParser() {
+  const common = new ArgumentParser({ addHelp: false });
+  common.addArgument(['--format'], { choices: ['text', 'json'], defaultValue: 'text', help: 'output format of diagnostics and results (default: text)' });
+
+  const parser = new ArgumentParser({ version: version, addHelp: true, prog: 'fudomo', description: 'Run and validate Fudomo transformations.' });
+  const subparsers = parser.addSubparsers({ title: 'commands', dest: 'command' });
+
+  const run = subparsers.addParser('run', { addHelp: true, parents: [common], help: 'run the transformation described by a .config file and write its output' });
+  run.addArgument('config', { help: '.config file' });
+  run.addArgument(['--skip-postprocess'], { action: 'storeTrue', dest: 'skip_postprocess', help: 'do not run the "postprocess" command of the config' });
+  run.addArgument(['--timeout'], { type: 'float', metavar: 'SECONDS', help: 'stop the transformation after the given number of seconds (default: the "timeout" of the config)' });
+
+  for (const [name, help] of [
+    ['validate-config', 'check the .config file for unknown keys, wrong values and missing files'],
+    ['validate-transformation', 'validate the decomposition against the metamodel'],
+    ['validate-data', 'validate the data file (against the metamodel, if the config specifies one)'],
+    ['validate-metamodel', 'check the metamodel for structural errors, undefined types and duplicate features'],
+    ['validate-functions', 'validate the functions file against the decomposition']
+  ]) {
+    const validate = subparsers.addParser(name, { addHelp: true, parents: [common], help: help });
+    validate.addArgument('config', { help: '.config file' });
+  }
+
+  const infer = subparsers.addParser('infer-metamodel', { addHelp: true, parents: [common], help: 'infer a metamodel from data files' });
+  infer.addArgument('data', { nargs: '+', help: 'data files' });
+  infer.addArgument(['-o', '--output'], { help: 'destination file (default: standard output)' });
+  infer.addArgument(['--update'], { action: 'storeTrue', help: 'merge the new types and features into the existing destination file instead of overwriting it' });
+  infer.addArgument(['--resolve-conflicts'], { action: 'storeTrue', dest: 'resolve_conflicts', help: 'with --update, also extend declared types that the data contradicts' });
+
+  const langIds = SKELETON_GENERATORS.map(g => g.id);
+  const skeleton = subparsers.addParser('generate-skeleton', { addHelp: true, parents: [common], help: 'generate decomposition function skeletons' });
+  skeleton.addArgument(['-l', '--lang'], { choices: langIds, required: true, help: `language identifier (${langIds.join(' or ')})` });
+  skeleton.addArgument('decomposition', { help: '.fudomo file' });
+  skeleton.addArgument(['-o', '--output'], { help: 'destination file (default: standard output)' });
+
+  const sync = subparsers.addParser('sync-skeletons', { addHelp: true, parents: [common], help: 'append skeletons for new decompositions to the functions file, and report functions that need to be updated' });
+  sync.addArgument('config', { help: '.config file' });
+  sync.addArgument(['--dry-run'], { action: 'storeTrue', dest: 'dry_run', help: 'only report, do not change the functions file' });
+
+  const format = subparsers.addParser('format', { addHelp: true, parents: [common], help: 'format a .fudomo file in place' });
+  format.addArgument('decomposition', { help: '.fudomo file' });
+  format.addArgument(['--sort-by-type'], { action: 'storeTrue', dest: 'sort_by_type', help: 'sort the decompositions by type (the type of the first decomposition stays first)' });
+  format.addArgument(['--check'], { action: 'storeTrue', help: 'only report whether the file is formatted, do not change it' });
+
+  const test = subparsers.addParser('test', { addHelp: true, parents: [common], help: 'run golden file tests and compare the results with the expected outputs' });
+  test.addArgument('file', { help: '.config file with a "tests" section, or .fudomo-test file' });
+  test.addArgument(['--accept'], { action: 'storeTrue', help: 'make the results of failed and new tests their expected outputs' });
+
+  return parser;
+}
+
+function formatDiagnosticText(d) {
+  const location = d.file ? `${d.file}:${d.position[0][0] + 1}:${d.position[0][1] + 1}: ` : '';
+  const description = d.description ? '\n' + d.description.replace(/^/gm, '  ') : '';
+  return `${location}${d.severity}: ${d.message}${description}`;
+}
+
+function report(format, command, result) {
+  if (format === 'json') {
+    const status = result.exitCode === EXIT_OK ? 'ok' : (result.exitCode === EXIT_DIAGNOSTICS ? 'invalid' : 'error');
+    const json = Object.assign({ command: command, status: status, exitCode: result.exitCode }, result.extra, { diagnostics: result.diagnostics });
+    process.stdout.write(JSON.stringify(json, null, 2) + '\n');
+  } else {
+    for (const d of result.diagnostics) {
+      console.error(formatDiagnosticText(d));
+    }
+    if (result.extra.added !== undefined) {
+      const verb = result.extra.output ? 'Added' : 'Would add';
+      console.error(result.extra.added.length > 0 ? `${verb} function skeletons for ${result.extra.added.join(', ')}.` : 'No function skeletons missing.');
+    }
+    if (result.extra.additions !== undefined && result.extra.additions.length > 0) {
+      console.error(`Added ${result.extra.additions.join(', ')} to the metamodel.`);
+    } else if (result.extra.additions !== undefined && !result.extra.output) {
+      console.error('The data has no new types or features.');
+    }
+    if (result.extra.changed === false) {
+      console.error('The file is already formatted.');
+    }
+    if (result.extra.tests !== undefined) {
+      const count = status => result.extra.tests.filter(test => test.status === status).length;
+      console.error(`${count('passed')} passed, ${count('failed')} failed, ${count('new')} new, ${count('error')} with errors.`);
+    }
+    if (result.extra.content !== undefined) {
+      process.stdout.write(result.extra.content);
+    } else if (result.extra.output) {
+      console.error(`Output written to "${result.extra.output}".`);
+    } else if (result.extra.outputs !== undefined) {
+      result.extra.outputs.forEach(outputPath => console.error(`Output written to "${outputPath}".`));
+      result.extra.deleted.forEach(deletedPath => console.error(`Deleted stale output "${deletedPath}".`));
+    }
+  }
+}
+
+async function main(argv) {
+  const args = createArgumentParser().parseArgs(argv);
+  const command = COMMANDS[args.command];
+  let result = null;
+  // While the command runs, messages written to stdout by the global console go to stderr
+  const consoleMethods = STDOUT_CONSOLE_METHODS.map(name => console[name]);
+  STDOUT_CONSOLE_METHODS.forEach(name => { console[name] = stderrConsole.log; });
+  try {
+    result = await command(args);
+  } catch (error) {
+    const inputFile = args.config || args.file || args.decomposition;
+    const diagnostics = errorToDiagnostics(error, process.cwd(), inputFile ? path.resolve(inputFile) : null);
+    const syntaxError = error instanceof DecompositionSyntaxError || (error instanceof PhaseError && error.cause instanceof DecompositionSyntaxError);
+    result = new CommandResult(syntaxError ? EXIT_DIAGNOSTICS : EXIT_FAILURE, diagnostics);
+  } finally {
+    STDOUT_CONSOLE_METHODS.forEach((name, index) => { console[name] = consoleMethods[index]; });
+  }
+  report(args.format, args.command, result);
+  return result.exitCode;
+}
+
+module.exports = {
+  EXIT_OK: EXIT_OK,
+  EXIT_DIAGNOSTICS: EXIT_DIAGNOSTICS,
+  EXIT_USAGE: EXIT_USAGE,
+  EXIT_FAILURE: EXIT_FAILURE,
+  main: main
+};
@@ -0,0 +1,72 @@
+class CancelledError extends Error {
+  constructor(message = 'The Fudomo transformation was cancelled.') {
+    super(message);
+  }
+}
+
+// The reason a transformation was cancelled when it ran longer than its "timeout".
+class TimeoutError extends CancelledError {
+  constructor(seconds) {
+    super(`The Fudomo transformation was stopped after the timeout of ${seconds} seconds.`);
+    this.seconds = seconds;
+  }
+}
+
+/* Passed to long running operations, which check it to stop early when cancel() was called. */
+class CancellationToken {
+  constructor() {
+    this.isCancelled = false;
+    this.reason = null;
+    this.callbacks = [];
+  }
+
+  // reason is the error the operation is stopped with (default: a CancelledError).
+  cancel(reason = null) {
+    if (this.isCancelled) return;
+    this.isCancelled = true;
+    this.reason = reason || new CancelledError();
+    const callbacks = this.callbacks;
+    this.callbacks = [];
+    for (const callback of callbacks) {
+      callback();
+    }
+  }
+
+  /* Calls callback when the token is cancelled (immediately if it already is). Returns a
+     function that removes the callback again.
+  */
+  onCancel(callback) {
+    if (this.isCancelled) {
+      callback();
+    } else {
+      this.callbacks.push(callback);
+    }
+    return () => {
+      this.callbacks = this.callbacks.filter(other => other !== callback);
+    };
+  }
+
+  throwIfCancelled() {
+    if (this.isCancelled) {
+      throw this.reason;
+    }
+  }
+
+  // Resolves like promise, or rejects with the reason of the cancellation as soon as the token is cancelled.
+  race(promise) {
+    return new Promise((resolve, reject) => {
+      this.onCancel(() => reject(this.reason));
+      promise.then(resolve, reject);
+    });
+  }
+}
+
+// A token that is never cancelled, used when the caller does not pass one.
+const NEVER_CANCELLED = new CancellationToken();
+
+module.exports = {
+  CancelledError: CancelledError,
+  TimeoutError: TimeoutError,
+  CancellationToken: CancellationToken,
+  NEVER_CANCELLED: NEVER_CANCELLED
+};
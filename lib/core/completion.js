@@ -0,0 +1,251 @@
+/* Completion of type, reference and function names in .fudomo files, based on the
+   metamodel. Only names that the TransformationValidator accepts are suggested.
+
+   Works on the text before the cursor, which usually does not parse while typing.
+*/
+const { offsetForPosition } = require('./text.js');
+
+const TOKEN_PATTERN = /[a-zA-Z][a-zA-Z0-9]*|->|<-|[.:,]/g;
+const HEADER_PATTERN = /([a-zA-Z][a-zA-Z0-9]*)\s*\.\s*([a-zA-Z][a-zA-Z0-9]*)\s*:/g;
+const LINK_PATTERN = /(->|<-)\s*([a-zA-Z][a-zA-Z0-9]*)\s*\.\s*([a-zA-Z][a-zA-Z0-9]*)/g;
+const IDENTIFIER = /^[a-zA-Z][a-zA-Z0-9]*$/;
+
+// Types the validator accepts in addition to those of the metamodel.
+const ROOT_TYPE = 'Root';
+const ABSTRACT_TYPE = 'Object';
+
+// Functions that are available for every type.
+const BUILTIN_FUNCTIONS = {
+  center: 'The object itself',
+  val: 'The value of a scalar'
+};
+
+function removeComments(text) {
+  return text.split('\n').map(line => line.trim().startsWith('#') ? '' : line).join('\n');
+}
+
+function tokenize(text) {
+  return removeComments(text).match(TOKEN_PATTERN) || [];
+}
+
+function isIdentifier(token) {
+  return token !== undefined && IDENTIFIER.test(token);
+}
+
+function isArrow(token) {
+  return token === '->' || token === '<-';
+}
+
+// The names of the decompositions in the text as { type, name }.
+function findDecompositionSignatures(text) {
+  const signatures = [];
+  for (const match of removeComments(text).matchAll(HEADER_PATTERN)) {
+    signatures.push({ type: match[1], name: match[2] });
+  }
+  return signatures;
+}
+
+// The typed functions used by links in the text as { type, name }.
+function findLinkedFunctions(text) {
+  const functions = [];
+  for (const match of removeComments(text).matchAll(LINK_PATTERN)) {
+    functions.push({ type: match[2], name: match[3] });
+  }
+  return functions;
+}
+
+function metamodelTypes(metamodel) {
+  return Object.keys(metamodel).filter(type => type !== ROOT_TYPE);
+}
+
+// The features of type, as an object. Types can also be declared as a scalar type (e.g. "Name: String").
+function typeFeatures(metamodel, type) {
+  const features = metamodel[type];
+  return features !== null && typeof features === 'object' && !Array.isArray(features) ? features : {};
+}
+
+// The types of a feature, which can be declared as a single type or a list of types.
+function featureTypes(features, name) {
+  return [].concat(features[name] || []);
+}
+
+/* Determines what is being completed from the tokens before the cursor. The identifier
+   being typed (possibly empty) is the last token. Returns one of
+     { kind: 'headerType' }
+     { kind: 'headerFunction', type }
+     { kind: 'localLink', type, name }         (type and function of the enclosing decomposition)
+     { kind: 'linkType', type, reference, arrow }
+     { kind: 'linkFunction', type, reference, arrow, linkType }
+*/
+function getCompletionContext(tokens) {
+  const n = tokens.length;
+  const before = i => tokens[n - 1 - i]; // before(0) is the identifier being typed
+
+  let colon = -1;
+  for (let i = n - 1; i >= 0; i--) {
+    if (tokens[i] === ':') {
+      colon = i;
+      break;
+    }
+  }
+  const decompositionType = colon >= 3 && tokens[colon - 2] === '.' ? tokens[colon - 3] : null;
+  const decompositionName = decompositionType !== null ? tokens[colon - 1] : null;
+
+  if (isArrow(before(3)) && before(1) === '.' && isIdentifier(before(4))) {
+    return { kind: 'linkFunction', type: decompositionType, reference: before(4), arrow: before(3), linkType: before(2) };
+  }
+  if (isArrow(before(1)) && isIdentifier(before(2))) {
+    return { kind: 'linkType', type: decompositionType, reference: before(2), arrow: before(1) };
+  }
+  if (before(1) === '.' && isIdentifier(before(2)) && !isArrow(before(3))) {
+    return { kind: 'headerFunction', type: before(2) };
+  }
+  if (decompositionType !== null && (before(1) === ':' || before(1) === ',')) {
+    return { kind: 'localLink', type: decompositionType, name: decompositionName };
+  }
+  // Start of the file, or after a complete link without a comma, which ends the decomposition
+  return { kind: 'headerType' };
+}
+
+function suggestion(text, kind, detail, description = null) {
+  return { text: text, kind: kind, detail: detail, description: description };
+}
+
+function completeHeaderType(metamodel) {
+  const types = metamodelTypes(metamodel).map(type => suggestion(type, 'type', 'Type'));
+  return types.concat([suggestion(ROOT_TYPE, 'type', 'Type', 'The root of the model')]);
+}
+
+// Functions that are used in links but not yet decomposed, so defining them is the likely intent.
+function completeHeaderFunction(context, text) {
+  const defined = new Set(findDecompositionSignatures(text).map(signature => `${signature.type}.${signature.name}`));
+  const names = new Set();
+  for (const linked of findLinkedFunctions(text)) {
+    if (linked.type === context.type && !defined.has(`${linked.type}.${linked.name}`) && !(linked.name in BUILTIN_FUNCTIONS)) {
+      names.add(linked.name);
+    }
+  }
+  return Array.from(names).map(name => suggestion(name, 'function', 'Undecomposed function', `Used by a link to ${context.type}.${name}`));
+}
+
+/* Local links refer to attributes and decompositions of the enclosing type. The names of
+   references to or from the type are suggested as well, to start forward and reverse links.
+*/
+function completeLocalLink(context, metamodel, text) {
+  const suggestions = [];
+  const seen = new Set();
+  const add = (name, kind, detail, description) => {
+    const key = `${name} ${detail}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    suggestions.push(suggestion(name, kind, detail, description));
+  };
+
+  for (const signature of findDecompositionSignatures(text)) {
+    if (signature.type === context.type && signature.name !== context.name) {
+      add(signature.name, 'function', 'Decomposition', `${context.type}.${signature.name}`);
+    }
+  }
+  for (const name of Object.keys(BUILTIN_FUNCTIONS)) {
+    add(name, 'function', 'Built-in', BUILTIN_FUNCTIONS[name]);
+  }
+  const features = typeFeatures(metamodel, context.type);
+  for (const name of Object.keys(features)) {
+    add(name, 'property', `${name} -> ${featureTypes(features, name).join(' | ')}`, `Attribute or reference of ${context.type}`);
+  }
+  if (context.type === ROOT_TYPE && !('cont' in features)) {
+    add('cont', 'property', 'cont -> Object', 'The objects contained in the root');
+  }
+  for (const type of Object.keys(metamodel)) {
+    const otherFeatures = typeFeatures(metamodel, type);
+    for (const name of Object.keys(otherFeatures)) {
+      if (featureTypes(otherFeatures, name).includes(context.type)) {
+        add(name, 'property', `${name} <- ${type}`, `Reference of ${type} to ${context.type}`);
+      }
+    }
+  }
+  return suggestions;
+}
+
+function completeLinkType(context, metamodel) {
+  const types = new Set();
+  if (context.arrow === '->') {
+    // The types the reference of the enclosing type may point to
+    if (context.type === ROOT_TYPE && context.reference === 'cont') {
+      metamodelTypes(metamodel).forEach(type => types.add(type));
+    } else {
+      featureTypes(typeFeatures(metamodel, context.type), context.reference).forEach(type => types.add(type));
+    }
+  } else {
+    // The types whose reference points to the enclosing type
+    for (const type of Object.keys(metamodel)) {
+      if (featureTypes(typeFeatures(metamodel, type), context.reference).includes(context.type)) {
+        types.add(type);
+      }
+    }
+    if (context.reference === 'cont') types.add(ROOT_TYPE);
+  }
+  const suggestions = Array.from(types).map(type => suggestion(type, 'type', 'Type'));
+  if (suggestions.length > 0) {
+    suggestions.push(suggestion(ABSTRACT_TYPE, 'type', 'Abstract type', 'Dispatches to the decomposition of the concrete type'));
+  }
+  return suggestions;
+}
+
+function completeLinkFunction(context, metamodel, text) {
+  const suggestions = [];
+  const seen = new Set();
+  const add = (name, kind, detail, description = null) => {
+    if (seen.has(name)) return;
+    seen.add(name);
+    suggestions.push(suggestion(name, kind, detail, description));
+  };
+
+  for (const signature of findDecompositionSignatures(text)) {
+    if (context.linkType === ABSTRACT_TYPE || signature.type === context.linkType) {
+      add(signature.name, 'function', 'Decomposition', `${signature.type}.${signature.name}`);
+    }
+  }
+  for (const name of Object.keys(BUILTIN_FUNCTIONS)) {
+    add(name, 'function', 'Built-in', BUILTIN_FUNCTIONS[name]);
+  }
+  const features = typeFeatures(metamodel, context.linkType);
+  for (const name of Object.keys(features)) {
+    add(name, 'property', `Attribute of ${context.linkType}`);
+  }
+  return suggestions;
+}
+
+/* Returns { prefix, suggestions } for the cursor at position ([row, column]) in text.
+   prefix is the part of the identifier before the cursor that the suggestions replace.
+   Suggestions are { text, kind ('type' | 'function' | 'property'), detail, description }
+   and are not filtered by the prefix.
+*/
+function getCompletions(text, position, metamodel) {
+  const textBefore = text.slice(0, offsetForPosition(text, position));
+  const prefixMatch = textBefore.match(/[a-zA-Z][a-zA-Z0-9]*$/);
+  const prefix = prefixMatch !== null ? prefixMatch[0] : '';
+  const tokens = tokenize(textBefore.slice(0, textBefore.length - prefix.length));
+  tokens.push(prefix);
+
+  const context = getCompletionContext(tokens);
+  metamodel = metamodel || {};
+  let suggestions = [];
+  if (context.kind === 'headerType') {
+    suggestions = completeHeaderType(metamodel);
+  } else if (context.kind === 'headerFunction') {
+    suggestions = completeHeaderFunction(context, text);
+  } else if (context.kind === 'localLink') {
+    suggestions = completeLocalLink(context, metamodel, text);
+  } else if (context.kind === 'linkType') {
+    suggestions = completeLinkType(context, metamodel);
+  } else if (context.kind === 'linkFunction') {
+    suggestions = completeLinkFunction(context, metamodel, text);
+  }
+  return { prefix: prefix, suggestions: suggestions };
+}
+
+module.exports = {
+  getCompletionContext: getCompletionContext,
+  getCompletions: getCompletions
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const YAML = require('yaml');
+const { getRunnerClassById } = require('fudomo-transform');
+const { makeMessage } = require('./validation.js');
+const { positionForOffset } = require('./text.js');
+const { findClosest } = require('./suggest.js');
+
+const stat = util.promisify(fs.stat);
+
+const PLATFORMS = ['aix', 'darwin', 'freebsd', 'linux', 'openbsd', 'sunos', 'win32'];
+const RUNNER_IDS = ['javascript', 'javascriptvm', 'python'].filter(id => getRunnerClassById(id) !== undefined);
+
+/* The keys of a ".config" file.
+     required: the transformation can not run without the key
+     requiredUnless: the key is required unless the given key is set
+     type: 'string' (default), 'boolean', 'number', 'mapping' or 'sequence'
+     file: 'input' if the value is a path of a file that must exist,
+           'output' if it is the path of a file whose directory must exist
+     values: the allowed values
+*/
+const CONFIG_SCHEMA = {
+  'decomposition': { required: true, file: 'input', description: 'the .fudomo decomposition file' },
+  'functions': { required: false, file: 'input', description: 'the file implementing the decomposition functions (required unless all functions are defined inline in the decomposition file)' },
+  'data': { required: true, file: 'input', description: 'the data file the transformation is applied to' },
+  'output': { required: true, requiredUnless: 'outputs', file: 'output', description: 'the file the result is written to (or the directory, if the result is a mapping of paths to contents)' },
+  'outputs': { required: false, type: 'mapping', description: 'the output path templates of types, one file is written per object of the type' },
+  'tests': { required: false, type: 'sequence', description: 'golden file tests, each with a "data" file and the "expected" output' },
+  'delete-stale-outputs': { required: false, type: 'boolean', description: 'delete the files written by the previous run that were not written again' },
+  'metamodel': { required: false, file: 'input', description: 'the metamodel used for validation' },
+  'source-map': { required: false, file: 'output', description: 'the file a source map relating the ranges of the output to the decomposition functions and data objects that produced them is written to' },
+  'postprocess': { required: false, description: 'a shell command run in the directory of the config after the result is written' },
+  'timeout': { required: false, type: 'number', description: 'the number of seconds after which the transformation is stopped' },
+  'runnerId': { required: false, values: RUNNER_IDS, description: 'the decomposition function runner (default: derived from the functions file extension)' },
+  'python-executable': { required: false, description: 'the Python 3 interpreter used to run Python functions' }
+};
+for (const platform of PLATFORMS) {
+  CONFIG_SCHEMA[`python-executable-${platform}`] = { required: false, description: `the Python 3 interpreter used to run Python functions on ${platform}` };
+}
+
+const CONFIG_KEYS = Object.keys(CONFIG_SCHEMA);
+
+const TEST_KEYS = ['name', 'data', 'expected'];
+
+const OUTPUTS_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*(\.[a-zA-Z][a-zA-Z0-9]*)?$/;
+
+function nodeRange(text, node) {
+  const range = node.range || [0, 0];
+  return [positionForOffset(text, range[0]), positionForOffset(text, range[1])];
+}
+
+function describeValueType(node) {
+  if (node === null || node.value === null || node.value === undefined) {
+    if (node !== null && (node.type === 'MAP' || node.type === 'FLOW_MAP')) return 'a mapping';
+    if (node !== null && (node.type === 'SEQ' || node.type === 'FLOW_SEQ')) return 'a sequence';
+    return 'empty';
+  }
+  return `a ${typeof node.value}`;
+}
+
+async function fileExists(filePath) {
+  try {
+    await stat(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A .config file is only considered to be a Fudomo config if it sets at least one of the known keys.
+function isFudomoConfigText(text) {
+  try {
+    const values = YAML.parse(text);
+    return values !== null && typeof values === 'object' && !Array.isArray(values) && CONFIG_KEYS.some(key => key in values);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Checks that the entries of the "outputs" section map "Type" or "Type.function" to path templates.
+function validateOutputsSection(text, mapNode, addMessage) {
+  for (const pair of mapNode.items) {
+    const keyNode = pair.key;
+    if (keyNode === null || typeof keyNode.value !== 'string' || !OUTPUTS_KEY_PATTERN.test(keyNode.value)) {
+      addMessage(nodeRange(text, keyNode || pair), 'Keys of "outputs" must be a type or a decomposition function (eg. "Class" or "Class.code").');
+    }
+    if (pair.value === null || typeof pair.value.value !== 'string') {
+      addMessage(nodeRange(text, pair.value || keyNode || pair), `An output path template must be a string, but is ${describeValueType(pair.value)}.`);
+    }
+  }
+}
+
+// Checks that the tests have a "data" file that exists and an "expected" output path.
+async function validateTestsSection(text, seqNode, baseDir, addMessage) {
+  for (const item of seqNode.items) {
+    const position = nodeRange(text, item || seqNode);
+    if (item === null || item.type !== 'MAP' && item.type !== 'FLOW_MAP') {
+      addMessage(position, `A test must be a mapping with the keys "data" and "expected", but is ${describeValueType(item)}.`);
+      continue;
+    }
+    for (const key of TEST_KEYS) {
+      const valueNode = item.get(key, true);
+      if (valueNode === undefined || valueNode === null) {
+        if (key !== 'name') addMessage(position, `Test is missing the key "${key}".`);
+      } else if (typeof valueNode.value !== 'string') {
+        addMessage(nodeRange(text, valueNode), `"${key}" of a test must be a string, but is ${describeValueType(valueNode)}.`);
+      } else if (key === 'data' && !(await fileExists(path.resolve(baseDir, valueNode.value)))) {
+        addMessage(nodeRange(text, valueNode), `Data file "${valueNode.value}" of the test does not exist.`);
+      }
+    }
+  }
+}
+
+/* Validates the text of the ".config" file at configPath against CONFIG_SCHEMA.
+   Resolves to linter messages (see validation.js) for the config file.
+*/
+async function validateConfigText(configPath, text) {
+  const baseDir = path.dirname(path.resolve(configPath));
+  const messages = [];
+  const addMessage = (position, excerpt, severity = 'error', description = '', solutions = undefined) => {
+    const message = makeMessage(configPath, position, excerpt, description, severity);
+    if (solutions) message.solutions = solutions;
+    messages.push(message);
+  };
+  const startOfFile = [[0, 0], [0, 0]];
+
+  const doc = YAML.parseDocument(text);
+  for (const error of doc.errors) {
+    const range = error.source && error.source.range ? [error.source.range.start, error.source.range.end] : [0, 0];
+    addMessage(nodeRange(text, { range: range }), error.message);
+  }
+  if (doc.errors.length > 0) return messages;
+
+  const contents = doc.contents;
+  if (contents === null || contents === undefined) {
+    addMessage(startOfFile, 'Config file is empty.');
+    return messages;
+  }
+  if (contents.type !== 'MAP') {
+    addMessage(nodeRange(text, contents), 'Config file must be a mapping of keys to values.');
+    return messages;
+  }
+
+  const presentKeys = new Set();
+  for (const pair of contents.items) {
+    if (pair.key === null || typeof pair.key.value !== 'string') {
+      addMessage(nodeRange(text, pair.key || pair), 'Config keys must be strings.');
+      continue;
+    }
+    const key = pair.key.value;
+    const keyPosition = nodeRange(text, pair.key);
+    presentKeys.add(key);
+
+    const spec = CONFIG_SCHEMA[key];
+    if (spec === undefined) {
+      const suggestion = findClosest(key, CONFIG_KEYS);
+      if (suggestion !== null) {
+        addMessage(keyPosition, `Unknown config key "${key}". Did you mean "${suggestion}"?`, 'warning', '', [{
+          title: `Replace with "${suggestion}"`,
+          position: keyPosition,
+          replaceWith: suggestion
+        }]);
+      } else {
+        addMessage(keyPosition, `Unknown config key "${key}".`, 'warning', `Known keys are: ${CONFIG_KEYS.join(', ')}.`);
+      }
+      continue;
+    }
+
+    const valueNode = pair.value;
+    const valuePosition = valueNode ? nodeRange(text, valueNode) : keyPosition;
+    const value = valueNode ? valueNode.value : null;
+    const type = spec.type || 'string';
+    if (type === 'mapping') {
+      if (valueNode === null || valueNode.type !== 'MAP' && valueNode.type !== 'FLOW_MAP') {
+        addMessage(valuePosition, `Config key "${key}" must be a mapping, but is ${describeValueType(valueNode)}.`, 'error', `"${key}": ${spec.description}.`);
+      } else {
+        validateOutputsSection(text, valueNode, addMessage);
+      }
+      continue;
+    }
+    if (type === 'sequence') {
+      if (valueNode === null || valueNode.type !== 'SEQ' && valueNode.type !== 'FLOW_SEQ') {
+        addMessage(valuePosition, `Config key "${key}" must be a sequence, but is ${describeValueType(valueNode)}.`, 'error', `"${key}": ${spec.description}.`);
+      } else {
+        await validateTestsSection(text, valueNode, baseDir, addMessage);
+      }
+      continue;
+    }
+    if (typeof value !== type) {
+      addMessage(valuePosition, `Config key "${key}" must be a ${type}, but is ${describeValueType(valueNode)}.`, 'error', `"${key}": ${spec.description}.`);
+      continue;
+    }
+    if (type === 'number' && !(value > 0)) {
+      addMessage(valuePosition, `Config key "${key}" must be greater than 0.`, 'error', `"${key}": ${spec.description}.`);
+      continue;
+    }
+    if (type !== 'string') continue;
+
+    if (spec.values !== undefined && !spec.values.includes(value)) {
+      const suggestion = findClosest(value, spec.values);
+      const solutions = suggestion !== null ? [{ title: `Replace with "${suggestion}"`, position: valuePosition, replaceWith: suggestion }] : undefined;
+      const hint = suggestion !== null ? ` Did you mean "${suggestion}"?` : '';
+      addMessage(valuePosition, `Unknown ${key} "${value}".${hint}`, 'error', `Known values are: ${spec.values.join(', ')}.`, solutions);
+    }
+
+    if (spec.file === 'input') {
+      if (!(await fileExists(path.resolve(baseDir, value)))) {
+        addMessage(valuePosition, `File "${value}" referenced by "${key}" does not exist.`, 'error', `"${key}": ${spec.description}.`);
+      }
+    } else if (spec.file === 'output') {
+      if (!(await fileExists(path.dirname(path.resolve(baseDir, value))))) {
+        addMessage(valuePosition, `Directory of output file "${value}" does not exist.`);
+      }
+    }
+  }
+
+  const isRequired = key => CONFIG_SCHEMA[key].required && !presentKeys.has(CONFIG_SCHEMA[key].requiredUnless);
+  for (const key of CONFIG_KEYS.filter(k => isRequired(k) && !presentKeys.has(k))) {
+    addMessage(startOfFile, `Required config key "${key}" is missing.`, 'error', `"${key}": ${CONFIG_SCHEMA[key].description}.`);
+  }
+
+  return messages;
+}
+
+module.exports = {
+  CONFIG_SCHEMA: CONFIG_SCHEMA,
+  RUNNER_IDS: RUNNER_IDS,
+  nodeRange: nodeRange,
+  describeValueType: describeValueType,
+  isFudomoConfigText: isFudomoConfigText,
+  validateConfigText: validateConfigText
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const YAML = require('yaml');
+const { getRunnerClassById, getRunnerClassByFileExtension } = require('fudomo-transform');
+const { findProjectInterpreter } = require('./python-interpreters.js');
+
+const readFile = util.promisify(fs.readFile);
+const realpath = util.promisify(fs.realpath);
+
+const CONFIG_FILE_EXTENSION = 'config';
+const FUDOMO_FILE_EXTENSION = 'fudomo';
+
+class ConfigError extends Error {
+}
+
+/* Chooses the Python interpreter for configs that do not set "python-executable". Resolves
+   to the path of the interpreter, or null for the default of the runner ("python").
+*/
+async function findDefaultPythonExecutable(config) {
+  const interpreter = await findProjectInterpreter(config.baseDir);
+  return interpreter !== null ? interpreter.path : null;
+}
+
+let pythonInterpreterResolver = findDefaultPythonExecutable;
+
+/* Replaces the function choosing the Python interpreter (see pythonInterpreterResolver).
+   null restores the default, the interpreter of the project or of the active environment
+   (see python-interpreters.js).
+*/
+function setPythonInterpreterResolver(resolver) {
+  pythonInterpreterResolver = resolver || findDefaultPythonExecutable;
+}
+
+/* A parsed ".config" file. Relative paths in the config are resolved against
+   the directory containing the config file.
+*/
+class TransformationConfig {
+  constructor(configPath, values) {
+    this.path = path.resolve(configPath);
+    this.baseDir = path.dirname(this.path);
+    this.values = values || {};
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  has(key) {
+    return this.values[key] !== undefined && this.values[key] !== null;
+  }
+
+  // Returns the absolute path for the given key, or null if the key is not set.
+  resolvePath(key) {
+    if (!this.has(key)) return null;
+    return path.resolve(this.baseDir, String(this.values[key]));
+  }
+
+  // Like resolvePath, but throws a ConfigError if the key is not set.
+  requirePath(key) {
+    if (!this.has(key)) {
+      throw new ConfigError(`Fudomo transformation config file error: "${key}" attribute not set.`);
+    }
+    return this.resolvePath(key);
+  }
+
+  getRunnerClass() {
+    const runnerId = this.get('runnerId');
+    let RunnerClass = null;
+    if (runnerId !== undefined) {
+      // Runner is configured in config file
+      if (runnerId === 'javascript') {
+        // Automatically substitute javascriptvm for javascript, because
+        // we don't want to run user-supplied js code in the host process directly.
+        RunnerClass = getRunnerClassById('javascriptvm');
+      } else {
+        RunnerClass = getRunnerClassById(runnerId);
+      }
+    } else {
+      // Runner is not configured in config file, find by file extension
+      const extension = path.extname(this.requirePath('functions')).slice(1);
+      if (extension === 'js') {
+        // Automatically use javascriptvm for javascript, because
+        // we don't want to run user-supplied js code in the host process directly.
+        RunnerClass = getRunnerClassById('javascriptvm');
+      } else {
+        RunnerClass = getRunnerClassByFileExtension(extension);
+      }
+    }
+    if (RunnerClass == undefined) {
+      if (runnerId !== undefined) {
+        throw new ConfigError(`Can not find decomposition function runner class with id "${runnerId}".`);
+      } else {
+        throw new ConfigError(`Can not find decomposition function runner class for file extension "${path.extname(this.get('functions')).slice(1)}".`);
+      }
+    }
+    return RunnerClass;
+  }
+
+  usesPython() {
+    return this.getRunnerClass() === getRunnerClassById('python');
+  }
+
+  /* Resolves to the path of the Python interpreter the functions are run with: the one set
+     by "python-executable-<platform>" or "python-executable", or else the one chosen by the
+     pythonInterpreterResolver. Resolves to null for the default of the runner.
+  */
+  async getPythonExecutable() {
+    const configured = this.get(`python-executable-${process.platform}`) || this.get('python-executable');
+    if (configured) return configured;
+    return pythonInterpreterResolver(this);
+  }
+
+  // Creates a decomposition function runner. The runner receives a copy of the
+  // config values in which "functions" is replaced by its absolute, real path.
+  async createFunctionRunner(consoleHandler = console) {
+    const RunnerClass = this.getRunnerClass();
+    const runnerConfig = Object.assign({}, this.values);
+    runnerConfig.functions = await realpath(this.requirePath('functions'));
+    runnerConfig.consoleHandler = consoleHandler;
+    if (this.usesPython()) {
+      // The Python runner uses "python_executable" (its command line option) if the config sets no interpreter
+      runnerConfig.python_executable = await this.getPythonExecutable();
+    }
+    return new RunnerClass(this.baseDir, runnerConfig);
+  }
+}
+
+function parseConfig(configPath, text) {
+  const values = YAML.parse(text);
+  if (values !== null && values !== undefined && (typeof values !== 'object' || Array.isArray(values))) {
+    throw new ConfigError('Fudomo transformation config file error: config must be a mapping of keys to values.');
+  }
+  return new TransformationConfig(configPath, values);
+}
+
+async function loadConfig(configPath) {
+  let text = null;
+  try {
+    text = await readFile(configPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new ConfigError('Config file not found.');
+    throw error;
+  }
+  return parseConfig(configPath, text);
+}
+
+async function readTextFile(filePath, notFoundMessage) {
+  try {
+    return await readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(notFoundMessage);
+    throw error;
+  }
+}
+
+module.exports = {
+  CONFIG_FILE_EXTENSION: CONFIG_FILE_EXTENSION,
+  FUDOMO_FILE_EXTENSION: FUDOMO_FILE_EXTENSION,
+  ConfigError: ConfigError,
+  setPythonInterpreterResolver: setPythonInterpreterResolver,
+  TransformationConfig: TransformationConfig,
+  parseConfig: parseConfig,
+  loadConfig: loadConfig,
+  readTextFile: readTextFile
+};
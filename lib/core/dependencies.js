@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { CONFIG_FILE_EXTENSION, loadConfig } = require('./config.js');
+
+const realpath = util.promisify(fs.realpath);
+const readdir = util.promisify(fs.readdir);
+
+// The keys of a config that reference files the result of the transformation depends on.
+const DEPENDENCY_KEYS = ['decomposition', 'functions', 'data', 'metamodel'];
+
+// Resolves to a Set with the absolute path and (if the file exists) the real path of the file.
+async function pathAndRealPath(filePath) {
+  const paths = new Set([filePath]);
+  try {
+    paths.add(await realpath(filePath));
+  } catch (error) {
+    // File does not exist (yet), it is still tracked by its absolute path
+  }
+  return paths;
+}
+
+/* Resolves to { configPaths, paths }: the absolute and real paths of the config file,
+   and the absolute and real paths of the config file and all files referenced by it
+   (see DEPENDENCY_KEYS).
+*/
+async function getConfigDependencyPaths(configPath) {
+  const config = await loadConfig(configPath);
+  const configPaths = await pathAndRealPath(config.path);
+  const paths = new Set(configPaths);
+  for (const key of DEPENDENCY_KEYS) {
+    if (config.has(key)) {
+      for (const dependencyPath of await pathAndRealPath(config.resolvePath(key))) {
+        paths.add(dependencyPath);
+      }
+    }
+  }
+  return { configPaths: configPaths, paths: paths };
+}
+
+/* Resolves to the configs in directory (default: the directory of filePath) that reference
+   the file with the given key (eg. the configs using a .fudomo file as their "decomposition").
+   Configs that can not be loaded are skipped.
+*/
+async function findConfigsReferencing(filePath, key, directory = path.dirname(path.resolve(filePath))) {
+  const absolutePath = path.resolve(filePath);
+  const configs = [];
+  for (const fileName of await readdir(directory)) {
+    if (path.extname(fileName) !== '.' + CONFIG_FILE_EXTENSION) continue;
+    try {
+      const config = await loadConfig(path.join(directory, fileName));
+      if (config.resolvePath(key) === absolutePath) {
+        configs.push(config);
+      }
+    } catch (error) {
+      // Not a valid config
+    }
+  }
+  return configs;
+}
+
+/* Resolves to the nearest config that references filePath with the given key and for which
+   predicate returns true, or null. The directory of filePath is searched first, then its
+   parent directories up to rootDirectory (default: the root of the file system).
+*/
+async function findNearestConfigReferencing(filePath, key, predicate = config => true, rootDirectory = null) {
+  let directory = path.dirname(path.resolve(filePath));
+  const root = rootDirectory !== null ? path.resolve(rootDirectory) : null;
+  while (true) {
+    const config = (await findConfigsReferencing(filePath, key, directory)).find(predicate);
+    if (config !== undefined) return config;
+    const parent = path.dirname(directory);
+    if (directory === root || parent === directory) return null;
+    directory = parent;
+  }
+}
+
+/* Caches the dependency paths of config files until they are invalidated by a file change. */
+class ConfigDependencyCache {
+  constructor() {
+    this.entries = new Map(); // key is absolute config path, value is { promise, dependencies }
+  }
+
+  // Resolves to the Set of dependency paths of the config (see getConfigDependencyPaths).
+  get(configPath) {
+    const key = path.resolve(configPath);
+    let entry = this.entries.get(key);
+    if (entry === undefined) {
+      entry = { promise: getConfigDependencyPaths(key), dependencies: null };
+      entry.promise.then(dependencies => { entry.dependencies = dependencies; }, error => {});
+      this.entries.set(key, entry);
+    }
+    return entry.promise.then(dependencies => dependencies.paths);
+  }
+
+  /* Invalidates the entries affected by a change of the file at changedPath: entries of
+     the changed config file itself, and entries with a dependency that was created,
+     deleted or renamed (which can change its real path). Entries that are still being
+     resolved are invalidated as well, as they may have read outdated files.
+  */
+  invalidate(changedPath, action) {
+    for (const [configPath, entry] of Array.from(this.entries)) {
+      const dependencies = entry.dependencies;
+      if (configPath === changedPath || dependencies === null || dependencies.configPaths.has(changedPath) ||
+          (action !== 'modified' && dependencies.paths.has(changedPath))) {
+        this.entries.delete(configPath);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  DEPENDENCY_KEYS: DEPENDENCY_KEYS,
+  getConfigDependencyPaths: getConfigDependencyPaths,
+  findConfigsReferencing: findConfigsReferencing,
+  findNearestConfigReferencing: findNearestConfigReferencing,
+  ConfigDependencyCache: ConfigDependencyCache
+};
@@ -0,0 +1,132 @@
+/* Line based diff (Myers' algorithm). */
+
+// Above this number of differing lines, the diff is not computed exactly;
+// the changed region is reported as removed and added as a whole instead.
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop(); // Trailing newline
+  return lines;
+}
+
+// Returns the shortest edit script from a to b as an array of { kind: 'equal' | 'removed' | 'added', line }.
+function diffSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n == 0) return b.map(line => ({ kind: 'added', line: line }));
+  if (m == 0) return a.map(line => ({ kind: 'removed', line: line }));
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const trace = [];
+  let v = { 1: 0 };
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(Object.assign({}, v));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k == -d || (k != d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return a.map(line => ({ kind: 'removed', line: line })).concat(b.map(line => ({ kind: 'added', line: line })));
+  }
+
+  // Backtrack through the trace to find the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k == -d || (k != d && v[k - 1] < v[k + 1])) ? k + 1 : k - 1;
+    const prevX = v[prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ kind: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x == prevX) {
+        ops.push({ kind: 'added', line: b[y - 1] });
+      } else {
+        ops.push({ kind: 'removed', line: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/* Compares two texts line by line. Returns an array of hunks { kind, lines },
+   where kind is 'equal', 'removed' or 'added'.
+*/
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix and suffix are not passed to the (comparably expensive) diff algorithm
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const ops = a.slice(0, prefix).map(line => ({ kind: 'equal', line: line }))
+    .concat(diffSequences(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)))
+    .concat(a.slice(a.length - suffix).map(line => ({ kind: 'equal', line: line })));
+
+  const hunks = [];
+  for (const op of ops) {
+    const last = hunks[hunks.length - 1];
+    if (last !== undefined && last.kind === op.kind) {
+      last.lines.push(op.line);
+    } else {
+      hunks.push({ kind: op.kind, lines: [op.line] });
+    }
+  }
+  return hunks;
+}
+
+function isUnchanged(hunks) {
+  return hunks.every(hunk => hunk.kind === 'equal');
+}
+
+/* Formats hunks as text, with the lines prefixed by "  ", "- " or "+ ". Of unchanged
+   hunks, only the given number of context lines around changes are shown.
+*/
+function formatDiff(hunks, context = 3) {
+  const prefixes = { equal: '  ', removed: '- ', added: '+ ' };
+  const lines = [];
+  hunks.forEach((hunk, index) => {
+    let hunkLines = hunk.lines;
+    if (hunk.kind === 'equal') {
+      const head = index > 0 ? hunkLines.slice(0, context) : [];
+      const tail = index < hunks.length - 1 ? hunkLines.slice(Math.max(head.length, hunkLines.length - context)) : [];
+      if (head.length + tail.length < hunkLines.length) {
+        lines.push(...head.map(line => prefixes.equal + line), '  ...');
+        hunkLines = tail;
+      }
+    }
+    lines.push(...hunkLines.map(line => prefixes[hunk.kind] + line));
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffLines: diffLines,
+  isUnchanged: isUnchanged,
+  formatDiff: formatDiff
+};
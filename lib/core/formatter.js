@@ -0,0 +1,168 @@
+/* Formats .fudomo files:
+
+     # The docstring, directly above its header
+     Type.function:
+       link, reference -> Type.function, reference <- Type.function,
+       wrapped, links
+       ```js
+       return ...;
+       ```
+
+   Every header starts a line, the links follow on indented lines, wrapped at
+   MAX_LINE_LENGTH. Comments are kept (the comments before a decomposition become its
+   docstring, see the grammar of fudomo-transform) and so are the blank lines between
+   decompositions and between comments, collapsed to one. A comment at the end of the last
+   line of a decomposition stays at the end of its last line. The bodies of inline functions are
+   kept as written, only moved with their fences.
+*/
+const { parseFudomoText } = require('./inline-functions.js');
+const { DecompositionSyntaxError, hasSyntaxError } = require('./pipeline.js');
+
+const INDENT = '  ';
+const MAX_LINE_LENGTH = 80;
+
+function formatTypedFunction(node) {
+  return `${node.type}.${node.untypedFunction}`;
+}
+
+function formatLink(node) {
+  if (node.type === 'forward') return `${node.reference} -> ${formatTypedFunction(node.typedFunction)}`;
+  if (node.type === 'reverse') return `${node.reference} <- ${formatTypedFunction(node.typedFunction)}`;
+  return node.reference;
+}
+
+// The indented lines of the links, separated by commas and wrapped at MAX_LINE_LENGTH.
+function formatLinks(linkNodes) {
+  const lines = [];
+  let line = null;
+  for (const text of linkNodes.map(formatLink)) {
+    if (line === null) {
+      line = INDENT + text;
+    } else if (line.length + 2 + text.length + 1 > MAX_LINE_LENGTH) { // The comma after text, if more links follow
+      lines.push(line + ',');
+      line = INDENT + text;
+    } else {
+      line += ', ' + text;
+    }
+  }
+  if (line !== null) lines.push(line);
+  return lines;
+}
+
+// The lines of the inline function with its fences, the body moved along with the opening fence.
+function formatInlineFunction(inlineFunction, lines) {
+  const openLine = lines[inlineFunction.openRow].replace(/\r$/, '');
+  const fenceIndent = openLine.match(/^\s*/)[0];
+  const bodyLines = inlineFunction.body.split('\n').map(line => line.replace(/\r$/, ''));
+  const moveBody = fenceIndent !== INDENT && bodyLines.every(line => line.trim() === '' || line.startsWith(fenceIndent));
+  return [INDENT + openLine.trim()]
+    .concat(moveBody ? bodyLines.map(line => line.trim() === '' ? '' : INDENT + line.slice(fenceIndent.length)) : bodyLines)
+    .concat([INDENT + '```']);
+}
+
+// The comment at the end of the last line of the decomposition (after its links, or its colon), or null.
+function findEndOfLineComment(node, lines) {
+  const end = node.location[1];
+  const comment = lines[end[0]].replace(/\r$/, '').slice(end[1]).match(/#.*$/);
+  return comment !== null ? comment[0] : null;
+}
+
+/* The comments between two decompositions, as { blankBefore, comments }: the lines of the
+   comments, with '' for the blank lines between them (collapsed to one), and whether a blank
+   line preceded them. The rows of the inline functions are skipped.
+*/
+function collectComments(lines, start, end, inlineRows) {
+  const comments = [];
+  let blankBefore = false;
+  let blank = false;
+  for (let row = start[0]; row <= end[0] && row < lines.length; row++) {
+    if (inlineRows.has(row)) {
+      blank = false; // Blank lines before an inline function separate it from the links
+      continue;
+    }
+    const line = lines[row].replace(/\r$/, '');
+    const text = line.slice(row === start[0] ? start[1] : 0, row === end[0] ? end[1] : line.length).trim();
+    const comment = text.match(/#.*$/); // The rest of the line can only be the colon of a decomposition without links
+    if (comment !== null) {
+      if (blank && comments.length > 0) comments.push('');
+      if (blank && comments.length === 0) blankBefore = true;
+      comments.push(comment[0]);
+      blank = false;
+    } else if (text === '' && row !== start[0] && row !== end[0]) {
+      blank = true;
+    }
+  }
+  return { blankBefore: blankBefore || (blank && comments.length === 0), comments: comments };
+}
+
+/* Sorts the decompositions by type, keeping their order within each type. The type of the
+   first decomposition stays first, as the first decomposition is where the transformation
+   starts.
+*/
+function sortByType(entries) {
+  const firstType = entries.length > 0 ? entries[0].type : null;
+  const rank = type => type === firstType ? '' : type;
+  return entries
+    .map((entry, index) => ({ entry: entry, index: index }))
+    .sort((a, b) => rank(a.entry.type).localeCompare(rank(b.entry.type)) || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+/* Returns the formatted text of a .fudomo file. With options.sortByType, the decompositions
+   are sorted by type (see sortByType) and separated by a blank line between types.
+   Throws a DecompositionSyntaxError (for options.path) if the text has syntax errors, as it
+   can not be formatted without changing its meaning then.
+*/
+function formatFudomoText(text, options = {}) {
+  const transformation = parseFudomoText(text, options.path || null);
+  if (hasSyntaxError(transformation)) {
+    throw new DecompositionSyntaxError(options.path || 'the file', transformation, text);
+  }
+  const lines = text.split('\n');
+  const endPosition = [lines.length - 1, lines[lines.length - 1].length];
+  const inlineRows = new Set();
+  for (const inlineFunction of transformation.inlineFunctions) {
+    for (let row = inlineFunction.openRow; row <= inlineFunction.closeRow; row++) inlineRows.add(row);
+  }
+
+  let previousEnd = [0, 0];
+  let entries = transformation.tree.decompositions.map(node => {
+    const { blankBefore, comments } = collectComments(lines, previousEnd, node.typedFunction.location[0], inlineRows);
+    // The comments after the last line of the decomposition are collected for the next one
+    const lastRow = node.location[1][0];
+    previousEnd = [lastRow, lines[lastRow].length];
+    const inlineFunction = transformation.inlineFunctions.find(inlineFunction => inlineFunction.decomposition.node === node);
+    const decompositionLines = [formatTypedFunction(node.typedFunction) + ':'].concat(formatLinks(node.links));
+    const endOfLineComment = findEndOfLineComment(node, lines);
+    if (endOfLineComment !== null) decompositionLines.push(decompositionLines.pop() + ' ' + endOfLineComment);
+    return {
+      type: node.typedFunction.type,
+      blankBefore: blankBefore,
+      lines: comments
+        .concat(decompositionLines)
+        .concat(inlineFunction !== undefined ? formatInlineFunction(inlineFunction, lines) : [])
+    };
+  });
+  // The comments at the end, which belong to no decomposition
+  const trailing = collectComments(lines, previousEnd, endPosition, inlineRows);
+
+  if (options.sortByType) {
+    entries = sortByType(entries).map((entry, index, sorted) => Object.assign({}, entry, { blankBefore: index > 0 && entry.type !== sorted[index - 1].type }));
+  }
+  const outputLines = [];
+  for (const entry of entries) {
+    if (entry.blankBefore && outputLines.length > 0) outputLines.push('');
+    outputLines.push(...entry.lines);
+  }
+  if (trailing.comments.length > 0) {
+    if (trailing.blankBefore && outputLines.length > 0) outputLines.push('');
+    outputLines.push(...trailing.comments);
+  }
+  if (outputLines.length === 0) return '';
+  const lineBreak = text.includes('\r\n') ? '\r\n' : '\n';
+  return outputLines.join(lineBreak) + lineBreak;
+}
+
+module.exports = {
+  formatFudomoText: formatFudomoText
+};
@@ -0,0 +1,216 @@
+/* Golden file tests of transformations: the transformation of a config is run on several
+   data files, and each result is compared with an expected output file.
+
+   The tests are either the "tests" section of a .config file, or a .fudomo-test file
+   naming the config:
+
+     config: family2persons.config
+     tests:
+       - name: family without sons
+         data: tests/daughters.oyaml
+         expected: tests/daughters.expected
+
+   Paths are relative to the file containing them. If the result is a mapping of paths to
+   contents (see outputs.js), "expected" is a directory containing the expected files.
+*/
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const YAML = require('yaml');
+const { ConfigError, loadConfig } = require('./config.js');
+const { runTransformation } = require('./pipeline.js');
+const { isOutputMapping, writeFileAtomically } = require('./outputs.js');
+const { diffLines, isUnchanged } = require('./diff.js');
+const { positionForOffset } = require('./text.js');
+
+const readFile = util.promisify(fs.readFile);
+const readdir = util.promisify(fs.readdir);
+const stat = util.promisify(fs.stat);
+const unlink = util.promisify(fs.unlink);
+
+const TEST_FILE_EXTENSION = 'fudomo-test';
+
+async function readOptionalFile(filePath) {
+  try {
+    return await readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function isDirectory(filePath) {
+  try {
+    return (await stat(filePath)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Resolves to the paths of the files below directory, relative to it.
+async function listFiles(directory, relativeDirectory = '') {
+  const files = [];
+  for (const entry of await readdir(path.join(directory, relativeDirectory), { withFileTypes: true })) {
+    const relativePath = path.join(relativeDirectory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(directory, relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+/* Reads the test cases from the text of the file at filePath (a .config or .fudomo-test
+   file). Returns [{ name, dataPath, expectedPath, position }], where position is the range
+   of the test in the file. Throws a ConfigError if the tests are malformed.
+*/
+function parseTestCases(filePath, text) {
+  const doc = YAML.parseDocument(text);
+  if (doc.errors.length > 0) {
+    throw new ConfigError(`Could not parse "${path.basename(filePath)}": ${doc.errors[0].message}`);
+  }
+  const testsNode = doc.contents && doc.contents.type === 'MAP' ? doc.contents.get('tests', true) : undefined;
+  if (testsNode === undefined || testsNode === null) return [];
+  if (testsNode.type !== 'SEQ' && testsNode.type !== 'FLOW_SEQ') {
+    throw new ConfigError(`"tests" of "${path.basename(filePath)}" must be a sequence of tests.`);
+  }
+
+  const baseDir = path.dirname(path.resolve(filePath));
+  return testsNode.items.map((node, index) => {
+    const values = node !== null ? node.toJSON() : null;
+    if (values === null || typeof values !== 'object' || typeof values.data !== 'string' || typeof values.expected !== 'string') {
+      throw new ConfigError(`Test ${index + 1} of "${path.basename(filePath)}" must have the keys "data" and "expected".`);
+    }
+    const range = node.range || [0, 0];
+    return {
+      name: values.name !== undefined ? String(values.name) : values.data,
+      dataPath: path.resolve(baseDir, values.data),
+      expectedPath: path.resolve(baseDir, values.expected),
+      position: [positionForOffset(text, range[0]), positionForOffset(text, range[1])]
+    };
+  });
+}
+
+/* Resolves to { path, config, cases } for a .config file with a "tests" section or a
+   .fudomo-test file. Rejects with a ConfigError if the file is not valid.
+*/
+async function loadTestSuite(filePath) {
+  const text = await readOptionalFile(filePath);
+  if (text === null) throw new ConfigError('Test file not found.');
+  let configPath = filePath;
+  if (path.extname(filePath) === '.' + TEST_FILE_EXTENSION) {
+    const values = YAML.parse(text);
+    if (values === null || typeof values !== 'object' || typeof values.config !== 'string') {
+      throw new ConfigError(`"${path.basename(filePath)}" must name the .config file of the transformation ("config").`);
+    }
+    configPath = path.resolve(path.dirname(path.resolve(filePath)), values.config);
+  }
+  return {
+    path: path.resolve(filePath),
+    config: await loadConfig(configPath),
+    cases: parseTestCases(filePath, text)
+  };
+}
+
+/* The outcome of a test case. status is one of
+     'passed'
+     'failed': the result differs from the expected output
+     'new': there is no expected output yet
+     'error': the transformation failed (see error)
+   files are the compared files as [{ path, actual, expected }]; actual or expected is
+   null if the file was not produced or is not expected.
+*/
+class TestResult {
+  constructor(testCase, status, files = [], error = null) {
+    this.testCase = testCase;
+    this.status = status;
+    this.files = files;
+    this.error = error;
+  }
+
+  get changedFiles() {
+    return this.files.filter(file => file.actual !== file.expected);
+  }
+
+  // The line diffs of the changed files, as [{ path, hunks, onlyWhitespace }].
+  get diffs() {
+    return this.changedFiles.map(file => {
+      const hunks = diffLines(file.expected || '', file.actual || '');
+      // diffLines ignores a missing final newline
+      return { path: file.path, hunks: hunks, onlyWhitespace: isUnchanged(hunks) };
+    });
+  }
+}
+
+async function compareResult(testCase, result) {
+  if (!isOutputMapping(result)) {
+    const expected = await readOptionalFile(testCase.expectedPath);
+    const files = [{ path: testCase.expectedPath, actual: String(result), expected: expected }];
+    const status = expected === null ? 'new' : (expected === files[0].actual ? 'passed' : 'failed');
+    return new TestResult(testCase, status, files);
+  }
+
+  const expectedExists = await isDirectory(testCase.expectedPath);
+  const files = [];
+  for (const relativePath of Object.keys(result)) {
+    const filePath = path.resolve(testCase.expectedPath, relativePath);
+    files.push({ path: filePath, actual: String(result[relativePath]), expected: expectedExists ? await readOptionalFile(filePath) : null });
+  }
+  if (expectedExists) {
+    const produced = new Set(files.map(file => file.path));
+    for (const relativePath of await listFiles(testCase.expectedPath)) {
+      const filePath = path.resolve(testCase.expectedPath, relativePath);
+      if (!produced.has(filePath)) {
+        files.push({ path: filePath, actual: null, expected: await readFile(filePath, 'utf-8') });
+      }
+    }
+  }
+  const status = !expectedExists ? 'new' : (files.every(file => file.actual === file.expected) ? 'passed' : 'failed');
+  return new TestResult(testCase, status, files);
+}
+
+/* Runs the transformation of config on the data of the test case, and compares the result
+   with the expected output. options are passed on to runTransformation (consoleHandler,
+   cancellationToken). Resolves to a TestResult.
+*/
+async function runTestCase(config, testCase, options = {}) {
+  let result = null;
+  try {
+    result = (await runTransformation(config, Object.assign({}, options, { writeOutput: false, dataPath: testCase.dataPath }))).result;
+  } catch (error) {
+    return new TestResult(testCase, 'error', [], error);
+  }
+  return compareResult(testCase, result);
+}
+
+// Resolves to the TestResults of the test cases of the suite, which are run one after the other.
+async function runTestSuite(suite, options = {}) {
+  const results = [];
+  for (const testCase of suite.cases) {
+    if (options.cancellationToken) options.cancellationToken.throwIfCancelled();
+    results.push(await runTestCase(suite.config, testCase, options));
+  }
+  return results;
+}
+
+// Makes the actual output of the test result the expected output (deleting expected files that were not produced).
+async function acceptTestResult(testResult) {
+  for (const file of testResult.changedFiles) {
+    if (file.actual === null) {
+      await unlink(file.path);
+    } else {
+      await writeFileAtomically(file.path, file.actual);
+    }
+  }
+}
+
+module.exports = {
+  TEST_FILE_EXTENSION: TEST_FILE_EXTENSION,
+  TestResult: TestResult,
+  parseTestCases: parseTestCases,
+  loadTestSuite: loadTestSuite,
+  runTestCase: runTestCase,
+  runTestSuite: runTestSuite,
+  acceptTestResult: acceptTestResult
+};
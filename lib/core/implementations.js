@@ -0,0 +1,104 @@
+/* Maps decompositions to the functions implementing them in a functions file, using the
+   naming scheme of the skeleton generators ("Type_function").
+*/
+const path = require('path');
+const { getSkeletonGenerator, SKELETON_GENERATORS } = require('fudomo-transform');
+
+const NAME = '[a-zA-Z][a-zA-Z0-9]*_[a-zA-Z][a-zA-Z0-9]*';
+
+// Patterns of function definitions, the name is the first group.
+const DEFINITION_PATTERNS = {
+  js: [
+    new RegExp(`^\\s*(${NAME})\\s*:`), // Name: function(...) / Name: (...) =>
+    new RegExp(`^\\s*(?:async\\s+)?(${NAME})\\s*\\([^)]*\\)\\s*\\{`), // Name(...) {
+    new RegExp(`^\\s*(?:module\\.)?exports\\.(${NAME})\\s*=`) // exports.Name = ...
+  ],
+  python: [
+    new RegExp(`^def\\s+(${NAME})\\s*\\(`)
+  ]
+};
+
+// Returns the id of the skeleton language of a functions file (eg. 'python' for '.py'), or null.
+function getFunctionsLanguageId(functionsPath) {
+  const extension = path.extname(functionsPath).slice(1);
+  const language = SKELETON_GENERATORS.find(language => language.extension === extension);
+  return language !== undefined ? language.id : null;
+}
+
+function getFunctionName(decomposition) {
+  return decomposition.function.externalName;
+}
+
+/* Returns the functions defined in the text of a functions file as [{ name, range }],
+   where range is the range of the name, in the order of their definition.
+*/
+function listFunctionDefinitions(text, languageId) {
+  const patterns = DEFINITION_PATTERNS[languageId] || [];
+  const definitions = [];
+  text.split('\n').forEach((line, row) => {
+    for (const pattern of patterns) {
+      const match = line.match(pattern);
+      if (match !== null) {
+        const column = match.index + match[0].indexOf(match[1]);
+        definitions.push({ name: match[1], range: [[row, column], [row, column + match[1].length]] });
+        break;
+      }
+    }
+  });
+  return definitions;
+}
+
+// Returns the range of the name of the function implementing decomposition, or null if there is none.
+function findImplementation(text, languageId, decomposition) {
+  const definition = listFunctionDefinitions(text, languageId).find(definition => definition.name === getFunctionName(decomposition));
+  return definition !== undefined ? definition.range : null;
+}
+
+// Returns the name of the function whose definition contains position (the last one starting before it), or null.
+function getFunctionNameAt(text, languageId, position) {
+  let name = null;
+  for (const definition of listFunctionDefinitions(text, languageId)) {
+    if (definition.range[0][0] > position[0]) break;
+    name = definition.name;
+  }
+  return name;
+}
+
+// Returns the decomposition of the transformation implemented by the function with the given name, or null.
+function findDecompositionForFunction(transformation, functionName) {
+  return transformation.decompositions.find(decomposition => getFunctionName(decomposition) === functionName) || null;
+}
+
+/* Returns the text of the functions file with the skeleton of the decomposition function
+   appended. For JavaScript, the function is added at the end of the "module.exports"
+   object literal. Throws an Error if the end of the object literal can not be found.
+*/
+function appendSkeleton(text, languageId, decomposition) {
+  const skeleton = getSkeletonGenerator(languageId).generateDecompositionFunction(decomposition);
+  if (languageId !== 'js') {
+    return text.replace(/\s*$/, '') + (text.trim() === '' ? '' : '\n\n\n') + skeleton + '\n';
+  }
+
+  const match = text.match(/\}\s*;?\s*$/);
+  if (match === null) {
+    throw new Error('Can not find the end of the "module.exports" object in the functions file.');
+  }
+  let before = text.slice(0, match.index).replace(/\s*$/, '');
+  let separator = '\n\n';
+  if (before.endsWith('{')) {
+    separator = '\n'; // Empty object literal
+  } else if (!before.endsWith(',')) {
+    before += ',';
+  }
+  return before + separator + skeleton + '\n' + text.slice(match.index);
+}
+
+module.exports = {
+  getFunctionsLanguageId: getFunctionsLanguageId,
+  getFunctionName: getFunctionName,
+  listFunctionDefinitions: listFunctionDefinitions,
+  findImplementation: findImplementation,
+  getFunctionNameAt: getFunctionNameAt,
+  findDecompositionForFunction: findDecompositionForFunction,
+  appendSkeleton: appendSkeleton
+};
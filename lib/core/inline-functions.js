@@ -0,0 +1,235 @@
+/* Decomposition functions defined inline in a .fudomo file: a fenced JavaScript block after
+   the links of a decomposition is the body of its function, whose parameters are those of
+   the decomposition.
+
+     Person.fullName:
+       firstName, lastName
+       ```js
+       return firstName + ' ' + lastName;
+       ```
+
+   The parser of fudomo-transform does not know the blocks, so they are blanked out (keeping
+   all positions) before the text is parsed. The inline functions run in the sandbox of the
+   "javascriptvm" runner, in a module whose lines are those of the .fudomo file, so that the
+   stack traces of errors point into the .fudomo file. Functions that are not defined inline
+   are taken from the functions file of the config, in any language.
+*/
+const path = require('path');
+const vm = require('vm');
+const { VM } = require('vm2');
+const { parseFudomo, getRunnerClassById, getSkeletonGenerator } = require('fudomo-transform');
+
+const FENCE_PATTERN = /^\s*```\s*([\w-]*)\s*$/;
+const INLINE_LANGUAGES = ['js', 'javascript'];
+
+// Replaces all characters of the line but line breaks with spaces.
+function blankLine(line) {
+  return line.replace(/[^\r]/g, ' ');
+}
+
+/* Finds the fenced blocks of text. Returns { text, blocks }, where text has the blocks
+   replaced by spaces and blocks are { language, openRow, closeRow, bodyLines }. closeRow is
+   null if the block is not closed.
+*/
+function extractInlineBlocks(text) {
+  const lines = text.split('\n');
+  const blocks = [];
+  let block = null;
+  lines.forEach((line, row) => {
+    const match = line.match(FENCE_PATTERN);
+    if (match !== null && (block === null || match[1] !== '')) {
+      // A fence with a language always starts a block, so a block that is not closed ends there
+      block = { language: match[1].toLowerCase(), openRow: row, closeRow: null, bodyLines: [] };
+      blocks.push(block);
+    } else if (match !== null) {
+      block.closeRow = row;
+      block = null;
+    } else if (block !== null) {
+      block.bodyLines.push(line);
+    } else {
+      return;
+    }
+    lines[row] = blankLine(line);
+  });
+  return { text: lines.join('\n'), blocks: blocks };
+}
+
+function lineRange(lines, startRow, endRow) {
+  return [[startRow, 0], [endRow, lines[endRow].replace(/\r$/, '').length]];
+}
+
+/* Parses the text of a .fudomo file like parseFudomo, including its inline functions. The
+   transformation has two additional properties:
+     inlineFunctions: [{ decomposition, functionName, parameters, openRow, closeRow, body, range }]
+       where openRow and closeRow are the rows of the fences, and range is the range of the
+       block, including the fences
+     inlineFunctionErrors: [{ message, range }] for blocks that are not closed, not
+       JavaScript, not after a decomposition or not the only one of their decomposition, and
+       for JavaScript syntax errors
+   The inline functions are only parsed if the decompositions have no syntax errors.
+*/
+function parseFudomoText(text, sourceLocation = null) {
+  const { text: decompositionText, blocks } = extractInlineBlocks(text);
+  const transformation = parseFudomo(decompositionText, sourceLocation);
+  const lines = text.split('\n');
+  const inlineFunctions = [];
+  const errors = [];
+  if (blocks.length > 0 && transformation.tree !== undefined && !transformation.hasError) {
+    const criteria = getSkeletonGenerator('js').getFunctionValidationCriteria(transformation);
+    for (const block of blocks) {
+      const range = lineRange(lines, block.openRow, block.closeRow !== null ? block.closeRow : lines.length - 1);
+      if (block.closeRow === null) {
+        errors.push({ message: 'Inline function is not closed with "```".', range: range });
+        continue;
+      }
+      if (!INLINE_LANGUAGES.includes(block.language)) {
+        errors.push({ message: `Inline functions must be written in JavaScript ("\`\`\`js"), not "${block.language || 'unspecified'}".`, range: range });
+        continue;
+      }
+      const decomposition = transformation.decompositions.filter(d => d.node.location[0][0] < block.openRow).pop();
+      if (decomposition === undefined) {
+        errors.push({ message: 'Inline function must follow the links of a decomposition.', range: range });
+        continue;
+      }
+      const criterion = criteria.find(criterion => criterion.decompositionQualifiedName === decomposition.function.qualifiedName);
+      if (inlineFunctions.some(inlineFunction => inlineFunction.decomposition.node === decomposition.node)) {
+        errors.push({ message: `Decomposition "${decomposition.function.qualifiedName}" has more than one inline function.`, range: range });
+        continue;
+      }
+      inlineFunctions.push({
+        decomposition: decomposition,
+        functionName: criterion.functionName,
+        parameters: criterion.parameters,
+        openRow: block.openRow,
+        closeRow: block.closeRow,
+        body: block.bodyLines.join('\n'),
+        range: range
+      });
+    }
+  }
+  transformation.inlineFunctions = inlineFunctions;
+  transformation.inlineFunctionErrors = errors.length > 0 ? errors : findSyntaxErrors(lines, inlineFunctions, sourceLocation);
+  return transformation;
+}
+
+/* The JavaScript module defining the inline functions. Its lines are those of the .fudomo
+   file (the function header on the line of the opening fence, the body on its own lines).
+*/
+function generateInlineModuleSource(inlineFunctions) {
+  const lines = new Array(Math.max(...inlineFunctions.map(inlineFunction => inlineFunction.closeRow)) + 1).fill('');
+  lines[0] = 'const exports = module.exports = {};';
+  for (const inlineFunction of inlineFunctions) {
+    lines[inlineFunction.openRow] = `exports.${inlineFunction.functionName} = function ${inlineFunction.functionName}(${inlineFunction.parameters.join(', ')}) {`;
+    inlineFunction.body.split('\n').forEach((line, index) => {
+      lines[inlineFunction.openRow + 1 + index] = line;
+    });
+    lines[inlineFunction.closeRow] = '};';
+  }
+  return lines.join('\n') + '\nmodule.exports;\n';
+}
+
+// Compiles the inline functions without running them. Returns the syntax error as [{ message, range }], if any.
+function findSyntaxErrors(lines, inlineFunctions, filePath) {
+  if (inlineFunctions.length === 0) return [];
+  try {
+    new vm.Script(generateInlineModuleSource(inlineFunctions), { filename: filePath || 'inline.js' });
+    return [];
+  } catch (error) {
+    const match = String(error.stack).match(/:(\d+)\n/);
+    const row = match !== null ? Number(match[1]) - 1 : 0;
+    const inlineFunction = inlineFunctions.find(f => f.openRow <= row && row <= f.closeRow) || inlineFunctions[0];
+    const errorRow = row > inlineFunction.openRow && row < inlineFunction.closeRow ? row : inlineFunction.openRow;
+    return [{ message: `${error.name}: ${error.message}`, range: lineRange(lines, errorRow, errorRow) }];
+  }
+}
+
+const JSVM2DecompositionFunctionRunner = getRunnerClassById('javascriptvm');
+
+/* Runs the inline functions in the sandbox of the "javascriptvm" runner. Their console writes
+   to the consoleHandler of the run (like the output of Python functions), not to stdout, which
+   carries the results of the CLI and the messages of the language server.
+*/
+class InlineFunctionRunner extends JSVM2DecompositionFunctionRunner {
+  // config: { functions: the path of the .fudomo file, source: see generateInlineModuleSource, consoleHandler }
+  initExternalFunctions(baseDir, config) {
+    this.consoleHandler = config.consoleHandler || console;
+    const log = (...args) => this.consoleHandler.log(...args);
+    const error = (...args) => this.consoleHandler.error(...args);
+    const sandbox = new VM({
+      sandbox: { 'module': {}, console: { log: log, info: log, debug: log, warn: error, error: error } }
+    });
+    this.externalFunctions = sandbox.run(config.source, config.functions);
+  }
+}
+
+/* A runner calling the inline functions, and the functions of fileRunner (the runner of the
+   functions file, or null if the config has none) for the other decompositions.
+*/
+class CombinedFunctionRunner {
+  constructor(inlineRunner, fileRunner) {
+    this.inlineRunner = inlineRunner;
+    this.fileRunner = fileRunner;
+    this.languageId = fileRunner !== null ? fileRunner.languageId : inlineRunner.languageId;
+    this.lastRunner = inlineRunner;
+  }
+
+  finalize() {
+    this.inlineRunner.finalize();
+    if (this.fileRunner !== null) this.fileRunner.finalize();
+  }
+
+  runnerFor(name) {
+    if (this.inlineRunner.hasFunctionSync(name) || this.fileRunner === null) return this.inlineRunner;
+    return this.fileRunner;
+  }
+
+  async hasFunction(name) {
+    return this.runnerFor(name).hasFunction(name);
+  }
+
+  async callFunction(name, args) {
+    this.lastRunner = this.runnerFor(name);
+    return this.lastRunner.callFunction(name, args);
+  }
+
+  // Validates the inline functions with the inline runner, and the others with the file runner.
+  async validateFunctions(validationCriteria) {
+    const inlineCriteria = validationCriteria.filter(criterion => this.inlineRunner.hasFunctionSync(criterion.functionName));
+    const otherCriteria = validationCriteria.filter(criterion => !inlineCriteria.includes(criterion));
+    const runner = this.fileRunner !== null ? this.fileRunner : this.inlineRunner;
+    return (await this.inlineRunner.validateFunctions(inlineCriteria)).concat(await runner.validateFunctions(otherCriteria));
+  }
+
+  exceptionToStackFrame(exception) {
+    return this.lastRunner.exceptionToStackFrame(exception);
+  }
+}
+
+/* Returns the runner for the transformation (see parseFudomoText) of the .fudomo file at
+   filePath: fileRunner if it has no inline functions, otherwise a CombinedFunctionRunner.
+   The console of the inline functions writes to consoleHandler ({ log, error }).
+*/
+function createInlineFunctionRunner(transformation, filePath, fileRunner, consoleHandler = console) {
+  if (transformation.inlineFunctions.length === 0) return fileRunner;
+  const source = generateInlineModuleSource(transformation.inlineFunctions);
+  return new CombinedFunctionRunner(new InlineFunctionRunner(path.dirname(filePath), { functions: filePath, source: source, consoleHandler: consoleHandler }), fileRunner);
+}
+
+// The inline function of the decomposition, or undefined. (Decomposition objects are created on every access, so their nodes are compared.)
+function getInlineFunction(transformation, decomposition) {
+  return (transformation.inlineFunctions || []).find(inlineFunction => inlineFunction.decomposition.node === decomposition.node);
+}
+
+// The transformation without the decompositions that have inline functions, eg. for generating skeletons.
+function withoutInlineFunctions(transformation) {
+  if ((transformation.inlineFunctions || []).length === 0) return transformation;
+  const decompositions = transformation.decompositions.filter(decomposition => getInlineFunction(transformation, decomposition) === undefined);
+  return Object.create(transformation, { decompositions: { get: () => decompositions } });
+}
+
+module.exports = {
+  parseFudomoText: parseFudomoText,
+  createInlineFunctionRunner: createInlineFunctionRunner,
+  getInlineFunction: getInlineFunction,
+  withoutInlineFunctions: withoutInlineFunctions
+};
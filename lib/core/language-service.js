@@ -0,0 +1,255 @@
+/* Editor-independent analysis of a single .fudomo file, used by the language server.
+   Positions are [row, column] and ranges [[row, column], [row, column]] (both zero-based),
+   as in the rest of the core.
+*/
+const { TransformationValidator } = require('fudomo-transform');
+const { DecompositionSyntaxError, hasSyntaxError } = require('./pipeline.js');
+const { makeMessage } = require('./validation.js');
+const { getTransformationSolutions } = require('./quick-fixes.js');
+const { parseFudomoText } = require('./inline-functions.js');
+
+// Names of functions that are provided by Fudomo and can not be defined by decompositions.
+const BUILTIN_FUNCTION_NAMES = ['center', 'val', 'cont'];
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class RenameError extends Error {
+}
+
+function rangeContains(range, position) {
+  const [[startRow, startColumn], [endRow, endColumn]] = range;
+  const [row, column] = position;
+  if (row < startRow || row > endRow) return false;
+  if (row == startRow && column < startColumn) return false;
+  if (row == endRow && column > endColumn) return false;
+  return true;
+}
+
+// The range of the function name in "Type.name" given the location of the whole typed function.
+function nameRange(typedFunctionNode) {
+  const end = typedFunctionNode.location[1];
+  return [[end[0], end[1] - typedFunctionNode.untypedFunction.length], end];
+}
+
+function typeRange(typedFunctionNode) {
+  const start = typedFunctionNode.location[0];
+  return [start, [start[0], start[1] + typedFunctionNode.type.length]];
+}
+
+function decompositionSignature(decomposition) {
+  const links = decomposition.links.map(link => link.toString()).join(', ');
+  return `${decomposition.function.qualifiedName}:\n  ${links}`;
+}
+
+/* A parsed .fudomo document. Every mention of a decomposition function (in the
+   signature of a decomposition or in a link) is recorded as an occurrence:
+     { qualifiedName, range, isDefinition, decomposition, link }
+   where decomposition is the decomposition containing the occurrence and link is
+   null for definitions. Links to abstract functions ("Object.f") have the
+   qualifiedName "Object.f" and refer to all decompositions named f.
+*/
+class FudomoDocument {
+  constructor(filePath, text) {
+    this.filePath = filePath;
+    this.text = text;
+    this.transformation = parseFudomoText(text, filePath);
+    this.hasSyntaxError = hasSyntaxError(this.transformation);
+    this.decompositions = this.hasSyntaxError ? [] : this.transformation.decompositions;
+    this.occurrences = [];
+
+    for (const decomposition of this.decompositions) {
+      const functionNode = decomposition.node.typedFunction;
+      this.occurrences.push({
+        qualifiedName: decomposition.function.qualifiedName,
+        range: nameRange(functionNode),
+        isDefinition: true,
+        decomposition: decomposition,
+        link: null
+      });
+      for (const link of decomposition.links) {
+        if (link.kind == 'local') {
+          // Local links refer to a decomposition of the same type, or to an attribute
+          const qualifiedName = `${decomposition.function.type}.${link.function.name}`;
+          if (this.getDecompositions(qualifiedName).length == 0) continue;
+          this.occurrences.push({ qualifiedName: qualifiedName, range: link.node.location, isDefinition: false, decomposition: decomposition, link: link });
+        } else {
+          this.occurrences.push({
+            qualifiedName: link.function.qualifiedName,
+            range: nameRange(link.node.typedFunction),
+            isDefinition: false,
+            decomposition: decomposition,
+            link: link
+          });
+        }
+      }
+    }
+  }
+
+  // Decompositions defining qualifiedName. For abstract functions ("Object.f"), all decompositions named f.
+  getDecompositions(qualifiedName) {
+    const [type, name] = qualifiedName.split('.');
+    if (type === 'Object') {
+      return this.decompositions.filter(decomposition => decomposition.function.name === name);
+    }
+    return this.decompositions.filter(decomposition => decomposition.function.qualifiedName === qualifiedName);
+  }
+
+  getOccurrenceAt(position) {
+    return this.occurrences.find(occurrence => rangeContains(occurrence.range, position)) || null;
+  }
+
+  // Whether an occurrence of qualifiedName (possibly "Object.f") refers to the decomposition with otherQualifiedName.
+  static refersTo(qualifiedName, otherQualifiedName) {
+    if (qualifiedName === otherQualifiedName) return true;
+    const [type, name] = qualifiedName.split('.');
+    const [otherType, otherName] = otherQualifiedName.split('.');
+    return name === otherName && (type === 'Object' || otherType === 'Object');
+  }
+
+  /* Diagnostics as linter messages: syntax errors, decompositions defined more than once
+     and, if a metamodel is given, the errors found by the TransformationValidator (with
+     their quick fixes as solutions).
+  */
+  getDiagnostics(metamodel = null) {
+    if (this.hasSyntaxError) {
+      const error = new DecompositionSyntaxError(this.filePath, this.transformation, this.text);
+      return error.errors.map(syntaxError => makeMessage(this.filePath, syntaxError.position, syntaxError.excerpt));
+    }
+
+    const messages = [];
+    const seen = new Set();
+    for (const decomposition of this.decompositions) {
+      const qualifiedName = decomposition.function.qualifiedName;
+      if (seen.has(qualifiedName)) {
+        messages.push(makeMessage(this.filePath, decomposition.function.node.location, `Decomposition "${qualifiedName}" is defined more than once.`));
+      }
+      seen.add(qualifiedName);
+    }
+
+    if (metamodel !== null) {
+      try {
+        const validator = new TransformationValidator(metamodel, this.transformation);
+        for (const error of validator.errors) {
+          const message = makeMessage(this.filePath, error.location, error.message, error.context);
+          const solutions = getTransformationSolutions(error, metamodel, this.text);
+          if (solutions !== undefined) message.solutions = solutions;
+          messages.push(message);
+        }
+      } catch (error) {
+        // The validator fails on some references to types that are not in the metamodel
+        messages.push(makeMessage(this.filePath, [[0, 0], [0, 0]], `The transformation could not be validated against the metamodel: ${error.message}`, '', 'warning'));
+      }
+    }
+    return messages;
+  }
+
+  // Ranges of the decompositions the function at position refers to.
+  findDefinitions(position) {
+    const occurrence = this.getOccurrenceAt(position);
+    if (occurrence === null) return [];
+    return this.getDecompositions(occurrence.qualifiedName).map(decomposition => nameRange(decomposition.node.typedFunction));
+  }
+
+  // Ranges of all occurrences of the function at position.
+  findReferences(position, includeDeclaration = true) {
+    const occurrence = this.getOccurrenceAt(position);
+    if (occurrence === null) return [];
+    return this.occurrences
+      .filter(other => FudomoDocument.refersTo(occurrence.qualifiedName, other.qualifiedName))
+      .filter(other => includeDeclaration || !other.isDefinition)
+      .map(other => other.range);
+  }
+
+  // Resolves to { range, contents } for the function at position (contents is markdown), or null.
+  getHover(position) {
+    const occurrence = this.getOccurrenceAt(position);
+    if (occurrence === null) return null;
+
+    const sections = [];
+    if (occurrence.link !== null) {
+      const link = occurrence.link;
+      const parameterType = link.parameterTypeDescription !== null ? ` (${link.parameterTypeDescription})` : '';
+      sections.push(`Parameter \`${link.parameterName}\`${parameterType}: ${link.parameterDescription}`);
+    }
+    for (const decomposition of this.getDecompositions(occurrence.qualifiedName)) {
+      sections.push('```fudomo\n' + decompositionSignature(decomposition) + '\n```');
+      if (decomposition.comment) {
+        sections.push(decomposition.comment);
+      }
+    }
+    return { range: occurrence.range, contents: sections.join('\n\n') };
+  }
+
+  /* The decompositions grouped by type:
+     [{ name: type, range, children: [{ name, qualifiedName, range, selectionRange }] }]
+  */
+  getSymbols() {
+    const types = new Map();
+    for (const decomposition of this.decompositions) {
+      const functionNode = decomposition.node.typedFunction;
+      let typeSymbol = types.get(functionNode.type);
+      if (typeSymbol === undefined) {
+        typeSymbol = { name: functionNode.type, range: decomposition.node.location, selectionRange: typeRange(functionNode), children: [] };
+        types.set(functionNode.type, typeSymbol);
+      }
+      typeSymbol.range = [typeSymbol.range[0], decomposition.node.location[1]];
+      typeSymbol.children.push({
+        name: functionNode.untypedFunction,
+        qualifiedName: decomposition.function.qualifiedName,
+        detail: decomposition.links.map(link => link.toString()).join(', '),
+        range: decomposition.node.location,
+        selectionRange: nameRange(functionNode)
+      });
+    }
+    return Array.from(types.values());
+  }
+
+  // The range of the renameable function name at position. Throws a RenameError if there is none.
+  prepareRename(position) {
+    const occurrence = this.getOccurrenceAt(position);
+    if (occurrence === null) {
+      throw new RenameError('Only decomposition functions can be renamed.');
+    }
+    if (occurrence.qualifiedName.startsWith('Object.')) {
+      throw new RenameError(`"${occurrence.qualifiedName}" is an abstract function, rename one of its decompositions instead.`);
+    }
+    if (this.getDecompositions(occurrence.qualifiedName).length == 0) {
+      throw new RenameError(`There is no decomposition for "${occurrence.qualifiedName}".`);
+    }
+    return occurrence.range;
+  }
+
+  /* Returns the edits ({ range, newText }) renaming the decomposition function at
+     position to newName. Throws a RenameError if the rename is not possible.
+  */
+  getRenameEdits(position, newName) {
+    this.prepareRename(position);
+    const occurrence = this.getOccurrenceAt(position);
+    const [type, name] = occurrence.qualifiedName.split('.');
+
+    if (!IDENTIFIER_PATTERN.test(newName)) {
+      throw new RenameError(`"${newName}" is not a valid function name.`);
+    }
+    if (BUILTIN_FUNCTION_NAMES.includes(newName)) {
+      throw new RenameError(`"${newName}" is a built-in function.`);
+    }
+    if (this.getDecompositions(`${type}.${newName}`).length > 0) {
+      throw new RenameError(`A decomposition "${type}.${newName}" already exists.`);
+    }
+    // Links to "Object.<name>" would no longer find the renamed decomposition
+    const abstractLink = this.occurrences.find(other => other.qualifiedName === `Object.${name}`);
+    if (abstractLink !== undefined) {
+      throw new RenameError(`"${occurrence.qualifiedName}" is used by the abstract link "${abstractLink.link.toString()}".`);
+    }
+
+    return this.occurrences
+      .filter(other => other.qualifiedName === occurrence.qualifiedName)
+      .map(other => ({ range: other.range, newText: newName }));
+  }
+}
+
+module.exports = {
+  RenameError: RenameError,
+  FudomoDocument: FudomoDocument,
+  rangeContains: rangeContains
+};
@@ -0,0 +1,221 @@
+/* Renders a metamodel (see metamodel-schema.js) as an SVG class diagram: a box per type with
+   its attributes, and arrows for the references between types. Containments ("cont") are
+   drawn with a diamond at the container.
+
+   The types are laid out in rows: the first row holds Root (or the types that are not
+   contained by any other type), each following row the types contained by the row above.
+   Types that can not be reached by containment are put into the last row.
+*/
+const { SCALAR_TYPES, ANY_TYPE, CONTAINMENT_FEATURE } = require('./metamodel-schema.js');
+
+const CHAR_WIDTH = 7.2; // Of the 12px monospace font
+const LINE_HEIGHT = 16;
+const PADDING = 8;
+const COLUMN_GAP = 48;
+const ROW_GAP = 72;
+const MIN_BOX_WIDTH = 80;
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c]);
+}
+
+// Rounds a coordinate, to keep the SVG text short.
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function asArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/* Describes the types of a metamodel (as parsed from YAML) as
+   [{ name, scalarTypes, attributes: [{ name, types }], references: [{ name, types, containment }] }].
+   Features whose types are scalar (or Object) are attributes, the other types of a feature
+   are references. scalarTypes is null for types that have features. Malformed entries are skipped.
+*/
+function describeMetamodel(metamodel) {
+  if (metamodel === null || typeof metamodel !== 'object' || Array.isArray(metamodel)) return [];
+  const types = [];
+  for (const name of Object.keys(metamodel)) {
+    const spec = metamodel[name];
+    const type = { name: name, scalarTypes: null, attributes: [], references: [] };
+    if (typeof spec === 'string' || Array.isArray(spec)) {
+      type.scalarTypes = asArray(spec).map(String);
+    } else if (spec !== null && typeof spec === 'object') {
+      for (const featureName of Object.keys(spec)) {
+        const featureTypes = asArray(spec[featureName]).filter(featureType => typeof featureType === 'string');
+        const attributeTypes = featureTypes.filter(featureType => SCALAR_TYPES.includes(featureType) || featureType === ANY_TYPE);
+        const referenceTypes = featureTypes.filter(featureType => !attributeTypes.includes(featureType));
+        if (attributeTypes.length > 0 || referenceTypes.length === 0) {
+          type.attributes.push({ name: featureName, types: attributeTypes });
+        }
+        if (referenceTypes.length > 0) {
+          type.references.push({ name: featureName, types: referenceTypes, containment: featureName === CONTAINMENT_FEATURE });
+        }
+      }
+    }
+    types.push(type);
+  }
+  return types;
+}
+
+// Assigns each type the row it is drawn in. Returns an Array of rows (Arrays of types).
+function layoutRows(types) {
+  const byName = new Map(types.map(type => [type.name, type]));
+  const contained = new Set();
+  for (const type of types) {
+    for (const reference of type.references.filter(reference => reference.containment)) {
+      reference.types.filter(name => name !== type.name).forEach(name => contained.add(name));
+    }
+  }
+  let current = byName.has('Root') ? [byName.get('Root')] : types.filter(type => !contained.has(type.name));
+  const placed = new Set(current.map(type => type.name));
+  const rows = [];
+  while (current.length > 0) {
+    rows.push(current);
+    const next = [];
+    for (const type of current) {
+      for (const reference of type.references.filter(reference => reference.containment)) {
+        for (const name of reference.types) {
+          if (byName.has(name) && !placed.has(name)) {
+            placed.add(name);
+            next.push(byName.get(name));
+          }
+        }
+      }
+    }
+    current = next;
+  }
+  const unplaced = types.filter(type => !placed.has(type.name));
+  if (unplaced.length > 0) rows.push(unplaced);
+  return rows;
+}
+
+function boxLines(type) {
+  if (type.scalarTypes !== null) return [type.scalarTypes.join(' | ')];
+  return type.attributes.map(attribute => `${attribute.name}: ${attribute.types.join(' | ') || '-'}`);
+}
+
+// The point where the line from (x, y) (inside of box) in direction (dx, dy) leaves the box.
+function borderPoint(box, x, y, dx, dy) {
+  const tx = dx > 0 ? (box.x + box.width - x) / dx : dx < 0 ? (box.x - x) / dx : Infinity;
+  const ty = dy > 0 ? (box.y + box.height - y) / dy : dy < 0 ? (box.y - y) / dy : Infinity;
+  const t = Math.min(tx, ty);
+  return t !== Infinity ? [x + dx * t, y + dy * t] : [x, y];
+}
+
+function renderBox(box) {
+  const type = box.type;
+  const parts = [`<g class="fudomo-diagram-type" data-type="${escapeXml(type.name)}">`];
+  parts.push(`<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" fill="white" stroke="black"/>`);
+  let y = box.y + PADDING + LINE_HEIGHT - 4;
+  if (type.scalarTypes !== null) {
+    parts.push(`<text class="fudomo-diagram-stereotype" x="${box.x + box.width / 2}" y="${y}" text-anchor="middle">«scalar»</text>`);
+    y += LINE_HEIGHT;
+  }
+  parts.push(`<text class="fudomo-diagram-type-name" x="${box.x + box.width / 2}" y="${y}" text-anchor="middle" font-weight="bold">${escapeXml(type.name)}</text>`);
+  const lines = boxLines(type);
+  if (lines.length > 0) {
+    const separatorY = y + PADDING;
+    parts.push(`<line x1="${box.x}" y1="${separatorY}" x2="${box.x + box.width}" y2="${separatorY}" stroke="black"/>`);
+    lines.forEach((line, index) => {
+      parts.push(`<text class="fudomo-diagram-attribute" x="${box.x + PADDING}" y="${separatorY + (index + 1) * LINE_HEIGHT}">${escapeXml(line)}</text>`);
+    });
+  }
+  parts.push('</g>');
+  return parts.join('');
+}
+
+/* Renders the edge of a reference from source to target, which is the edge with the given
+   index of count edges between the two boxes. Parallel edges are drawn side by side.
+*/
+function renderEdge(source, target, reference, index, count) {
+  const className = reference.containment ? 'fudomo-diagram-containment' : 'fudomo-diagram-reference';
+  const markers = reference.containment ? 'marker-start="url(#fudomo-diamond)"' : 'marker-end="url(#fudomo-arrow)"';
+  let pathData;
+  let labelX;
+  let labelY;
+  if (source === target) {
+    // Loop on the right side of the box
+    const x = source.x + source.width;
+    const y = source.y + source.height / 2;
+    const size = 24 + index * 8;
+    pathData = `M ${x} ${y - 8} C ${x + size} ${y - 8 - size} ${x + size} ${y + 8 + size} ${x} ${y + 8}`;
+    labelX = x + size * 0.75 + 4;
+    labelY = y;
+  } else {
+    // Edges are oriented from the box drawn first, so that parallel edges in both directions get different offsets
+    const [first, second] = source.order < target.order ? [source, target] : [target, source];
+    const dx = second.x + second.width / 2 - (first.x + first.width / 2);
+    const dy = second.y + second.height / 2 - (first.y + first.height / 2);
+    const length = Math.sqrt(dx * dx + dy * dy);
+    const maxOffset = Math.min(first.width, first.height, second.width, second.height) / 2 - 4;
+    const offset = Math.max(-maxOffset, Math.min(maxOffset, (index - (count - 1) / 2) * 14));
+    const [nx, ny] = [-dy / length * offset, dx / length * offset];
+    const [fx, fy] = borderPoint(first, first.x + first.width / 2 + nx, first.y + first.height / 2 + ny, dx, dy);
+    const [sx, sy] = borderPoint(second, second.x + second.width / 2 + nx, second.y + second.height / 2 + ny, -dx, -dy);
+    const [x1, y1, x2, y2] = first === source ? [fx, fy, sx, sy] : [sx, sy, fx, fy];
+    pathData = `M ${round(x1)} ${round(y1)} L ${round(x2)} ${round(y2)}`;
+    // Labels of parallel edges are spread along the edges, so that they do not overlap
+    const t = count > 1 ? 0.3 + 0.4 * index / (count - 1) : 0.5;
+    labelX = fx + (sx - fx) * t + 4;
+    labelY = fy + (sy - fy) * t - 2;
+  }
+  return `<g class="${className}"><path d="${pathData}" fill="none" stroke="black" ${markers}/>` +
+    `<text class="fudomo-diagram-label" x="${round(labelX)}" y="${round(labelY)}">${escapeXml(reference.name)}</text></g>`;
+}
+
+// Returns the SVG class diagram of the metamodel (as parsed from YAML) as text.
+function createMetamodelDiagram(metamodel) {
+  const types = describeMetamodel(metamodel);
+  const boxes = new Map();
+  let y = PADDING;
+  let width = 0;
+  for (const row of layoutRows(types)) {
+    let x = PADDING;
+    let rowHeight = 0;
+    for (const type of row) {
+      const lines = [type.name].concat(boxLines(type));
+      const boxWidth = Math.max(MIN_BOX_WIDTH, Math.ceil(Math.max(...lines.map(line => line.length)) * CHAR_WIDTH) + 2 * PADDING);
+      const headerLines = type.scalarTypes !== null ? 2 : 1;
+      const boxHeight = (headerLines + lines.length - 1) * LINE_HEIGHT + (lines.length > 1 ? 3 : 2) * PADDING;
+      boxes.set(type.name, { type: type, order: boxes.size, x: x, y: y, width: boxWidth, height: boxHeight });
+      x += boxWidth + COLUMN_GAP;
+      rowHeight = Math.max(rowHeight, boxHeight);
+    }
+    width = Math.max(width, x - COLUMN_GAP + PADDING);
+    y += rowHeight + ROW_GAP;
+  }
+  const height = Math.max(y - ROW_GAP + PADDING, 2 * PADDING);
+  width = Math.max(width, 2 * PADDING) + 80; // Room for loops and their labels
+
+  const edges = [];
+  const edgeCounts = new Map();
+  for (const source of boxes.values()) {
+    for (const reference of source.type.references) {
+      for (const targetName of reference.types.filter(name => boxes.has(name))) {
+        const key = [source.type.name, targetName].sort().join('\n');
+        const index = edgeCounts.get(key) || 0;
+        edgeCounts.set(key, index + 1);
+        edges.push({ source: source, target: boxes.get(targetName), reference: reference, key: key, index: index });
+      }
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" class="fudomo-diagram" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="monospace" font-size="12">` +
+    '<defs>' +
+    '<marker id="fudomo-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">' +
+    '<path d="M 0 0 L 10 5 L 0 10" fill="none" stroke="black"/></marker>' +
+    '<marker id="fudomo-diamond" viewBox="0 0 16 10" refX="0" refY="5" markerWidth="14" markerHeight="10" orient="auto">' +
+    '<path d="M 0 5 L 8 0 L 16 5 L 8 10 Z" fill="black" stroke="black"/></marker>' +
+    '</defs>' +
+    edges.map(edge => renderEdge(edge.source, edge.target, edge.reference, edge.index, edgeCounts.get(edge.key))).join('') +
+    Array.from(boxes.values(), renderBox).join('') +
+    '</svg>\n';
+}
+
+module.exports = {
+  describeMetamodel: describeMetamodel,
+  createMetamodelDiagram: createMetamodelDiagram
+};
@@ -0,0 +1,252 @@
+/* Merging an inferred metamodel into an existing metamodel file.
+
+   The existing file is changed by inserting text only, so that its formatting, comments and
+   manual refinements are kept. New types are appended to the file, new features to their
+   types. Nothing is removed.
+
+   Where the data contradicts the metamodel (a feature has values of a type that is not
+   declared for it), the change that allows the values is a conflict: it is proposed, but
+   kept apart from the additions, so that it can be reviewed before it is written.
+*/
+const YAML = require('yaml');
+const { MetamodelInferer } = require('fudomo-transform');
+const { stringifyMetamodel } = require('./metamodel.js');
+const { positionForOffset } = require('./text.js');
+
+// Converts the Maps returned by MetamodelInferer to plain objects.
+function toPlainMetamodel(metamodel) {
+  if (!(metamodel instanceof Map)) return metamodel;
+  const result = {};
+  for (const [name, spec] of metamodel) {
+    if (spec instanceof Map) {
+      result[name] = {};
+      spec.forEach((types, featureName) => { result[name][featureName] = types; });
+    } else {
+      result[name] = spec;
+    }
+  }
+  return result;
+}
+
+function asArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isMapNode(node) {
+  return node !== null && node !== undefined && (node.type === 'MAP' || node.type === 'FLOW_MAP');
+}
+
+function isSeqNode(node) {
+  return node !== null && node !== undefined && (node.type === 'SEQ' || node.type === 'FLOW_SEQ');
+}
+
+function nodeValues(node) {
+  if (isSeqNode(node)) return node.items.map(item => item !== null ? item.value : null);
+  if (node === null || node === undefined || node.value === null) return [];
+  return [node.value];
+}
+
+// The offset after the last scalar of node (the end of the text of its last item).
+function contentEnd(node) {
+  if (isMapNode(node) || isSeqNode(node)) {
+    if (node.type.startsWith('FLOW') || node.items.length === 0) return node.range[1];
+    const last = node.items[node.items.length - 1];
+    if (last === null) return node.range[1];
+    if (last.type === 'PAIR') return contentEnd(last.value !== null ? last.value : last.key);
+    return contentEnd(last);
+  }
+  return node.range[1];
+}
+
+function lineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+// An insertion of lines after the line containing offset.
+function insertAfterLine(text, offset, lines, order) {
+  const newline = text.indexOf('\n', offset);
+  if (newline === -1) return { offset: text.length, text: '\n' + lines.join('\n'), order: order };
+  return { offset: newline + 1, text: lines.join('\n') + '\n', order: order };
+}
+
+// An insertion of items before the closing bracket of a flow collection.
+function insertIntoFlow(text, node, itemsText, order) {
+  const closing = text.lastIndexOf(node.type === 'FLOW_SEQ' ? ']' : '}', node.range[1]);
+  const isEmpty = node.items.length === 0;
+  return { offset: closing, text: (isEmpty ? '' : ', ') + itemsText, order: order };
+}
+
+/* Returns the edit that adds types to the list of types of a feature (or to the scalar types
+   of a type), given the node of its value and the node of its key (for missing values).
+*/
+function addTypesEdit(text, keyNode, valueNode, types, order) {
+  if (valueNode === null) {
+    return { offset: text.indexOf(':', keyNode.range[1]) + 1, text: ` [${types.join(', ')}]`, order: order };
+  }
+  if (valueNode.type === 'FLOW_SEQ') {
+    return insertIntoFlow(text, valueNode, types.join(', '), order);
+  }
+  if (valueNode.type === 'SEQ') {
+    const lastItem = valueNode.items[valueNode.items.length - 1];
+    const prefix = text.slice(lineStart(text, lastItem.range[0]), lastItem.range[0]);
+    return insertAfterLine(text, contentEnd(valueNode), types.map(type => prefix + type), order);
+  }
+  // A single type (or null), which becomes a list
+  return { offset: valueNode.range[0], text: `[${nodeValues(valueNode).concat(types).join(', ')}]`, order: order, replaceLength: valueNode.range[1] - valueNode.range[0] };
+}
+
+function featureLines(indent, featureName, types, flowStyle) {
+  if (flowStyle) return [`${indent}${featureName}: [${types.join(', ')}]`];
+  return [`${indent}${featureName}:`].concat(types.map(type => `${indent}  - ${type}`));
+}
+
+// Returns the edit adding features ({ name: types }) to the map of features of a type.
+function addFeaturesEdit(text, typePair, features, order) {
+  const mapNode = typePair.value;
+  const names = Object.keys(features);
+  if (mapNode !== null && mapNode.type === 'FLOW_MAP') {
+    return insertIntoFlow(text, mapNode, names.map(name => `${name}: [${features[name].join(', ')}]`).join(', '), order);
+  }
+  if (!isMapNode(mapNode) || mapNode.items.length === 0) {
+    const indent = ' '.repeat(typePair.key.range[0] - lineStart(text, typePair.key.range[0]) + 2);
+    const lines = [].concat(...names.map(name => featureLines(indent, name, features[name], false)));
+    return insertAfterLine(text, mapNode !== null ? mapNode.range[1] : typePair.key.range[1], lines, order);
+  }
+  const firstKey = mapNode.items[0].key;
+  const indent = ' '.repeat(firstKey.range[0] - lineStart(text, firstKey.range[0]));
+  const flowStyle = mapNode.items[0].value !== null && mapNode.items[0].value.type === 'FLOW_SEQ';
+  const lines = [].concat(...names.map(name => featureLines(indent, name, features[name], flowStyle)));
+  return insertAfterLine(text, contentEnd(mapNode), lines, order);
+}
+
+function applyEdits(text, edits) {
+  const sorted = edits.slice().sort((a, b) => b.offset - a.offset || b.order - a.order);
+  let result = text;
+  for (const edit of sorted) {
+    result = result.slice(0, edit.offset) + edit.text + result.slice(edit.offset + (edit.replaceLength || 0));
+  }
+  return result;
+}
+
+function nodePosition(text, node) {
+  return [positionForOffset(text, node.range[0]), positionForOffset(text, node.range[1])];
+}
+
+/* Merges the inferred metamodel (as returned by MetamodelInferer) into the text of an existing
+   metamodel file. Returns
+     {
+       text: the merged text, with the additions and the changes resolving the conflicts,
+       additionsText: the merged text with the additions only,
+       additions: [{ type, feature }] (feature is null for new types),
+       conflicts: [{ type, feature, message, position, resolvable }]
+     }
+   where position is the range of the conflicting declaration in the existing text.
+   Conflicts that are not resolvable are not changed in text. Throws an Error if the
+   existing metamodel can not be parsed.
+*/
+function mergeMetamodelText(existingText, inferredMetamodel) {
+  const inferred = toPlainMetamodel(inferredMetamodel);
+  const doc = YAML.parseDocument(existingText);
+  if (doc.errors.length > 0) {
+    throw new Error(`The existing metamodel can not be parsed: ${doc.errors[0].message}`);
+  }
+  const contents = doc.contents;
+  if (contents !== null && contents.value !== null && !isMapNode(contents)) {
+    throw new Error('The existing metamodel must be a mapping of type names to their features.');
+  }
+  const typePairs = new Map();
+  for (const pair of contents !== null && isMapNode(contents) ? contents.items : []) {
+    if (pair.key !== null && !typePairs.has(pair.key.value)) typePairs.set(pair.key.value, pair);
+  }
+
+  const additions = [];
+  const conflicts = [];
+  const additionEdits = [];
+  const conflictEdits = [];
+  const newTypes = new Map();
+  let order = 0;
+
+  for (const typeName of Object.keys(inferred)) {
+    const inferredSpec = inferred[typeName];
+    const typePair = typePairs.get(typeName);
+    if (typePair === undefined) {
+      newTypes.set(typeName, inferredSpec instanceof Object && !Array.isArray(inferredSpec) ? new Map(Object.entries(inferredSpec)) : inferredSpec);
+      additions.push({ type: typeName, feature: null });
+      continue;
+    }
+
+    const valueNode = typePair.value;
+    const inferredIsScalar = inferredSpec === null || typeof inferredSpec === 'string' || Array.isArray(inferredSpec);
+    const declaredIsScalar = valueNode !== null && !isMapNode(valueNode) && valueNode.value !== null;
+    if (inferredIsScalar && inferredSpec !== null) {
+      if (!declaredIsScalar) {
+        if (isMapNode(valueNode) && valueNode.items.length > 0) {
+          conflicts.push({ type: typeName, feature: null, message: `${typeName} is declared with features, but its objects in the data are ${asArray(inferredSpec).join(' or ')} values.`, position: nodePosition(existingText, typePair.key), resolvable: false });
+        }
+        continue;
+      }
+      const declared = nodeValues(valueNode);
+      const missing = asArray(inferredSpec).filter(type => !declared.includes(type));
+      if (missing.length > 0) {
+        conflicts.push({ type: typeName, feature: null, message: `${typeName} is declared as ${declared.join(' or ')}, but the data has ${missing.join(' and ')} values.`, position: nodePosition(existingText, valueNode), resolvable: true });
+        conflictEdits.push(addTypesEdit(existingText, typePair.key, valueNode, missing, order++));
+      }
+      continue;
+    }
+    if (inferredIsScalar) continue;
+    if (declaredIsScalar) {
+      conflicts.push({ type: typeName, feature: null, message: `${typeName} is declared as ${nodeValues(valueNode).join(' or ')}, but its objects in the data have features (${Object.keys(inferredSpec).join(', ')}).`, position: nodePosition(existingText, valueNode), resolvable: false });
+      continue;
+    }
+
+    const featurePairs = new Map();
+    for (const pair of isMapNode(valueNode) ? valueNode.items : []) {
+      if (pair.key !== null && !featurePairs.has(pair.key.value)) featurePairs.set(pair.key.value, pair);
+    }
+    const newFeatures = {};
+    for (const featureName of Object.keys(inferredSpec)) {
+      const inferredTypes = asArray(inferredSpec[featureName]);
+      const featurePair = featurePairs.get(featureName);
+      if (featurePair === undefined) {
+        newFeatures[featureName] = inferredTypes;
+        additions.push({ type: typeName, feature: featureName });
+        continue;
+      }
+      const declared = nodeValues(featurePair.value);
+      if (declared.includes('Object')) continue; // Allows values of any type
+      const missing = inferredTypes.filter(type => !declared.includes(type));
+      if (missing.length > 0) {
+        const declaredText = declared.length > 0 ? `declared as ${declared.join(' or ')}` : 'declared without types';
+        conflicts.push({ type: typeName, feature: featureName, message: `${typeName}.${featureName} is ${declaredText}, but the data has ${missing.join(' and ')} values.`, position: nodePosition(existingText, featurePair.key), resolvable: true });
+        conflictEdits.push(addTypesEdit(existingText, featurePair.key, featurePair.value, missing, order++));
+      }
+    }
+    if (Object.keys(newFeatures).length > 0) {
+      additionEdits.push(addFeaturesEdit(existingText, typePair, newFeatures, order++));
+    }
+  }
+
+  if (newTypes.size > 0) {
+    const separator = existingText === '' || existingText.endsWith('\n') ? '' : '\n';
+    additionEdits.push({ offset: existingText.length, text: separator + stringifyMetamodel(newTypes), order: order++ });
+  }
+
+  return {
+    text: applyEdits(existingText, additionEdits.concat(conflictEdits)),
+    additionsText: applyEdits(existingText, additionEdits),
+    additions: additions,
+    conflicts: conflicts
+  };
+}
+
+// Infers the metamodel of the data files and merges it into the text of an existing metamodel, see mergeMetamodelText.
+function updateMetamodelText(existingText, dataPaths) {
+  return mergeMetamodelText(existingText, new MetamodelInferer().inferMetamodelFromPaths(dataPaths));
+}
+
+module.exports = {
+  toPlainMetamodel: toPlainMetamodel,
+  mergeMetamodelText: mergeMetamodelText,
+  updateMetamodelText: updateMetamodelText
+};
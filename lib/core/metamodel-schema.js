@@ -0,0 +1,189 @@
+/* Linting of metamodel files (Metamodel.yaml, or the file referenced by the "metamodel" key
+   of a .config file). A metamodel maps each type either to its features, or to the scalar
+   type(s) of its values:
+
+     Family:
+       lastName: [String]
+       cont: [Member]
+     Name: String
+
+   Each feature lists the types its values may have: scalar types (String, Number, Boolean),
+   types of the metamodel, or Object for values of any type.
+*/
+const path = require('path');
+const YAML = require('yaml');
+const { ConfigError, readTextFile } = require('./config.js');
+const { makeMessage } = require('./validation.js');
+const { nodeRange, describeValueType } = require('./config-schema.js');
+const { findClosest } = require('./suggest.js');
+
+const SCALAR_TYPES = ['String', 'Number', 'Boolean'];
+const ANY_TYPE = 'Object';
+const CONTAINMENT_FEATURE = 'cont';
+const NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const DUPLICATE_KEY_ERROR = /^Map keys must be unique/;
+
+function isMapNode(node) {
+  return node !== null && node !== undefined && (node.type === 'MAP' || node.type === 'FLOW_MAP');
+}
+
+function isSeqNode(node) {
+  return node !== null && node !== undefined && (node.type === 'SEQ' || node.type === 'FLOW_SEQ');
+}
+
+function isStringNode(node) {
+  return node !== null && node !== undefined && typeof node.value === 'string';
+}
+
+/* Calls check(pair, name) for the pairs of mapNode with a valid name, and reports pairs
+   whose key is not a name or repeats an earlier key.
+*/
+function forEachNamedPair(text, mapNode, kind, addMessage, check) {
+  const firstRows = new Map();
+  for (const pair of mapNode.items) {
+    const keyNode = pair.key;
+    const keyPosition = nodeRange(text, keyNode || pair);
+    if (!isStringNode(keyNode) || !NAME_PATTERN.test(keyNode.value)) {
+      addMessage(keyPosition, `${kind} names must consist of letters, digits and underscores, and must not start with a digit.`);
+      continue;
+    }
+    const name = keyNode.value;
+    if (firstRows.has(name)) {
+      addMessage(keyPosition, `${kind} "${name}" is defined more than once.`, 'error', `It is first defined in line ${firstRows.get(name) + 1}.`);
+      continue;
+    }
+    firstRows.set(name, keyPosition[0][0]);
+    check(pair, name);
+  }
+}
+
+// Checks the scalar type(s) of a type whose values are scalars (eg. "Name: String").
+function validateScalarTypes(text, typeName, nodes, addMessage) {
+  for (const node of nodes) {
+    if (isStringNode(node) && SCALAR_TYPES.includes(node.value)) continue;
+    const position = nodeRange(text, node);
+    const suggestion = isStringNode(node) ? findClosest(node.value, SCALAR_TYPES) : null;
+    const solutions = suggestion !== null ? [{ title: `Replace with "${suggestion}"`, position: position, replaceWith: suggestion }] : undefined;
+    addMessage(position, `Scalar type of "${typeName}" must be one of ${SCALAR_TYPES.join(', ')}.`, 'error', '', solutions);
+  }
+}
+
+// Checks that the types of a feature are known, and that "cont" only contains objects.
+function validateFeatureTypes(text, typeName, featureName, nodes, typeNames, addMessage) {
+  const knownTypes = SCALAR_TYPES.concat([ANY_TYPE], typeNames);
+  const seen = new Set();
+  for (const node of nodes) {
+    const position = nodeRange(text, node);
+    if (!isStringNode(node)) {
+      addMessage(position, `Types of "${typeName}.${featureName}" must be type names, but one is ${describeValueType(node)}.`);
+      continue;
+    }
+    const type = node.value;
+    if (seen.has(type)) {
+      addMessage(position, `Type "${type}" is listed more than once for "${typeName}.${featureName}".`, 'warning');
+      continue;
+    }
+    seen.add(type);
+    if (!knownTypes.includes(type)) {
+      const suggestion = findClosest(type, knownTypes);
+      const solutions = suggestion !== null ? [{ title: `Replace with "${suggestion}"`, position: position, replaceWith: suggestion }] : undefined;
+      const hint = suggestion !== null ? ` Did you mean "${suggestion}"?` : '';
+      addMessage(position, `Type "${type}" of "${typeName}.${featureName}" is not defined in the metamodel.${hint}`, 'error',
+        `Types of features are the scalar types ${SCALAR_TYPES.join(', ')}, ${ANY_TYPE} and the types of the metamodel.`, solutions);
+    } else if (featureName === CONTAINMENT_FEATURE && SCALAR_TYPES.includes(type)) {
+      addMessage(position, `"${typeName}.${CONTAINMENT_FEATURE}" contains objects, it can not contain values of the scalar type "${type}".`);
+    }
+  }
+}
+
+function validateFeatures(text, typeName, mapNode, typeNames, addMessage) {
+  forEachNamedPair(text, mapNode, 'Feature', addMessage, (pair, featureName) => {
+    const valueNode = pair.value;
+    if (isSeqNode(valueNode)) {
+      if (valueNode.items.length === 0) {
+        addMessage(nodeRange(text, valueNode), `"${typeName}.${featureName}" lists no types, so it can not have values.`, 'warning');
+      }
+      validateFeatureTypes(text, typeName, featureName, valueNode.items, typeNames, addMessage);
+    } else if (isStringNode(valueNode)) {
+      // The validators look the types up with includes(), which would match substrings of a single name
+      const position = nodeRange(text, valueNode);
+      addMessage(position, `Types of "${typeName}.${featureName}" must be a list, eg. "[${valueNode.value}]".`, 'error', '', [{
+        title: `Replace with "[${valueNode.value}]"`,
+        position: position,
+        replaceWith: `[${valueNode.value}]`
+      }]);
+      validateFeatureTypes(text, typeName, featureName, [valueNode], typeNames, addMessage);
+    } else if (valueNode === null || valueNode.value === null) {
+      addMessage(nodeRange(text, pair.key), `"${typeName}.${featureName}" lists no types, so it can not have values.`, 'warning');
+    } else {
+      addMessage(nodeRange(text, valueNode), `Types of "${typeName}.${featureName}" must be a list of type names, but are ${describeValueType(valueNode)}.`);
+    }
+  });
+}
+
+/* Validates the text of the metamodel file at metamodelPath. Resolves to linter messages
+   (see validation.js) for the metamodel file.
+*/
+async function validateMetamodelText(metamodelPath, text) {
+  const messages = [];
+  const addMessage = (position, excerpt, severity = 'error', description = '', solutions = undefined) => {
+    const message = makeMessage(metamodelPath, position, excerpt, description, severity);
+    if (solutions) message.solutions = solutions;
+    messages.push(message);
+  };
+
+  const doc = YAML.parseDocument(text);
+  // Repeated keys are reported with their position by forEachNamedPair
+  const errors = doc.errors.filter(error => !DUPLICATE_KEY_ERROR.test(error.message));
+  for (const error of errors) {
+    const range = error.source && error.source.range ? [error.source.range.start, error.source.range.end] : [0, 0];
+    addMessage(nodeRange(text, { range: range }), error.message);
+  }
+  if (errors.length > 0) return messages;
+
+  const contents = doc.contents;
+  if (contents === null || contents === undefined || contents.value === null) {
+    addMessage([[0, 0], [0, 0]], 'Metamodel is empty.', 'warning');
+    return messages;
+  }
+  if (!isMapNode(contents)) {
+    addMessage(nodeRange(text, contents), 'Metamodel must be a mapping of type names to their features.');
+    return messages;
+  }
+
+  const typeNames = contents.items.filter(pair => isStringNode(pair.key)).map(pair => pair.key.value);
+  forEachNamedPair(text, contents, 'Type', addMessage, (pair, typeName) => {
+    const valueNode = pair.value;
+    if (typeName === ANY_TYPE) {
+      addMessage(nodeRange(text, pair.key), `"${ANY_TYPE}" stands for values of any type, it can not be defined.`);
+    } else if (isMapNode(valueNode)) {
+      validateFeatures(text, typeName, valueNode, typeNames, addMessage);
+    } else if (isSeqNode(valueNode)) {
+      validateScalarTypes(text, typeName, valueNode.items, addMessage);
+    } else if (isStringNode(valueNode)) {
+      validateScalarTypes(text, typeName, [valueNode], addMessage);
+    } else if (valueNode !== null && valueNode.value !== null) {
+      addMessage(nodeRange(text, valueNode), `Type "${typeName}" must map to its features or to its scalar type, but is ${describeValueType(valueNode)}.`);
+    }
+  });
+
+  return messages;
+}
+
+// Resolves to { file, messages } for the metamodel of the config, like the validate* functions of validation.js.
+async function validateMetamodel(config) {
+  if (!config.has('metamodel')) {
+    throw new ConfigError('Configuration file does not specify metamodel.');
+  }
+  const metamodelPath = config.resolvePath('metamodel');
+  const text = await readTextFile(metamodelPath, `Metamodel file ${path.basename(metamodelPath)} not found.`);
+  return { file: metamodelPath, messages: await validateMetamodelText(metamodelPath, text) };
+}
+
+module.exports = {
+  SCALAR_TYPES: SCALAR_TYPES,
+  ANY_TYPE: ANY_TYPE,
+  CONTAINMENT_FEATURE: CONTAINMENT_FEATURE,
+  validateMetamodelText: validateMetamodelText,
+  validateMetamodel: validateMetamodel
+};
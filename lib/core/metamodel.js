@@ -0,0 +1,75 @@
+const path = require('path');
+const YAML = require('yaml');
+const { nullOptions } = require('yaml/types');
+const { MetamodelInferer } = require('fudomo-transform');
+const { loaders } = require('fudomo-transform/model-io.js'); // loadModel only loads files
+const { readTextFile } = require('./config.js');
+const { findNearestConfigReferencing } = require('./dependencies.js');
+
+const METAMODEL_FILE_NAME = 'Metamodel.yaml';
+const DATA_FILE_EXTENSIONS = ['oyaml', 'yaml', 'js']; // TODO get extensions from model-io.js
+// Extensions of the data files that can be loaded from text, see loadModelText.
+const DATA_TEXT_EXTENSIONS = ['oyaml', 'yaml'];
+
+/* Loads the model (like loadModel) from the text of an OYAML data file, eg. of an editor with
+   unsaved changes. Throws the errors of loadModel, eg. with markers for syntax errors.
+*/
+function loadModelText(dataPath, text) {
+  const extension = path.extname(dataPath).slice(1);
+  if (!DATA_TEXT_EXTENSIONS.includes(extension)) {
+    throw new Error(`Data file "${path.basename(dataPath)}" can not be loaded from text: expected one of ${DATA_TEXT_EXTENSIONS.map(ext => '.' + ext).join(', ')}.`);
+  }
+  const loader = loaders[extension];
+  return loader.getRootCenteredModel(loader.loadFromData(text, dataPath));
+}
+
+async function loadMetamodel(metamodelPath) {
+  const metamodelText = await readTextFile(metamodelPath, `Metamodel file ${metamodelPath} could not be read.`);
+  return YAML.parse(metamodelText);
+}
+
+// Loads the metamodel referenced by the config, or returns null if the config does not reference one.
+async function loadConfigMetamodel(config) {
+  if (!config.has('metamodel')) return null;
+  return loadMetamodel(config.resolvePath('metamodel'));
+}
+
+/* Resolves to the metamodel of the nearest config that uses the .fudomo file as its
+   decomposition and references a metamodel, or null if there is none.
+   See findNearestConfigReferencing.
+*/
+async function findDecompositionMetamodel(decompositionPath, rootDirectory = null) {
+  const config = await findNearestConfigReferencing(decompositionPath, 'decomposition', config => config.has('metamodel'), rootDirectory);
+  return config !== null ? loadConfigMetamodel(config) : null;
+}
+
+function stringifyMetamodel(metamodel) {
+  nullOptions.nullStr = '';
+  return YAML.stringify(metamodel);
+}
+
+// Infers a metamodel from the given data files and returns it as YAML text.
+function inferMetamodelText(dataPaths) {
+  const metamodel = new MetamodelInferer().inferMetamodelFromPaths(dataPaths);
+  return stringifyMetamodel(metamodel);
+}
+
+// The inferred metamodel is written into the deepest directory containing one of the data files.
+function getInferredMetamodelPath(dataPaths) {
+  const parents = dataPaths.map(dataPath => path.dirname(path.resolve(dataPath)));
+  parents.sort((a, b) => b.length - a.length); // Sort by length
+  return path.join(parents[0], METAMODEL_FILE_NAME);
+}
+
+module.exports = {
+  METAMODEL_FILE_NAME: METAMODEL_FILE_NAME,
+  DATA_FILE_EXTENSIONS: DATA_FILE_EXTENSIONS,
+  DATA_TEXT_EXTENSIONS: DATA_TEXT_EXTENSIONS,
+  loadModelText: loadModelText,
+  loadMetamodel: loadMetamodel,
+  loadConfigMetamodel: loadConfigMetamodel,
+  findDecompositionMetamodel: findDecompositionMetamodel,
+  stringifyMetamodel: stringifyMetamodel,
+  inferMetamodelText: inferMetamodelText,
+  getInferredMetamodelPath: getInferredMetamodelPath
+};
@@ -0,0 +1,109 @@
+/* Describes an object model (see loadModel) for browsing it: its objects grouped by type,
+   with their attributes, references and the objects referencing them.
+
+   Every object is described as
+     { key, type, id, path, range, container, contents, attributes, references, referencedBy }
+   where
+     key          identifies the object within the description (its index in document order)
+     path, range  the location of its definition (see describeObject in trace.js)
+     container    the object containing it (null for the root)
+     contents     the objects it contains
+     attributes   [{ name, value, range }] with the values as returned by describeValue
+     references   [{ name, targets, error }]: the referenced objects, or the message of the
+                  error if the reference can not be resolved (error is null otherwise)
+     referencedBy [{ name, source }]: the references of other objects to it
+*/
+const { isObjectModel, describeObject, describeValue } = require('./trace.js');
+
+const CONTENTS_FEATURE_NAME = 'cont';
+
+function featureRange(objectModel, featureName) {
+  try {
+    return objectModel.getFeatureValueLocation(featureName);
+  } catch (error) {
+    return null; // Some model objects can not tell their location
+  }
+}
+
+function describeModel(centeredModel) {
+  const objects = [];
+  const objectModels = []; // the object model of every object
+  const objectsByComparable = new Map();
+
+  const addObject = (objectModel, container) => {
+    const object = Object.assign(describeObject(objectModel), {
+      key: objects.length,
+      container: container,
+      contents: [],
+      attributes: [],
+      references: [],
+      referencedBy: []
+    });
+    objects.push(object);
+    objectModels.push(objectModel);
+    objectsByComparable.set(objectModel.comparable, object);
+    if (container !== null) container.contents.push(object);
+    for (const child of objectModel.featureNames.includes(CONTENTS_FEATURE_NAME) ? objectModel.getFeatureAsArray(CONTENTS_FEATURE_NAME) : []) {
+      if (isObjectModel(child) && !objectsByComparable.has(child.comparable)) addObject(child, object);
+    }
+    return object;
+  };
+  const root = addObject(centeredModel.center, null);
+
+  // References can only be described when all objects are known
+  objects.forEach((object, index) => {
+    const objectModel = objectModels[index];
+    for (const featureName of objectModel.featureNames) {
+      if (featureName === CONTENTS_FEATURE_NAME) continue;
+      let values = null;
+      try {
+        values = objectModel.getFeatureAsArray(featureName);
+      } catch (error) {
+        object.references.push({ name: featureName, targets: [], error: error.message });
+        continue;
+      }
+      const targets = values.filter(isObjectModel).map(value => objectsByComparable.get(value.comparable)).filter(target => target !== undefined);
+      if (targets.length > 0) {
+        object.references.push({ name: featureName, targets: targets, error: null });
+        for (const target of targets) {
+          target.referencedBy.push({ name: featureName, source: object });
+        }
+      } else {
+        const value = describeValue(objectModel.getFeature(featureName));
+        object.attributes.push({ name: featureName, value: value, range: featureRange(objectModel, featureName) });
+      }
+    }
+  });
+
+  const types = new Map();
+  for (const object of objects) {
+    if (!types.has(object.type)) types.set(object.type, []);
+    types.get(object.type).push(object);
+  }
+  return {
+    root: root,
+    objects: objects,
+    types: Array.from(types.keys()).sort().map(type => ({ type: type, objects: types.get(type) }))
+  };
+}
+
+// A short name of a described object, eg. "Member jim", or "Member #3" for objects without id.
+function formatObjectName(object) {
+  return object.id !== null ? `${object.type} ${object.id}` : `${object.type} #${object.key}`;
+}
+
+/* The decompositions of the transformation that are computed for an object of the given type:
+   those of the type and those of "Object". Returns [{ qualifiedName, range }] in the order of
+   the .fudomo file.
+*/
+function getApplicableDecompositions(transformation, type) {
+  return transformation.decompositions
+    .filter(decomposition => decomposition.function.type === type || decomposition.function.type === 'Object')
+    .map(decomposition => ({ qualifiedName: decomposition.function.qualifiedName, range: decomposition.function.node.location }));
+}
+
+module.exports = {
+  describeModel: describeModel,
+  formatObjectName: formatObjectName,
+  getApplicableDecompositions: getApplicableDecompositions
+};
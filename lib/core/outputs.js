@@ -0,0 +1,161 @@
+/* Transformations that produce several output files, either because the result of the
+   transformation is a mapping of relative paths to contents, or because the config has an
+   "outputs" section, which maps a type (or "Type.function") to a path template:
+
+     outputs:
+       Class: src/{name}.java
+
+   For every object of the type, the decomposition (the first one of the type, or the one
+   named) is computed on the object, and the result is written to the path the template
+   gives for the object. "{name}" is replaced by the value of the attribute "name" of the
+   object, "{id}" by the id of the object if it has no attribute "id".
+
+   The files generated by a config are recorded in a manifest next to the config, so that
+   files which are no longer produced can be deleted (config key "delete-stale-outputs").
+*/
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const mkdir = util.promisify(fs.mkdir);
+const readFile = util.promisify(fs.readFile);
+const rename = util.promisify(fs.rename);
+const unlink = util.promisify(fs.unlink);
+const writeFile = util.promisify(fs.writeFile);
+
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+
+// Whether the result of a transformation is a mapping of relative paths to contents.
+function isOutputMapping(result) {
+  return result !== null && typeof result === 'object' && !Array.isArray(result) && Object.getPrototypeOf(result) === Object.prototype;
+}
+
+/* Resolves the relative paths of an output mapping against baseDir. Returns [{ path, content }].
+   Throws an Error for paths outside of baseDir and for contents that are not strings.
+*/
+function resolveOutputMapping(mapping, baseDir) {
+  const outputs = [];
+  for (const relativePath of Object.keys(mapping)) {
+    const outputPath = path.resolve(baseDir, relativePath);
+    const relativeToBase = path.relative(baseDir, outputPath);
+    if (path.isAbsolute(relativePath) || relativeToBase === '' || relativeToBase.startsWith('..')) {
+      throw new Error(`Output path "${relativePath}" must be relative and inside of "${baseDir}".`);
+    }
+    if (typeof mapping[relativePath] !== 'string') {
+      throw new Error(`Content of output "${relativePath}" must be a string, but is ${typeof mapping[relativePath]}.`);
+    }
+    outputs.push({ path: outputPath, content: mapping[relativePath] });
+  }
+  return outputs;
+}
+
+// Returns the centered models of all objects of the given type reachable from rootModel, in breadth first order.
+function findObjectsOfType(rootModel, type) {
+  const objects = [];
+  const visited = new Set();
+  const open = [rootModel];
+  while (open.length > 0) {
+    const model = open.shift();
+    if (visited.has(model.center.comparable)) continue;
+    visited.add(model.center.comparable);
+    if (model.type === type) objects.push(model);
+    for (const featureName of model.center.featureNames) {
+      open.push(...model.successors(featureName, 'Object'));
+    }
+  }
+  return objects;
+}
+
+// Replaces the placeholders of template by the attributes of the object. Throws an Error for missing attributes.
+function expandPathTemplate(template, centeredModel) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    let value = centeredModel.getFeature(name);
+    if ((value === undefined || value === null) && name === 'id') {
+      value = centeredModel.center.id;
+    }
+    if (value === undefined || value === null || typeof value === 'object') {
+      throw new Error(`Can not expand "${placeholder}" of output path "${template}": ${centeredModel.type} ${centeredModel.center.id || ''} has no attribute "${name}" with a value.`);
+    }
+    return String(value);
+  });
+}
+
+/* Returns the decomposition whose results are written for an entry of the "outputs" section
+   (key is "Type" or "Type.function"), or throws an Error.
+*/
+function findOutputDecomposition(transformation, key) {
+  const decompositions = transformation.decompositions;
+  const decomposition = key.includes('.')
+    ? decompositions.find(decomposition => decomposition.function.qualifiedName === key)
+    : decompositions.find(decomposition => decomposition.function.type === key);
+  if (decomposition === undefined) {
+    throw new Error(`The decomposition file has no decomposition ${key.includes('.') ? `"${key}"` : `of type "${key}"`} for the outputs entry "${key}".`);
+  }
+  return decomposition;
+}
+
+// Writes content to a temporary file next to filePath, which is then renamed, so that filePath is never partially written.
+async function writeFileAtomically(filePath, content) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const temporaryPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  try {
+    await writeFile(temporaryPath, content);
+    await rename(temporaryPath, filePath);
+  } catch (error) {
+    await unlink(temporaryPath).catch(() => {});
+    throw error;
+  }
+}
+
+async function writeOutputs(outputs) {
+  for (const output of outputs) {
+    await writeFileAtomically(output.path, output.content);
+  }
+}
+
+function getOutputsManifestPath(config) {
+  return path.join(config.baseDir, `.${path.basename(config.path)}.outputs.json`);
+}
+
+async function readOutputsManifest(config) {
+  try {
+    const manifest = JSON.parse(await readFile(getOutputsManifestPath(config), 'utf8'));
+    return manifest.outputs.map(relativePath => path.resolve(config.baseDir, relativePath));
+  } catch (error) {
+    return []; // No outputs generated yet
+  }
+}
+
+/* Records outputPaths as the files generated by the config. If deleteStale is true, the
+   files recorded by the previous run that were not generated again are deleted.
+   Resolves to the paths of the deleted files.
+*/
+async function updateOutputsManifest(config, outputPaths, deleteStale) {
+  const deletedPaths = [];
+  if (deleteStale) {
+    const currentPaths = new Set(outputPaths);
+    for (const previousPath of await readOutputsManifest(config)) {
+      if (currentPaths.has(previousPath)) continue;
+      try {
+        await unlink(previousPath);
+        deletedPaths.push(previousPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+  const manifest = { outputs: outputPaths.map(outputPath => path.relative(config.baseDir, outputPath)) };
+  await writeFileAtomically(getOutputsManifestPath(config), JSON.stringify(manifest, null, 2) + '\n');
+  return deletedPaths;
+}
+
+module.exports = {
+  isOutputMapping: isOutputMapping,
+  resolveOutputMapping: resolveOutputMapping,
+  findObjectsOfType: findObjectsOfType,
+  expandPathTemplate: expandPathTemplate,
+  findOutputDecomposition: findOutputDecomposition,
+  writeFileAtomically: writeFileAtomically,
+  writeOutputs: writeOutputs,
+  updateOutputsManifest: updateOutputsManifest
+};
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const child_process = require('child_process');
+const { loadModel, transform, TransformationContext } = require('fudomo-transform');
+const { ConfigError, loadConfig, readTextFile } = require('./config.js');
+const { positionForOffset } = require('./text.js');
+const { parseFudomoText, createInlineFunctionRunner } = require('./inline-functions.js');
+const { CancellationToken, TimeoutError, NEVER_CANCELLED } = require('./cancellation.js');
+const { TransformationTrace } = require('./trace.js');
+const { TransformationMonitor } = require('./progress.js');
+const { writeSourceMap } = require('./provenance.js');
+const {
+  isOutputMapping, resolveOutputMapping, findObjectsOfType, expandPathTemplate, findOutputDecomposition,
+  writeFileAtomically, writeOutputs, updateOutputsManifest
+} = require('./outputs.js');
+
+const realpath = util.promisify(fs.realpath);
+
+/* Describes what the pipeline was doing, used to report errors. */
+class Phase {
+  constructor(activity, openablePath = null) {
+    this.activity = activity;
+    this.openablePath = openablePath;
+  }
+}
+
+/* Wraps any error thrown by the pipeline together with the phase it occurred in. */
+class PhaseError extends Error {
+  constructor(phase, cause) {
+    super(cause.message);
+    this.phase = phase;
+    this.cause = cause;
+  }
+}
+
+class DecompositionSyntaxError extends Error {
+  constructor(decompositionPath, transformation, source) {
+    super(`Could not parse Fudomo decomposition definition from "${decompositionPath}"`);
+    this.decompositionPath = decompositionPath;
+    this.transformation = transformation;
+    this.source = source;
+  }
+
+  // The parse errors and the errors of inline functions, with [row, column] positions added.
+  get errors() {
+    const inlineErrors = (this.transformation.inlineFunctionErrors || []).map(error => ({ severity: 'error', excerpt: error.message, position: error.range }));
+    let errors = this.transformation.errors;
+    if (errors.length == 0 && inlineErrors.length == 0) {
+      // The parser accepted all tokens, but the input ended in the middle of a decomposition.
+      errors = [{ startOffset: this.source.length, endOffset: this.source.length, severity: 'error', excerpt: 'Unexpected end of input' }];
+    }
+    return errors.map(error => Object.assign({}, error, {
+      position: [positionForOffset(this.source, error.startOffset), positionForOffset(this.source, error.endOffset)]
+    })).concat(inlineErrors);
+  }
+}
+
+/* Incomplete input (eg. "Foo.bar: a ->") does not raise a parse error, but leaves the transformation without a tree.
+   Errors in inline functions (see parseFudomoText) are syntax errors as well.
+*/
+function hasSyntaxError(transformation) {
+  return transformation.hasError || transformation.tree === undefined || (transformation.inlineFunctionErrors || []).length > 0;
+}
+
+async function loadTransformation(decompositionPath) {
+  const decompSource = await readTextFile(decompositionPath, 'Decomposition file not found.');
+  const transformation = parseFudomoText(decompSource, await realpath(decompositionPath));
+  if (hasSyntaxError(transformation)) {
+    throw new DecompositionSyntaxError(decompositionPath, transformation, decompSource);
+  }
+  return transformation;
+}
+
+// A TransformationContext observed by the observers (a trace and a monitor, see trace.js and progress.js).
+function createContext(transformation, model, functionRunner, observers) {
+  const context = new TransformationContext(transformation, model, functionRunner);
+  for (const observer of observers) {
+    observer.attach(context);
+  }
+  return context;
+}
+
+/* Returns the timeout of a run in seconds (the option, or else the "timeout" of the config),
+   or null if the run has none.
+*/
+function getTimeout(config, options) {
+  const timeout = options.timeout !== undefined && options.timeout !== null ? options.timeout : config.get('timeout');
+  if (timeout === undefined || timeout === null) return null;
+  if (typeof timeout !== 'number' || !(timeout > 0)) {
+    throw new ConfigError('Fudomo transformation config file error: "timeout" must be a number of seconds greater than 0.');
+  }
+  return timeout;
+}
+
+/* Computes the results of the "outputs" section of the config (see outputs.js). Resolves to
+   a mapping of the output paths (relative to the directory of the config) to the results.
+*/
+async function computeTypeOutputs(config, transformation, model, functionRunner, observers, cancellationToken) {
+  const templates = config.get('outputs');
+  if (!isOutputMapping(templates)) {
+    throw new ConfigError('Fudomo transformation config file error: "outputs" must be a mapping of types to output path templates.');
+  }
+  // transform() finalizes the runner after every run, but it is needed for all objects
+  const finalize = functionRunner.finalize;
+  functionRunner.finalize = () => {};
+  try {
+    const results = {};
+    for (const key of Object.keys(templates)) {
+      const template = String(templates[key]);
+      const decomposition = findOutputDecomposition(transformation, key);
+      const type = decomposition.function.type;
+      // transform() computes the first decomposition of the transformation on the only object of its type
+      // among the successors of the root model
+      const decompositions = [decomposition].concat(transformation.decompositions);
+      const outputTransformation = Object.create(transformation, { decompositions: { get: () => decompositions } });
+      for (const object of findObjectsOfType(model, type)) {
+        cancellationToken.throwIfCancelled();
+        const relativePath = expandPathTemplate(template, object);
+        if (relativePath in results) {
+          throw new Error(`Output path "${relativePath}" is produced more than once, the path template "${template}" must give a different path for every ${type}.`);
+        }
+        const rootModel = type === 'Root' ? model : { successors: () => [object] };
+        const context = createContext(outputTransformation, rootModel, functionRunner, observers);
+        results[relativePath] = await cancellationToken.race(transform(context));
+      }
+    }
+    return results;
+  } finally {
+    functionRunner.finalize = finalize;
+    functionRunner.finalize();
+  }
+}
+
+/* Runs the transformation described by the given TransformationConfig.
+
+   Options:
+     consoleHandler: receives output of the decomposition functions (default: console)
+     writeOutput: write the result to the configured output file (default: true), and
+       the source map of the result if the config sets "source-map" (see provenance.js).
+       If the result is a mapping of paths to contents, or the config has an "outputs"
+       section, the contents are written to several files instead (see outputs.js). All
+       files are written atomically.
+     cancellationToken: a CancellationToken to stop the run early. When it is cancelled,
+       the run rejects with a CancelledError (wrapped in a PhaseError) and the output
+       file is not written.
+     timeout: the number of seconds after which the run is stopped with a TimeoutError
+       (default: the "timeout" of the config, if it has one)
+     onProgress: called with { decompositions, functionCalls } (see progress.js) while the
+       transformation is computed
+     runnerPool: a FunctionRunnerPool (see runner-pool.js) the decomposition function runner
+       is taken from, instead of creating a new one
+     dataPath: the data file to transform instead of the one of the config
+     trace: a TransformationTrace recording the decomposition function calls. It is
+       filled in as the transformation runs, so it also shows how far a failed run got.
+
+   Resolves to { result, outputPath, outputPaths, deletedPaths }: outputPaths are the
+   files written, deletedPaths the stale output files that were deleted. For configs with
+   an "outputs" section, result is a mapping of paths to contents. Rejects with a PhaseError.
+*/
+async function runTransformation(config, options = {}) {
+  const consoleHandler = options.consoleHandler || console;
+  const writeOutput = options.writeOutput !== false;
+  // The run has its own token, which is also cancelled when the timeout is reached
+  const callerToken = options.cancellationToken || NEVER_CANCELLED;
+  const cancellationToken = new CancellationToken();
+  const removeCancelCallback = callerToken.onCancel(() => cancellationToken.cancel(callerToken.reason));
+  let timeoutHandle = null;
+  let phase = new Phase('parsing config file', config.path);
+
+  try {
+    const timeout = getTimeout(config, options);
+    if (timeout !== null) {
+      timeoutHandle = setTimeout(() => cancellationToken.cancel(new TimeoutError(timeout)), timeout * 1000);
+    }
+    const decompPath = config.requirePath('decomposition');
+    const funcPath = config.resolvePath('functions');
+    const dataPath = options.dataPath ? path.resolve(options.dataPath) : config.requirePath('data');
+    const hasTypeOutputs = config.has('outputs');
+    const outputPath = hasTypeOutputs ? config.resolvePath('output') : config.requirePath('output');
+    const sourceMapPath = writeOutput && !hasTypeOutputs ? config.resolvePath('source-map') : null;
+    const trace = options.trace || (sourceMapPath !== null ? new TransformationTrace() : null);
+    const monitor = new TransformationMonitor(cancellationToken, options.onProgress || null);
+    const observers = trace !== null ? [trace, monitor] : [monitor];
+
+    phase = new Phase(`loading data from "${path.relative(config.baseDir, dataPath)}"`, dataPath);
+    cancellationToken.throwIfCancelled();
+    const model = loadModel(dataPath);
+
+    phase = new Phase('loading decomposition file', decompPath);
+    cancellationToken.throwIfCancelled();
+    const transformation = await loadTransformation(decompPath);
+
+    // Functions defined inline in the decomposition file are taken from there, the others from
+    // the functions file, which is optional if there are inline functions.
+    const runnerPool = options.runnerPool || null;
+    let fileRunner = null;
+    if (funcPath !== null || transformation.inlineFunctions.length === 0) {
+      config.requirePath('functions'); // Neither a functions file nor inline functions
+      phase = new Phase(`parsing Fudomo decomposition functions from "${config.get('functions')}"`, funcPath);
+      cancellationToken.throwIfCancelled();
+      fileRunner = runnerPool !== null ? await runnerPool.acquire(config, consoleHandler) : await config.createFunctionRunner(consoleHandler);
+    }
+    phase = new Phase('parsing inline functions', decompPath);
+    const functionRunner = createInlineFunctionRunner(transformation, decompPath, fileRunner, consoleHandler);
+
+    phase = new Phase(`running Fudomo transformation ${config.get('decomposition')}`, decompPath);
+    cancellationToken.throwIfCancelled();
+    // On cancellation, the runner is stopped (including a Python process) and the result of the
+    // transformation is ignored.
+    const stopRunner = runnerPool !== null && fileRunner !== null ? () => {
+      runnerPool.discard(fileRunner);
+      if (functionRunner !== fileRunner) functionRunner.inlineRunner.finalize();
+    } : functionRunner.finalize.bind(functionRunner);
+    cancellationToken.onCancel(stopRunner);
+    let result = null;
+    if (hasTypeOutputs) {
+      result = await computeTypeOutputs(config, transformation, model, functionRunner, observers, cancellationToken);
+    } else {
+      const transformationContext = createContext(transformation, model, functionRunner, observers);
+      result = await cancellationToken.race(transform(transformationContext));
+    }
+
+    let outputs = null; // [{ path, content }] if there are several output files
+    if (hasTypeOutputs) {
+      outputs = resolveOutputMapping(result, config.baseDir);
+    } else if (isOutputMapping(result)) {
+      phase = new Phase(`checking the output paths of the result, which are relative to "${config.get('output')}"`, config.path);
+      outputs = resolveOutputMapping(result, outputPath);
+    }
+
+    let outputPaths = [];
+    let deletedPaths = [];
+    if (writeOutput && outputs === null) {
+      phase = new Phase(`writing Fudomo transformation result to destination file "${config.get('output')}"`);
+      await writeFileAtomically(outputPath, result);
+      outputPaths = [outputPath];
+      if (sourceMapPath !== null) {
+        phase = new Phase(`writing source map of Fudomo transformation result to "${config.get('source-map')}"`);
+        await writeSourceMap(trace, result, outputPath, sourceMapPath);
+        // Recorded, so that a run writing other files can delete it as a stale output
+        await updateOutputsManifest(config, [outputPath, sourceMapPath], false);
+      }
+    } else if (writeOutput) {
+      phase = new Phase(`writing ${outputs.length} Fudomo transformation result files`);
+      await writeOutputs(outputs);
+      outputPaths = outputs.map(output => output.path);
+      deletedPaths = await updateOutputsManifest(config, outputPaths, config.get('delete-stale-outputs') === true);
+    }
+    return { result: result, outputPath: outputPath, outputPaths: outputPaths, deletedPaths: deletedPaths };
+  } catch (error) {
+    throw new PhaseError(phase, error);
+  } finally {
+    clearTimeout(timeoutHandle);
+    removeCancelCallback();
+  }
+}
+
+async function runTransformationConfigFile(configPath, options = {}) {
+  let config = null;
+  try {
+    config = await loadConfig(configPath);
+  } catch (error) {
+    throw new PhaseError(new Phase('reading config file', configPath), error);
+  }
+  return runTransformation(config, options);
+}
+
+/* Starts the "postprocess" command of the config in the config's directory.
+   The callback is called like the one of child_process.exec. Returns the ChildProcess,
+   so that the caller can kill it. Returns null if the config has no postprocess command.
+*/
+function startPostprocess(config, callback) {
+  if (!config.has('postprocess')) return null;
+  // child_process.exec is used with a callback instead of its promisified version, because
+  // the latter does not give access to the ChildProcess (and its pid), which is needed to kill it.
+  return child_process.exec(config.get('postprocess'), { cwd: config.baseDir, windowsHide: true }, callback);
+}
+
+module.exports = {
+  Phase: Phase,
+  PhaseError: PhaseError,
+  DecompositionSyntaxError: DecompositionSyntaxError,
+  hasSyntaxError: hasSyntaxError,
+  loadTransformation: loadTransformation,
+  runTransformation: runTransformation,
+  runTransformationConfigFile: runTransformationConfigFile,
+  startPostprocess: startPostprocess
+};
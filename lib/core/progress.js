@@ -0,0 +1,96 @@
+/* Observes a running transformation: counts the evaluated decompositions and the function
+   calls, reports them as progress, and stops the run when its token is cancelled.
+
+   Like the trace (see trace.js), the monitor hooks into what a TransformationContext exposes:
+   every decomposition logs "Decomposing <Type.function>" when it starts on an object, and
+   every function is looked up (hasFunction) and called (callFunction) through the runner.
+
+   A transformation with JavaScript functions is a single chain of promises, so timers and
+   UI events (eg. a click on "cancel") would only be handled after it is done. The monitor
+   therefore checks the token on every hook and lets the event loop run every
+   YIELD_INTERVAL milliseconds, which also makes a timeout take effect.
+*/
+const { NEVER_CANCELLED } = require('./cancellation.js');
+
+const YIELD_INTERVAL = 100;
+const PROGRESS_INTERVAL = 250;
+
+class TransformationMonitor {
+  /* cancellationToken: stops the transformation at its next decomposition or function call
+     onProgress: called with { decompositions, functionCalls } at most every PROGRESS_INTERVAL
+       milliseconds while the transformation runs
+  */
+  constructor(cancellationToken = NEVER_CANCELLED, onProgress = null) {
+    this.cancellationToken = cancellationToken;
+    this.onProgress = onProgress;
+    this.decompositions = 0;
+    this.functionCalls = 0;
+    this.runner = null;
+    this.lastYieldTime = Date.now();
+    this.lastProgressTime = 0;
+  }
+
+  get progress() {
+    return { decompositions: this.decompositions, functionCalls: this.functionCalls };
+  }
+
+  /* Observes the transformation run with the context. Must be attached after the trace, whose
+     log callbacks it calls. Can be attached to several contexts that run one after the other.
+  */
+  attach(context) {
+    const log = context.log.bind(context);
+    context.log = (message, ...params) => {
+      this.check();
+      if (String(message).includes('Decomposing')) {
+        this.decompositions++;
+        this.reportProgress();
+      }
+      log(message, ...params);
+    };
+
+    const runner = context.functionRunner;
+    if (runner !== this.runner) {
+      const hasFunction = runner.hasFunction.bind(runner);
+      const callFunction = runner.callFunction.bind(runner);
+      runner.hasFunction = name => this.afterYield(() => hasFunction(name));
+      runner.callFunction = (name, args) => this.afterYield(() => {
+        this.functionCalls++;
+        this.reportProgress();
+        return callFunction(name, args);
+      });
+      this.runner = runner;
+    }
+  }
+
+  check() {
+    this.cancellationToken.throwIfCancelled();
+  }
+
+  // Calls f, after letting the event loop run if it did not run for YIELD_INTERVAL milliseconds.
+  afterYield(f) {
+    this.check();
+    if (Date.now() - this.lastYieldTime < YIELD_INTERVAL) return f();
+    return new Promise(resolve => setImmediate(resolve)).then(() => {
+      this.lastYieldTime = Date.now();
+      this.check();
+      return f();
+    });
+  }
+
+  reportProgress() {
+    if (this.onProgress === null || Date.now() - this.lastProgressTime < PROGRESS_INTERVAL) return;
+    this.lastProgressTime = Date.now();
+    this.onProgress(this.progress);
+  }
+}
+
+// A short description of the progress of a transformation, eg. "120 decompositions, 45 function calls".
+function formatProgress(progress) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  return `${plural(progress.decompositions, 'decomposition')}, ${plural(progress.functionCalls, 'function call')}`;
+}
+
+module.exports = {
+  TransformationMonitor: TransformationMonitor,
+  formatProgress: formatProgress
+};
@@ -0,0 +1,131 @@
+/* Validation of all Fudomo transformations below a directory ("Validate All"): the
+   transformation, data and function validation of every .config file.
+*/
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { CONFIG_FILE_EXTENSION, loadConfig } = require('./config.js');
+const { isFudomoConfigText } = require('./config-schema.js');
+const { parseFudomoText } = require('./inline-functions.js');
+const { validateTransformation, validateData, validateFunctions } = require('./validation.js');
+
+const readFile = util.promisify(fs.readFile);
+const readdir = util.promisify(fs.readdir);
+
+// Directories that are not searched for .config files.
+const IGNORED_DIRECTORIES = ['node_modules'];
+
+/* The validations run for each config. A validation is skipped if the config does not
+   specify all of its keys, except for its inlineKeys if the decomposition has inline
+   functions (which replace the functions file).
+*/
+const CHECKS = [
+  { name: 'Transformation', keys: ['decomposition', 'metamodel'], inlineKeys: [], validate: validateTransformation },
+  { name: 'Data', keys: ['data'], inlineKeys: [], validate: validateData },
+  { name: 'Functions', keys: ['decomposition', 'functions'], inlineKeys: ['functions'], validate: validateFunctions }
+];
+
+// Resolves to true if the file at filePath is a Fudomo config (.config is a common extension).
+async function isFudomoConfigFile(filePath) {
+  try {
+    return isFudomoConfigText(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/* Resolves to the absolute paths of the Fudomo configs below directory, sorted. Hidden
+   directories and IGNORED_DIRECTORIES are skipped.
+*/
+async function findConfigFiles(directory) {
+  const configPaths = [];
+  const search = async currentDirectory => {
+    let entries = [];
+    try {
+      entries = await readdir(currentDirectory, { withFileTypes: true });
+    } catch (error) {
+      return; // Not readable
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(currentDirectory, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !IGNORED_DIRECTORIES.includes(entry.name)) await search(entryPath);
+      } else if (path.extname(entry.name) === '.' + CONFIG_FILE_EXTENSION && await isFudomoConfigFile(entryPath)) {
+        configPaths.push(entryPath);
+      }
+    }
+  };
+  await search(path.resolve(directory));
+  return configPaths.sort();
+}
+
+/* Resolves to true if the decomposition of the config has inline functions, or blocks of
+   them with errors. A decomposition that can not be read counts as having them, so that the
+   validation reports it.
+*/
+async function hasInlineFunctions(config) {
+  let text = null;
+  try {
+    text = await readFile(config.resolvePath('decomposition'), 'utf-8');
+  } catch (error) {
+    return true;
+  }
+  const transformation = parseFudomoText(text);
+  return transformation.inlineFunctions.length > 0 || transformation.inlineFunctionErrors.length > 0;
+}
+
+// Resolves to the keys of check that the config lacks.
+async function findMissingKeys(check, config) {
+  const missingKeys = check.keys.filter(key => !config.has(key));
+  const inlineKeys = missingKeys.filter(key => check.inlineKeys.includes(key));
+  if (inlineKeys.length === 0 || missingKeys.length > inlineKeys.length || !await hasInlineFunctions(config)) {
+    return missingKeys;
+  }
+  return [];
+}
+
+function checkStatus(messages) {
+  return messages.some(message => message.severity === 'error') ? 'failed' : 'passed';
+}
+
+/* Runs the validations (see CHECKS) of the config file. Resolves to
+     { configPath, status, error, checks: [{ name, status, file, messages, error, missingKeys }] }
+   where status is 'passed', 'failed' (validation found errors), 'skipped' (for checks only,
+   missingKeys are the keys the config lacks) or 'error' (the validation could not be run,
+   error is set). messages are the linter messages of the validation of file.
+*/
+async function validateConfigFile(configPath, consoleHandler = console) {
+  const result = { configPath: configPath, status: 'passed', error: null, checks: [] };
+  let config = null;
+  try {
+    config = await loadConfig(configPath);
+  } catch (error) {
+    result.status = 'error';
+    result.error = error;
+    return result;
+  }
+
+  for (const check of CHECKS) {
+    const missingKeys = await findMissingKeys(check, config);
+    if (missingKeys.length > 0) {
+      result.checks.push({ name: check.name, status: 'skipped', file: null, messages: [], error: null, missingKeys: missingKeys });
+      continue;
+    }
+    try {
+      const { file, messages } = await check.validate(config, consoleHandler);
+      result.checks.push({ name: check.name, status: checkStatus(messages), file: file, messages: messages, error: null, missingKeys: [] });
+    } catch (error) {
+      result.checks.push({ name: check.name, status: 'error', file: null, messages: [], error: error, missingKeys: [] });
+    }
+  }
+  if (result.checks.some(check => check.status === 'failed' || check.status === 'error')) {
+    result.status = 'failed';
+  }
+  return result;
+}
+
+module.exports = {
+  findConfigFiles: findConfigFiles,
+  isFudomoConfigFile: isFudomoConfigFile,
+  validateConfigFile: validateConfigFile
+};
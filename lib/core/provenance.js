@@ -0,0 +1,132 @@
+/* Source maps relating the ranges of a transformation result to the decomposition function
+   calls (and the objects of the data) that produced them.
+
+   The decomposition functions build their results from the values of their links in
+   arbitrary ways, so the text is not tracked while it is computed. Instead, the ranges are
+   found after the run, from its TransformationTrace: the text returned by each call is
+   looked up in the text returned by its caller, starting from the top level call, which
+   produced the whole result. Text that a function changed before using it (eg. by upper
+   casing it) is attributed to the calling function.
+*/
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { lineStartOffsets, positionForOffset, offsetForPosition } = require('./text.js');
+const { writeFileAtomically } = require('./outputs.js');
+
+const readFile = util.promisify(fs.readFile);
+
+const SOURCE_MAP_VERSION = 1;
+
+// The non-blank strings of a value returned by a call (results of forward links are Arrays).
+function textFragments(value) {
+  if (typeof value === 'string') return value.trim() !== '' ? [value] : [];
+  if (Array.isArray(value)) return [].concat(...value.map(textFragments));
+  return [];
+}
+
+// Adds { start, end, call, parent } (offsets into text) for call and the calls of its subtree to spans.
+function locateCalls(call, text, start, end, spans, parent) {
+  const index = spans.length;
+  spans.push({ start: start, end: end, call: call, parent: parent });
+  let searchStart = start;
+  for (const child of call.children) {
+    for (const fragment of textFragments(child.result)) {
+      // Results are usually concatenated in the order of the calls, so search after the previous match first
+      let childStart = text.indexOf(fragment, searchStart);
+      if (childStart === -1 || childStart + fragment.length > end) {
+        childStart = text.indexOf(fragment, start);
+        if (childStart === -1 || childStart + fragment.length > end) continue;
+      } else {
+        searchStart = childStart + fragment.length;
+      }
+      locateCalls(child, text, childStart, childStart + fragment.length, spans, index);
+    }
+  }
+}
+
+function relativeLocation(location, baseDir) {
+  if (location === null || location.path === null) return location;
+  return Object.assign({}, location, { path: path.relative(baseDir, location.path) });
+}
+
+/* Creates the source map of the result of a transformation run, which is written to mapPath.
+   Paths in the map are relative to the directory of the map.
+*/
+function createSourceMap(trace, result, outputPath, mapPath) {
+  const baseDir = path.dirname(path.resolve(mapPath));
+  const text = String(result);
+  const spans = [];
+  for (const call of trace.calls) {
+    locateCalls(call, text, 0, text.length, spans, null);
+  }
+  const lineStarts = lineStartOffsets(text);
+  return {
+    version: SOURCE_MAP_VERSION,
+    output: path.relative(baseDir, path.resolve(outputPath)),
+    length: text.length,
+    spans: spans.map(span => ({
+      range: [positionForOffset(text, span.start, lineStarts), positionForOffset(text, span.end, lineStarts)],
+      parent: span.parent,
+      function: span.call.name,
+      decomposition: relativeLocation(span.call.decomposition, baseDir),
+      object: relativeLocation(span.call.object, baseDir)
+    }))
+  };
+}
+
+async function writeSourceMap(trace, result, outputPath, mapPath) {
+  await writeFileAtomically(mapPath, JSON.stringify(createSourceMap(trace, result, outputPath, mapPath)));
+}
+
+function absoluteLocation(location, baseDir) {
+  if (location === null || location.path === null) return location;
+  return Object.assign({}, location, { path: path.resolve(baseDir, location.path) });
+}
+
+// Resolves to the source map at mapPath, with absolute paths.
+async function loadSourceMap(mapPath) {
+  const map = JSON.parse(await readFile(mapPath, 'utf8'));
+  if (map.version !== SOURCE_MAP_VERSION) {
+    throw new Error(`Unsupported source map version ${map.version}.`);
+  }
+  const baseDir = path.dirname(path.resolve(mapPath));
+  map.output = path.resolve(baseDir, map.output);
+  for (const span of map.spans) {
+    span.decomposition = absoluteLocation(span.decomposition, baseDir);
+    span.object = absoluteLocation(span.object, baseDir);
+  }
+  return map;
+}
+
+/* Returns the spans of the source map producing the text at position ([row, column]) of
+   text (the result the map was created for), the innermost span first, followed by the
+   spans of its callers. Returns an empty Array if no span contains the position.
+*/
+function findProvenance(map, text, position) {
+  const lineStarts = lineStartOffsets(text);
+  const offset = offsetForPosition(text, position, lineStarts);
+  let innermost = null;
+  map.spans.forEach((span, index) => {
+    const start = offsetForPosition(text, span.range[0], lineStarts);
+    const end = offsetForPosition(text, span.range[1], lineStarts);
+    if (start <= offset && offset < end) {
+      const length = end - start;
+      if (innermost === null || length <= innermost.length) {
+        innermost = { index: index, length: length };
+      }
+    }
+  });
+  const chain = [];
+  for (let index = innermost !== null ? innermost.index : null; index !== null; index = map.spans[index].parent) {
+    chain.push(map.spans[index]);
+  }
+  return chain;
+}
+
+module.exports = {
+  createSourceMap: createSourceMap,
+  writeSourceMap: writeSourceMap,
+  loadSourceMap: loadSourceMap,
+  findProvenance: findProvenance
+};
@@ -0,0 +1,180 @@
+/* Discovery of the Python interpreters a transformation with Python functions can run with.
+
+   An interpreter is described as { path, source, description }, where source tells where it
+   was found:
+     'venv'       a ".venv" or "venv" directory of the project
+     'virtualenv' the environment activated when the editor (or the command) was started (VIRTUAL_ENV)
+     'poetry'     the Poetry environment of a project with a pyproject.toml using Poetry
+     'conda'      the active conda environment (CONDA_PREFIX), or any environment known to conda
+     'pyenv'      the version of pyenv selected for the project (.python-version or PYENV_VERSION)
+     'path'       python3 or python found on the PATH
+
+   The project is the closest of the directory and its ancestors that contains a virtual
+   environment, a pyproject.toml or a .python-version file.
+*/
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const child_process = require('child_process');
+
+const access = util.promisify(fs.access);
+const readFile = util.promisify(fs.readFile);
+
+const VENV_DIRECTORY_NAMES = ['.venv', 'venv'];
+const PROJECT_MARKERS = VENV_DIRECTORY_NAMES.concat(['pyproject.toml', '.python-version']);
+
+// Commands run for the discovery (poetry, conda, pyenv) are stopped after this many milliseconds.
+const COMMAND_TIMEOUT = 10000;
+
+async function exists(filePath, mode = fs.constants.F_OK) {
+  try {
+    await access(filePath, mode);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The interpreter of a virtual environment or conda environment in directory.
+function environmentExecutable(directory, platform) {
+  return platform === 'win32' ? path.join(directory, 'Scripts', 'python.exe') : path.join(directory, 'bin', 'python');
+}
+
+function condaExecutable(directory, platform) {
+  return platform === 'win32' ? path.join(directory, 'python.exe') : path.join(directory, 'bin', 'python');
+}
+
+// Resolves to the trimmed standard output of the command, or null if it can not be run or fails.
+function runCommand(command, args, cwd, env) {
+  return new Promise(resolve => {
+    child_process.execFile(command, args, { cwd: cwd, env: env, timeout: COMMAND_TIMEOUT, windowsHide: true }, (error, stdout) => {
+      resolve(error ? null : stdout.trim());
+    });
+  });
+}
+
+async function findProjectDirectory(directory) {
+  let current = path.resolve(directory);
+  while (true) {
+    for (const marker of PROJECT_MARKERS) {
+      if (await exists(path.join(current, marker))) return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return path.resolve(directory);
+    current = parent;
+  }
+}
+
+/* The finders of the discovery, in the order of preference. Each resolves to a list of
+   interpreters (that may not exist). automatic finders find the interpreters of the project
+   or of the active environment, which are used without being chosen.
+*/
+const FINDERS = [
+  {
+    automatic: true,
+    find: async ({ projectDirectory, platform }) => VENV_DIRECTORY_NAMES.map(name => ({
+      path: environmentExecutable(path.join(projectDirectory, name), platform),
+      source: 'venv',
+      description: `"${name}" of the project`
+    }))
+  },
+  {
+    automatic: true,
+    find: async ({ env, platform }) => env.VIRTUAL_ENV ? [{
+      path: environmentExecutable(env.VIRTUAL_ENV, platform),
+      source: 'virtualenv',
+      description: `active virtual environment "${path.basename(env.VIRTUAL_ENV)}"`
+    }] : []
+  },
+  {
+    automatic: true,
+    find: async ({ projectDirectory, env, platform }) => {
+      let pyproject = '';
+      try {
+        pyproject = await readFile(path.join(projectDirectory, 'pyproject.toml'), 'utf-8');
+      } catch (error) {
+        return [];
+      }
+      if (!/^\[tool\.poetry\]/m.test(pyproject)) return [];
+      const environmentPath = await runCommand('poetry', ['env', 'info', '--path'], projectDirectory, env);
+      return environmentPath ? [{ path: environmentExecutable(environmentPath, platform), source: 'poetry', description: 'Poetry environment of the project' }] : [];
+    }
+  },
+  {
+    automatic: true,
+    find: async ({ env, platform }) => env.CONDA_PREFIX ? [{
+      path: condaExecutable(env.CONDA_PREFIX, platform),
+      source: 'conda',
+      description: `active conda environment "${env.CONDA_DEFAULT_ENV || path.basename(env.CONDA_PREFIX)}"`
+    }] : []
+  },
+  {
+    automatic: true,
+    find: async ({ projectDirectory, env }) => {
+      if (!env.PYENV_VERSION && !await exists(path.join(projectDirectory, '.python-version'))) return [];
+      const executable = await runCommand('pyenv', ['which', 'python'], projectDirectory, env);
+      return executable ? [{ path: executable, source: 'pyenv', description: 'pyenv version of the project' }] : [];
+    }
+  },
+  {
+    automatic: false,
+    find: async ({ projectDirectory, env, platform }) => {
+      const output = await runCommand(env.CONDA_EXE || 'conda', ['env', 'list', '--json'], projectDirectory, env);
+      let environments = [];
+      try {
+        environments = JSON.parse(output).envs || [];
+      } catch (error) {
+        return []; // conda is not installed
+      }
+      return environments.map(environment => ({ path: condaExecutable(environment, platform), source: 'conda', description: `conda environment "${path.basename(environment)}"` }));
+    }
+  },
+  {
+    automatic: false,
+    find: async ({ projectDirectory, env }) => {
+      const interpreters = [];
+      for (const command of ['python3', 'python']) {
+        const executable = await runCommand(command, ['-c', 'import sys; print(sys.executable)'], projectDirectory, env);
+        if (executable) interpreters.push({ path: executable, source: 'path', description: `"${command}" on the PATH` });
+      }
+      return interpreters;
+    }
+  }
+];
+
+async function discover(directory, options, finders, firstOnly) {
+  const context = {
+    projectDirectory: await findProjectDirectory(directory),
+    env: options.env || process.env,
+    platform: options.platform || process.platform
+  };
+  const interpreters = [];
+  for (const finder of finders) {
+    for (const interpreter of await finder.find(context)) {
+      if (interpreters.some(other => other.path === interpreter.path) || !await exists(interpreter.path, fs.constants.X_OK)) continue;
+      interpreters.push(interpreter);
+      if (firstOnly) return interpreters;
+    }
+  }
+  return interpreters;
+}
+
+/* Resolves to all interpreters found for the project of directory (see above), in the order
+   of preference. options: { env, platform } (default: those of this process).
+*/
+function findPythonInterpreters(directory, options = {}) {
+  return discover(directory, options, FINDERS, false);
+}
+
+/* Resolves to the interpreter of the project of directory or of the active environment,
+   which is used if no other is chosen, or null if there is none.
+*/
+async function findProjectInterpreter(directory, options = {}) {
+  const interpreters = await discover(directory, options, FINDERS.filter(finder => finder.automatic), true);
+  return interpreters.length > 0 ? interpreters[0] : null;
+}
+
+module.exports = {
+  findPythonInterpreters: findPythonInterpreters,
+  findProjectInterpreter: findProjectInterpreter
+};
@@ -0,0 +1,261 @@
+/* Quick fixes for the messages of the validators, attached to the messages as linter
+   "solutions" (see validation.js).
+
+   Solutions that change the file of their message are linter solutions:
+     { title, position, currentText, replaceWith }
+   Solutions that change another file (the metamodel or the functions file) have an edit instead:
+     { title, position, edit: { file, range, currentText, replaceWith } }
+   where range is the range of currentText in the other file. The Atom package and the
+   language server apply these edits to the other file.
+
+   The validators of fudomo-transform report their findings as text only, so the names a
+   fix needs are taken from the messages.
+*/
+const path = require('path');
+const { findClosest } = require('./suggest.js');
+const { listFunctionDefinitions, appendSkeleton } = require('./implementations.js');
+const { parseFudomoText } = require('./inline-functions.js');
+const { mergeMetamodelText, toPlainMetamodel } = require('./metamodel-merge.js');
+const { lineStartOffsets, positionForOffset, offsetForPosition } = require('./text.js');
+
+// Types the transformation and data can use without declaring them in the metamodel.
+const IMPLICIT_TYPES = ['Object', 'Root'];
+
+// The range of name starting at the start of position. Some validator locations end at the wrong column.
+function nameRange(position, name) {
+  const start = position[0];
+  return [start, [start[0], start[1] + name.length]];
+}
+
+// A solution replacing name at position with replacement, or null if name is not found there.
+function replaceSolution(text, position, name, replacement) {
+  const range = nameRange(position, name);
+  const lineStarts = lineStartOffsets(text);
+  if (text.slice(offsetForPosition(text, range[0], lineStarts), offsetForPosition(text, range[1], lineStarts)) !== name) return null;
+  return { title: `Replace with "${replacement}"`, position: range, currentText: name, replaceWith: replacement };
+}
+
+// A solution replacing name with the closest candidate, or null if no candidate is close.
+function closestNameSolution(text, position, name, candidates) {
+  const suggestion = findClosest(name, candidates.filter(candidate => candidate !== name));
+  return suggestion !== null ? replaceSolution(text, position, name, suggestion) : null;
+}
+
+/* The edit of file changing oldText into newText, as the smallest range of oldText that
+   contains all changes.
+*/
+function makeFileEdit(file, oldText, newText) {
+  let start = 0;
+  while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+  let end = 0;
+  while (end < oldText.length - start && end < newText.length - start && oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) end++;
+  const lineStarts = lineStartOffsets(oldText);
+  return {
+    file: file,
+    range: [positionForOffset(oldText, start, lineStarts), positionForOffset(oldText, oldText.length - end, lineStarts)],
+    currentText: oldText.slice(start, oldText.length - end),
+    replaceWith: newText.slice(start, newText.length - end)
+  };
+}
+
+function fileEditSolution(title, position, file, oldText, newText) {
+  return { title: title, position: position, edit: makeFileEdit(file, oldText, newText) };
+}
+
+function typeNames(metamodel) {
+  return Object.keys(metamodel || {}).concat(IMPLICIT_TYPES);
+}
+
+function featureNames(metamodel, type) {
+  const spec = (metamodel || {})[type];
+  const names = spec !== null && typeof spec === 'object' && !Array.isArray(spec) ? Object.keys(spec) : [];
+  return type === 'Root' ? names.concat(['cont']) : names;
+}
+
+/* The location of the reverse link described by the context of a validator error
+   ("Type.function: reference <- Type.function") in the .fudomo text, or null if there is none.
+   The validator reports errors of reverse links without their location.
+*/
+function findReverseLinkLocation(text, context) {
+  const match = (context || '').match(/^(\w+\.\w+): (\w+) <- (\w+\.\w+)$/);
+  if (match === null) return null;
+  const [, qualifiedName, referenceName, functionName] = match;
+  const transformation = parseFudomoText(text, null);
+  for (const decomposition of transformation.decompositions || []) {
+    if (decomposition.function.qualifiedName !== qualifiedName) continue;
+    const link = decomposition.links.find(link => link.kind === 'reverse' && link.referenceName === referenceName && link.function.qualifiedName === functionName);
+    if (link !== undefined) return link.node.location;
+  }
+  return null;
+}
+
+function compact(solutions) {
+  const result = solutions.filter(solution => solution !== null);
+  return result.length > 0 ? result : undefined;
+}
+
+/* Solutions for an error of the TransformationValidator, given the metamodel and the text of
+   the .fudomo file. Returns undefined if there are none.
+*/
+function getTransformationSolutions(error, metamodel, text) {
+  const position = error.location;
+  let match = error.message.match(/^(?:Decomposition|Forward Link|Reverse Link) Type (\w+) not found in metamodel$/);
+  if (match !== null) {
+    return compact([closestNameSolution(text, position, match[1], typeNames(metamodel))]);
+  }
+  match = error.message.match(/^Reference (\w+) not found in type (\w+)$/);
+  if (match !== null) {
+    const linkPosition = findReverseLinkLocation(text, error.context) || position;
+    return compact([closestNameSolution(text, linkPosition, match[1], featureNames(metamodel, match[2]))]);
+  }
+  match = error.message.match(/^Reference Type (\w+) not allowed for reference (\w+)\.(\w+)$/);
+  if (match !== null) {
+    const [, type, ownerType, referenceName] = match;
+    const allowed = [].concat(((metamodel || {})[ownerType] || {})[referenceName] || []).filter(name => (metamodel || {})[name] !== undefined);
+    const closest = findClosest(type, allowed);
+    if (closest !== null) allowed.unshift(...allowed.splice(allowed.indexOf(closest), 1));
+    return compact(allowed.map(name => replaceSolution(text, position, type, name)));
+  }
+  match = error.message.match(/^No decomposition "(\w+)" found for concrete type (\w+)$/);
+  if (match !== null) {
+    const end = positionForOffset(text, text.length);
+    const separator = text === '' || text.endsWith('\n') ? '\n' : '\n\n';
+    return [{ title: `Add decomposition "${match[2]}.${match[1]}"`, position: [end, end], currentText: '', replaceWith: `${separator}${match[2]}.${match[1]}:\n` }];
+  }
+  return undefined;
+}
+
+/* Solutions for an error of the DataValidator. context is
+     { dataText, metamodel, metamodelPath, metamodelText, inferredMetamodel }
+   where the inferred metamodel is the one of the data (see MetamodelInferer), and
+   metamodelText is null if the metamodel file can not be read. Returns undefined if there are none.
+*/
+function getDataSolutions(error, context) {
+  const position = error.location;
+  const metamodelName = context.metamodelPath !== null ? path.basename(context.metamodelPath) : null;
+  const inferred = toPlainMetamodel(context.inferredMetamodel || {});
+  // A solution merging (part of) the inferred metamodel into the metamodel file, see mergeMetamodelText
+  const metamodelSolution = (title, metamodel, includeConflicts) => {
+    if (context.metamodelText === null) return null;
+    try {
+      const merge = mergeMetamodelText(context.metamodelText, metamodel);
+      const newText = includeConflicts ? merge.text : merge.additionsText;
+      return newText !== context.metamodelText ? fileEditSolution(title, position, context.metamodelPath, context.metamodelText, newText) : null;
+    } catch (error) {
+      return null; // The metamodel can not be parsed, which is reported by its linter
+    }
+  };
+
+  let match = error.message.match(/^Type (\w+) not found in metamodel$/);
+  if (match !== null) {
+    const type = match[1];
+    return compact([
+      closestNameSolution(context.dataText, position, type, typeNames(context.metamodel)),
+      inferred[type] !== undefined ? metamodelSolution(`Add type "${type}" to ${metamodelName}`, { [type]: inferred[type] }, false) : null
+    ]);
+  }
+  match = error.message.match(/^Attribute or reference (\w+) not found in type (\w+) in metamodel$/);
+  if (match !== null) {
+    const [, feature, type] = match;
+    const inferredTypes = (inferred[type] || {})[feature];
+    return compact([
+      closestNameSolution(context.dataText, position, feature, featureNames(context.metamodel, type)),
+      inferredTypes !== undefined ? metamodelSolution(`Add "${feature}" to type "${type}" in ${metamodelName}`, { [type]: { [feature]: inferredTypes } }, false) : null
+    ]);
+  }
+  match = error.message.match(/^Attribute or reference (\w+) has disallowed type (\w+)$/);
+  const contextMatch = (error.context || '').match(/^Object of type (\w+)$/);
+  if (match !== null && contextMatch !== null) {
+    const [, feature, valueType] = match;
+    const type = contextMatch[1];
+    // Objects of types that are not in the metamodel have their own message
+    if (inferred[valueType] !== undefined && (context.metamodel || {})[valueType] === undefined) return undefined;
+    return compact([metamodelSolution(`Allow ${valueType} values for "${type}.${feature}" in ${metamodelName}`, { [type]: { [feature]: [valueType] } }, true)]);
+  }
+  match = error.message.match(/^(\w+) value has disallowed type (\w+)$/);
+  if (match !== null) {
+    const [, type, valueType] = match;
+    return compact([metamodelSolution(`Allow ${valueType} values for "${type}" in ${metamodelName}`, { [type]: [valueType] }, true)]);
+  }
+  return undefined;
+}
+
+// Returns the index of the parenthesis closing the one at start, or -1.
+function findClosingParenthesis(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// What can come between the name of a function and its parameter list.
+const PARAMETER_LIST_PREFIXES = {
+  js: /^\s*(?:[:=]\s*(?:async\s+)?(?:function\b\s*[\w$]*\s*)?)?$/, // Name(, Name: function(, Name: (, exports.Name = function(
+  python: /^\s*$/
+};
+
+/* Returns the edit replacing the parameter list of the function criterion.functionName in the
+   functions file ({ path, text, languageId }) by criterion.parameters, or null if its
+   definition or parameter list can not be found (eg. for JavaScript arrow functions with a
+   single parameter without parentheses).
+*/
+function makeParameterEdit(functions, criterion) {
+  const prefix = PARAMETER_LIST_PREFIXES[functions.languageId];
+  const text = functions.text;
+  const definition = listFunctionDefinitions(text, functions.languageId).find(definition => definition.name === criterion.functionName);
+  if (definition === undefined || prefix === undefined) return null;
+  const nameEnd = offsetForPosition(text, definition.range[1]);
+  const open = text.indexOf('(', nameEnd);
+  if (open === -1 || !prefix.test(text.slice(nameEnd, open))) return null;
+  const close = findClosingParenthesis(text, open);
+  if (close === -1) return null;
+  const lineStarts = lineStartOffsets(text);
+  return {
+    file: functions.path,
+    range: [positionForOffset(text, open + 1, lineStarts), positionForOffset(text, close, lineStarts)],
+    currentText: text.slice(open + 1, close),
+    replaceWith: criterion.parameters.join(', ')
+  };
+}
+
+/* Solutions for a marker of validateFunctions (at position in the .fudomo file), given the
+   validation criterion of the decomposition (see getFunctionValidationCriteria). functions
+   is { path, text, languageId } of the functions file, with text null if it does not exist.
+   Returns undefined if there are none.
+*/
+function getFunctionSolutions(marker, position, criterion, decomposition, functions) {
+  if (functions.text === null || criterion === undefined) return undefined;
+  if (/^Expected implementation of decomposition function "\w+" not found\.$/.test(marker.error)) {
+    try {
+      const newText = appendSkeleton(functions.text, functions.languageId, decomposition);
+      return [fileEditSolution(`Add function skeleton "${criterion.functionName}" to ${path.basename(functions.path)}`, position, functions.path, functions.text, newText)];
+    } catch (error) {
+      return undefined; // No place for the skeleton
+    }
+  }
+  if (/^Implementation of decomposition function "\w+" does not have expected parameters/.test(marker.error)) {
+    const edit = makeParameterEdit(functions, criterion);
+    if (edit === null) return undefined;
+    return [{ title: `Change parameters of "${criterion.functionName}" to "${edit.replaceWith}"`, position: position, edit: edit }];
+  }
+  return undefined;
+}
+
+/* Solutions for a message at the definition of a function in the functions file itself,
+   rewriting its parameters. Returns undefined if its parameter list can not be found.
+*/
+function getParameterSolutions(criterion, functions) {
+  const edit = makeParameterEdit(functions, criterion);
+  if (edit === null) return undefined;
+  return [{ title: `Change parameters to "${edit.replaceWith}"`, position: edit.range, currentText: edit.currentText, replaceWith: edit.replaceWith }];
+}
+
+module.exports = {
+  getTransformationSolutions: getTransformationSolutions,
+  getDataSolutions: getDataSolutions,
+  getFunctionSolutions: getFunctionSolutions,
+  getParameterSolutions: getParameterSolutions,
+  makeParameterEdit: makeParameterEdit
+};
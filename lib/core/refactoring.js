@@ -0,0 +1,660 @@
+/* Refactorings of transformations across the files related by .config files: the
+   decomposition (.fudomo), functions, data and metamodel files. Planning a refactoring does
+   not change any file, it resolves to a plan for reviewing the changes first:
+     { title, changes: [{ file, oldText, newText }], warnings }
+   where warnings are messages about what could not be changed. applyRefactoring writes the
+   changes of a plan.
+
+   The names of the functions implementing the decompositions and of their parameters are
+   derived from the decompositions (see the skeleton generators), so the functions (in the
+   functions files and inline) are updated along with the decompositions: renamed functions
+   and parameters are renamed in the definition, body and documentation comment of the
+   function.
+*/
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const YAML = require('yaml');
+const { getSkeletonGenerator } = require('fudomo-transform');
+const { loadConfig, readTextFile } = require('./config.js');
+const { findConfigFiles } = require('./project-validation.js');
+const { parseFudomoText, getInlineFunction } = require('./inline-functions.js');
+const { hasSyntaxError } = require('./pipeline.js');
+const { FudomoDocument, RenameError, rangeContains } = require('./language-service.js');
+const { getFunctionsLanguageId, listFunctionDefinitions, appendSkeleton } = require('./implementations.js');
+const { makeParameterEdit } = require('./quick-fixes.js');
+const { loadModelText, DATA_TEXT_EXTENSIONS } = require('./metamodel.js');
+const { parseTestCases } = require('./golden-tests.js');
+const { isObjectModel } = require('./trace.js');
+const { writeFileAtomically } = require('./outputs.js');
+const { lineStartOffsets, offsetForPosition } = require('./text.js');
+
+const readFile = util.promisify(fs.readFile);
+
+const FUDOMO_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+// Objects and features of OYAML data are told apart by the case of their first letter.
+const TYPE_NAME_PATTERN = /^[A-Z][a-zA-Z0-9]*$/;
+const FEATURE_NAME_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+const BUILTIN_FUNCTION_NAMES = ['center', 'val', 'cont'];
+const IMPLICIT_TYPES = ['Object', 'Root', 'String', 'Number', 'Boolean'];
+const CONTAINMENT_FEATURE = 'cont';
+
+class RefactoringError extends Error {
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Applies edits ({ start, end, newText } with offsets into text), which must not overlap.
+function applyEdits(text, edits) {
+  let result = text;
+  for (const edit of edits.slice().sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, edit.start) + edit.newText + result.slice(edit.end);
+  }
+  return result;
+}
+
+// The edit replacing range ([[row, column], [row, column]]) of text with newText.
+function rangeEdit(text, range, newText, lineStarts = lineStartOffsets(text)) {
+  return { start: offsetForPosition(text, range[0], lineStarts), end: offsetForPosition(text, range[1], lineStarts), newText: newText };
+}
+
+/* Collects the changes of a refactoring. Files are read once, and changes of the same file
+   build on each other.
+*/
+class RefactoringPlan {
+  constructor(title = null) {
+    this.title = title;
+    this.files = new Map(); // key is the path, value is { file, oldText, newText }
+    this.warnings = [];
+  }
+
+  // Resolves to the (changed) text of the file.
+  async read(filePath) {
+    if (!this.files.has(filePath)) {
+      const text = await readTextFile(filePath, `"${path.basename(filePath)}" not found.`);
+      this.files.set(filePath, { file: filePath, oldText: text, newText: text });
+    }
+    return this.files.get(filePath).newText;
+  }
+
+  update(filePath, newText) {
+    this.files.get(filePath).newText = newText;
+  }
+
+  warn(message) {
+    this.warnings.push(message);
+  }
+
+  get changes() {
+    return Array.from(this.files.values()).filter(change => change.newText !== change.oldText);
+  }
+
+  toJSON() {
+    return { title: this.title, changes: this.changes, warnings: this.warnings };
+  }
+}
+
+/* The files of the configs of the project (all .config files below projectPath, or in the
+   directory of filePath if it is null) that reference filePath with the given key. With
+   transitive, the files of the configs sharing their decomposition or metamodel are
+   included as well, as they are changed by renaming a type or feature.
+   Resolves to { configs, decompositionPaths, functionsPaths, dataPaths, metamodelPaths },
+   with the paths as arrays of absolute paths. The data of the tests of the configs is
+   included in dataPaths.
+*/
+async function collectFiles(filePath, key, projectPath, transitive) {
+  const configs = [];
+  for (const configPath of await findConfigFiles(projectPath !== null ? projectPath : path.dirname(path.resolve(filePath)))) {
+    try {
+      configs.push(await loadConfig(configPath));
+    } catch (error) {
+      // Not a valid config
+    }
+  }
+  const resolve = (config, configKey) => config.has(configKey) ? config.resolvePath(configKey) : null;
+  const related = configs.filter(config => resolve(config, key) === path.resolve(filePath));
+  if (transitive) {
+    let count = 0;
+    while (count !== related.length) {
+      count = related.length;
+      for (const sharedKey of ['decomposition', 'metamodel']) {
+        const shared = new Set(related.map(config => resolve(config, sharedKey)).filter(sharedPath => sharedPath !== null));
+        related.push(...configs.filter(config => !related.includes(config) && shared.has(resolve(config, sharedKey))));
+      }
+    }
+  }
+
+  const pathsOf = configKey => Array.from(new Set(related.map(config => resolve(config, configKey)).filter(filePath => filePath !== null)));
+  const dataPaths = new Set(pathsOf('data'));
+  for (const config of related) {
+    try {
+      for (const testCase of parseTestCases(config.path, await readFile(config.path, 'utf-8'))) dataPaths.add(testCase.dataPath);
+    } catch (error) {
+      // Malformed tests are reported when they are run
+    }
+  }
+  return {
+    configs: related,
+    decompositionPaths: pathsOf('decomposition'),
+    functionsPaths: pathsOf('functions'),
+    dataPaths: Array.from(dataPaths),
+    metamodelPaths: pathsOf('metamodel')
+  };
+}
+
+function parseDecomposition(decompositionPath, text) {
+  const transformation = parseFudomoText(text, decompositionPath);
+  if (hasSyntaxError(transformation)) {
+    throw new RefactoringError(`"${path.basename(decompositionPath)}" has syntax errors.`);
+  }
+  return transformation;
+}
+
+/* Pairs the validation criteria of the functions (see getFunctionValidationCriteria) before
+   and after a change of the transformation, as [{ before, after }]; after is undefined for
+   removed decompositions, before for added ones. renamed maps the qualified names of
+   renamed decompositions to their new names.
+*/
+function pairCriteria(languageId, oldTransformation, newTransformation, renamed) {
+  const generator = getSkeletonGenerator(languageId);
+  const newCriteria = generator.getFunctionValidationCriteria(newTransformation);
+  const pairs = generator.getFunctionValidationCriteria(oldTransformation).map(before => {
+    const newName = renamed[before.decompositionQualifiedName] || before.decompositionQualifiedName;
+    return { before: before, after: newCriteria.find(criterion => criterion.decompositionQualifiedName === newName) };
+  });
+  for (const after of newCriteria) {
+    if (!pairs.some(pair => pair.after === after)) pairs.push({ before: undefined, after: after });
+  }
+  return pairs;
+}
+
+/* The names to replace in a function for a pair of criteria, as a Map, or null if the
+   parameters changed otherwise (then the parameter list has to be replaced instead): if
+   their number changed, or the links of the decomposition are in replaced (the qualified
+   names of decompositions whose links were replaced, not renamed).
+*/
+function renamesOf(pair, replaced) {
+  const { before, after } = pair;
+  if (before.parameters.length !== after.parameters.length) return null;
+  if (replaced.includes(after.decompositionQualifiedName) && before.parameters.join() !== after.parameters.join()) return null;
+  const renames = new Map();
+  if (before.functionName !== after.functionName) renames.set(before.functionName, after.functionName);
+  if (before.decompositionQualifiedName !== after.decompositionQualifiedName) renames.set(before.decompositionQualifiedName, after.decompositionQualifiedName);
+  before.parameters.forEach((parameter, index) => {
+    if (parameter !== after.parameters[index]) renames.set(parameter, after.parameters[index]);
+  });
+  return renames;
+}
+
+// The edits replacing the names (a Map) in text between the offsets start and end. Names after a "." (properties) are not replaced.
+function renameEdits(text, start, end, renames) {
+  if (renames.size === 0) return [];
+  const pattern = new RegExp(`(?<![\\w$.])(?:${Array.from(renames.keys()).map(escapeRegExp).join('|')})(?![\\w$])`, 'g');
+  const edits = [];
+  const region = text.slice(start, end);
+  let match = null;
+  while ((match = pattern.exec(region)) !== null) {
+    edits.push({ start: start + match.index, end: start + match.index + match[0].length, newText: renames.get(match[0]) });
+  }
+  return edits;
+}
+
+/* The offsets of the text of every function definition of a functions file: from the
+   comment lines directly above it to those of the next definition. Returns a Map of the
+   function names to [start, end].
+*/
+function functionRegions(text, languageId) {
+  const lines = text.split('\n');
+  const lineStarts = lineStartOffsets(text);
+  const starts = listFunctionDefinitions(text, languageId).map(definition => {
+    let row = definition.range[0][0];
+    while (row > 0 && /^\s*(\/\*|\*|\/\/|#|@)/.test(lines[row - 1])) row--;
+    return { name: definition.name, start: lineStarts[row] };
+  });
+  return new Map(starts.map((definition, index) => [definition.name, [definition.start, index + 1 < starts.length ? starts[index + 1].start : text.length]]));
+}
+
+/* Updates the functions file for a change of its transformation (see pairCriteria). Warns
+   about functions whose parameters were replaced, as their bodies have to be adapted, and
+   appends skeletons for added decompositions without inline functions.
+*/
+async function updateFunctionsFile(plan, functionsPath, oldTransformation, newTransformation, renamed, replaced) {
+  const languageId = getFunctionsLanguageId(functionsPath);
+  if (languageId === null) {
+    plan.warn(`"${path.basename(functionsPath)}" is not a JavaScript or Python file, it was not changed.`);
+    return;
+  }
+  let text = null;
+  try {
+    text = await plan.read(functionsPath);
+  } catch (error) {
+    return; // There are no functions to change yet
+  }
+  const regions = functionRegions(text, languageId);
+  const edits = [];
+  const added = [];
+  for (const pair of pairCriteria(languageId, oldTransformation, newTransformation, renamed)) {
+    if (pair.before === undefined) {
+      added.push(pair.after);
+      continue;
+    }
+    if (pair.after === undefined || !regions.has(pair.before.functionName)) continue;
+    const renames = renamesOf(pair, replaced);
+    if (renames !== null) {
+      edits.push(...renameEdits(text, ...regions.get(pair.before.functionName), renames));
+      continue;
+    }
+    const edit = makeParameterEdit({ path: functionsPath, text: text, languageId: languageId }, pair.after);
+    if (edit !== null) edits.push(rangeEdit(text, edit.range, edit.replaceWith));
+    plan.warn(`The parameters of "${pair.after.functionName}" in "${path.basename(functionsPath)}" changed to (${pair.after.parameters.join(', ')}), its body has to be adapted.`);
+  }
+  text = applyEdits(text, edits);
+  for (const criterion of added) {
+    const decomposition = newTransformation.decompositions.find(d => d.function.qualifiedName === criterion.decompositionQualifiedName);
+    if (getInlineFunction(newTransformation, decomposition) !== undefined || regions.has(criterion.functionName)) continue;
+    try {
+      text = appendSkeleton(text, languageId, decomposition);
+    } catch (error) {
+      plan.warn(`${error.message} The skeleton of "${criterion.functionName}" has to be added by hand.`);
+    }
+  }
+  plan.update(functionsPath, text);
+}
+
+// Renames the parameters in the bodies of the inline functions of newText (see updateFunctionsFile).
+function updateInlineFunctions(plan, decompositionPath, newText, oldTransformation, renamed, replaced) {
+  const newTransformation = parseFudomoText(newText, decompositionPath);
+  const lines = newText.split('\n');
+  const lineStarts = lineStartOffsets(newText);
+  const edits = [];
+  for (const inlineFunction of newTransformation.inlineFunctions) {
+    const qualifiedName = inlineFunction.decomposition.function.qualifiedName;
+    const before = oldTransformation.inlineFunctions.find(old => (renamed[old.decomposition.function.qualifiedName] || old.decomposition.function.qualifiedName) === qualifiedName);
+    if (before === undefined) continue;
+    const pair = {
+      before: { functionName: before.functionName, parameters: before.parameters, decompositionQualifiedName: before.decomposition.function.qualifiedName },
+      after: { functionName: inlineFunction.functionName, parameters: inlineFunction.parameters, decompositionQualifiedName: qualifiedName }
+    };
+    const renames = renamesOf(pair, replaced);
+    if (renames === null) {
+      plan.warn(`The parameters of the inline function of "${qualifiedName}" changed to (${inlineFunction.parameters.join(', ')}), its body has to be adapted.`);
+      continue;
+    }
+    renames.delete(pair.before.functionName); // The name of an inline function is not written
+    const end = inlineFunction.closeRow < lines.length ? lineStarts[inlineFunction.closeRow] : newText.length;
+    edits.push(...renameEdits(newText, lineStarts[inlineFunction.openRow + 1], end, renames));
+  }
+  return applyEdits(newText, edits);
+}
+
+/* Changes the decomposition file at decompositionPath to newText, and updates the inline
+   functions and the functions files of the configs using it accordingly (see pairCriteria
+   and renamesOf for renamed and replaced).
+*/
+async function updateDecomposition(plan, decompositionPath, newText, projectPath, renamed, replaced = []) {
+  const oldTransformation = parseDecomposition(decompositionPath, await plan.read(decompositionPath));
+  const text = updateInlineFunctions(plan, decompositionPath, newText, oldTransformation, renamed, replaced);
+  plan.update(decompositionPath, text);
+  const newTransformation = parseDecomposition(decompositionPath, text);
+  const { functionsPaths } = await collectFiles(decompositionPath, 'decomposition', projectPath, false);
+  for (const functionsPath of functionsPaths) {
+    await updateFunctionsFile(plan, functionsPath, oldTransformation, newTransformation, renamed, replaced);
+  }
+}
+
+/* Plans renaming the decomposition function at position of the .fudomo file to newName:
+   its decompositions, the links to it and the functions implementing the decompositions
+   (and the parameters of the functions of the linking decompositions).
+*/
+async function planRenameFunction(decompositionPath, position, newName, projectPath = null) {
+  const plan = new RefactoringPlan();
+  const text = await plan.read(decompositionPath);
+  const document = new FudomoDocument(decompositionPath, text);
+  if (document.hasSyntaxError) {
+    throw new RefactoringError(`"${path.basename(decompositionPath)}" has syntax errors.`);
+  }
+  let edits = null;
+  try {
+    edits = document.getRenameEdits(position, newName);
+  } catch (error) {
+    if (error instanceof RenameError) throw new RefactoringError(error.message);
+    throw error;
+  }
+  const qualifiedName = document.getOccurrenceAt(position).qualifiedName;
+  const newQualifiedName = `${qualifiedName.split('.')[0]}.${newName}`;
+  plan.title = `Rename ${qualifiedName} to ${newQualifiedName}`;
+  const lineStarts = lineStartOffsets(text);
+  const newText = applyEdits(text, edits.map(edit => rangeEdit(text, edit.range, edit.newText, lineStarts)));
+  await updateDecomposition(plan, decompositionPath, newText, projectPath, { [qualifiedName]: newQualifiedName });
+  return plan.toJSON();
+}
+
+// Whether transformation has a decomposition for qualifiedName, or for any type if it is "Object.<name>".
+function hasDecomposition(transformation, qualifiedName) {
+  const [type, name] = qualifiedName.split('.');
+  return transformation.decompositions.some(decomposition => type === 'Object' ? decomposition.function.name === name : decomposition.function.qualifiedName === qualifiedName);
+}
+
+/* The features of the objects used by the links of the decompositions, as
+   [{ type, feature, range, isFunction, decomposition }], where range is the range of the
+   feature name. These are the references of links, and the local links and functions of
+   links that are not decompositions (isFunction), which are the values of the features.
+*/
+function listFeatureOccurrences(transformation) {
+  const occurrences = [];
+  for (const decomposition of transformation.decompositions) {
+    for (const link of decomposition.node.links) {
+      const start = link.location[0];
+      const occurrence = {
+        type: link.type === 'reverse' ? link.typedFunction.type : decomposition.function.type,
+        feature: link.reference,
+        range: [start, [start[0], start[1] + link.reference.length]],
+        isFunction: link.type === 'local',
+        decomposition: decomposition
+      };
+      if (!occurrence.isFunction || !hasDecomposition(transformation, `${occurrence.type}.${link.reference}`)) occurrences.push(occurrence);
+      const typedFunction = link.typedFunction;
+      if (typedFunction && !BUILTIN_FUNCTION_NAMES.includes(typedFunction.untypedFunction) &&
+          !hasDecomposition(transformation, `${typedFunction.type}.${typedFunction.untypedFunction}`)) {
+        const end = typedFunction.location[1];
+        occurrences.push({
+          type: typedFunction.type,
+          feature: typedFunction.untypedFunction,
+          range: [[end[0], end[1] - typedFunction.untypedFunction.length], end],
+          isFunction: true,
+          decomposition: decomposition
+        });
+      }
+    }
+  }
+  return occurrences;
+}
+
+/* The type or feature named at position of a .fudomo or metamodel file, as
+   { type, feature } (feature is null for types), or null if there is none.
+*/
+function findRenameTarget(filePath, text, position) {
+  if (path.extname(filePath) === '.fudomo') {
+    const document = new FudomoDocument(filePath, text);
+    for (const decomposition of document.decompositions) {
+      const typedFunctions = [decomposition.node.typedFunction].concat(decomposition.node.links.filter(link => link.typedFunction).map(link => link.typedFunction));
+      for (const typedFunction of typedFunctions) {
+        const start = typedFunction.location[0];
+        if (rangeContains([start, [start[0], start[1] + typedFunction.type.length]], position)) return { type: typedFunction.type, feature: null };
+      }
+    }
+    const occurrence = document.hasSyntaxError ? undefined : listFeatureOccurrences(document.transformation).find(occurrence => rangeContains(occurrence.range, position));
+    return occurrence !== undefined ? { type: occurrence.type, feature: occurrence.feature } : null;
+  }
+
+  const doc = YAML.parseDocument(text);
+  if (doc.errors.length > 0 || !doc.contents || !Array.isArray(doc.contents.items)) return null;
+  const offset = offsetForPosition(text, position);
+  const contains = node => node && node.range && node.range[0] <= offset && offset <= node.range[1];
+  for (const typePair of doc.contents.items) {
+    if (!typePair.key || typeof typePair.key.value !== 'string') continue;
+    if (contains(typePair.key)) return { type: typePair.key.value, feature: null };
+    if (!typePair.value || !Array.isArray(typePair.value.items)) continue;
+    for (const featurePair of typePair.value.items) {
+      if (!featurePair.key) continue; // A list of scalar types
+      if (contains(featurePair.key)) return { type: typePair.key.value, feature: featurePair.key.value };
+      const typeNodes = featurePair.value && Array.isArray(featurePair.value.items) ? featurePair.value.items : [featurePair.value];
+      const typeNode = typeNodes.find(node => contains(node) && typeof node.value === 'string');
+      if (typeNode !== undefined) return { type: typeNode.value, feature: null };
+    }
+  }
+  return null;
+}
+
+// The objects of the data file (see loadModelText): the root and all objects it contains.
+function listDataObjects(dataPath, text) {
+  const objects = [];
+  const visit = objectModel => {
+    if (objects.some(object => object.comparable === objectModel.comparable)) return;
+    objects.push(objectModel);
+    const contents = objectModel.featureNames.includes(CONTAINMENT_FEATURE) ? objectModel.getFeatureAsArray(CONTAINMENT_FEATURE) : [];
+    contents.filter(isObjectModel).forEach(visit);
+  };
+  visit(loadModelText(dataPath, text).center);
+  return objects;
+}
+
+/* Changes the data files: edits(objects, text) returns the edits for the objects of a data
+   file. Data files that are not OYAML, or can not be loaded, are not changed.
+*/
+async function updateDataFiles(plan, dataPaths, edits) {
+  for (const dataPath of dataPaths) {
+    if (!DATA_TEXT_EXTENSIONS.some(extension => dataPath.endsWith('.' + extension))) {
+      plan.warn(`"${path.basename(dataPath)}" is not an OYAML file, it has to be changed by hand.`);
+      continue;
+    }
+    let text = null;
+    let objects = null;
+    try {
+      text = await plan.read(dataPath);
+      objects = listDataObjects(dataPath, text);
+    } catch (error) {
+      plan.warn(`"${path.basename(dataPath)}" could not be loaded, it was not changed: ${error.message}`);
+      continue;
+    }
+    plan.update(dataPath, applyEdits(text, edits(objects, text)));
+  }
+}
+
+// Resolves to the metamodel files as [{ metamodelPath, text, types }], where types is the YAML map of the types.
+async function readMetamodels(plan, metamodelPaths) {
+  const metamodels = [];
+  for (const metamodelPath of metamodelPaths) {
+    const text = await plan.read(metamodelPath);
+    const doc = YAML.parseDocument(text);
+    if (doc.errors.length > 0 || !doc.contents || !Array.isArray(doc.contents.items)) {
+      throw new RefactoringError(`The metamodel "${path.basename(metamodelPath)}" has errors.`);
+    }
+    metamodels.push({ metamodelPath: metamodelPath, text: text, types: doc.contents });
+  }
+  return metamodels;
+}
+
+function nodeEdit(node, newText) {
+  return { start: node.range[0], end: node.range[1], newText: newText };
+}
+
+function findPair(mapNode, name) {
+  return mapNode && Array.isArray(mapNode.items) ? mapNode.items.find(pair => pair.key && pair.key.value === name) : undefined;
+}
+
+/* Plans renaming a type in the files of the configs that reference filePath (a .fudomo or
+   metamodel file) with key, and of the configs sharing their decomposition or metamodel: the
+   metamodel, the objects of the data files, the decompositions and their functions.
+*/
+async function planRenameType(filePath, key, type, newType, projectPath = null) {
+  if (IMPLICIT_TYPES.includes(type)) {
+    throw new RefactoringError(`"${type}" is provided by Fudomo and can not be renamed.`);
+  }
+  if (!TYPE_NAME_PATTERN.test(newType) || IMPLICIT_TYPES.includes(newType)) {
+    throw new RefactoringError(`"${newType}" is not a valid type name: type names start with an upper case letter, followed by letters and digits.`);
+  }
+  const plan = new RefactoringPlan(`Rename type ${type} to ${newType}`);
+  const files = await collectFiles(filePath, key, projectPath, true);
+
+  for (const { metamodelPath, text, types } of await readMetamodels(plan, files.metamodelPaths)) {
+    if (findPair(types, newType) !== undefined) {
+      throw new RefactoringError(`The metamodel "${path.basename(metamodelPath)}" already defines the type "${newType}".`);
+    }
+    const edits = [];
+    for (const typePair of types.items) {
+      if (typePair.key && typePair.key.value === type) edits.push(nodeEdit(typePair.key, newType));
+      for (const featurePair of typePair.value && Array.isArray(typePair.value.items) ? typePair.value.items : []) {
+        if (!featurePair.key || !featurePair.value) continue;
+        const typeNodes = Array.isArray(featurePair.value.items) ? featurePair.value.items : [featurePair.value];
+        typeNodes.filter(node => node && node.value === type).forEach(node => edits.push(nodeEdit(node, newType)));
+      }
+    }
+    plan.update(metamodelPath, applyEdits(text, edits));
+  }
+
+  for (const decompositionPath of files.decompositionPaths) {
+    const text = await plan.read(decompositionPath);
+    const transformation = parseDecomposition(decompositionPath, text);
+    const lineStarts = lineStartOffsets(text);
+    const edits = [];
+    const renamed = {};
+    for (const decomposition of transformation.decompositions) {
+      const typedFunctions = [decomposition.node.typedFunction].concat(decomposition.node.links.filter(link => link.typedFunction).map(link => link.typedFunction));
+      for (const typedFunction of typedFunctions.filter(typedFunction => typedFunction.type === type)) {
+        const start = typedFunction.location[0];
+        edits.push(rangeEdit(text, [start, [start[0], start[1] + type.length]], newType, lineStarts));
+      }
+      if (decomposition.function.type === type) {
+        renamed[decomposition.function.qualifiedName] = `${newType}.${decomposition.function.name}`;
+      }
+    }
+    if (transformation.decompositions.some(decomposition => decomposition.function.type === newType)) {
+      throw new RefactoringError(`"${path.basename(decompositionPath)}" already has decompositions of the type "${newType}".`);
+    }
+    await updateDecomposition(plan, decompositionPath, applyEdits(text, edits), projectPath, renamed);
+  }
+
+  await updateDataFiles(plan, files.dataPaths, (objects, text) => objects
+    .filter(object => object.type === type)
+    .map(object => rangeEdit(text, object.typeLocation, newType)));
+
+  if (plan.changes.length === 0) {
+    throw new RefactoringError(`The type "${type}" is not used by the files of the transformation.`);
+  }
+  return plan.toJSON();
+}
+
+/* Plans renaming a feature of a type, like planRenameType: in the metamodel, the objects of
+   the type in the data files, and the links of the decompositions (and so the parameters of
+   their functions). Links of decompositions of "Object", which can refer to the feature of
+   any type, are reported instead.
+*/
+async function planRenameFeature(filePath, key, type, feature, newFeature, projectPath = null) {
+  if (feature === CONTAINMENT_FEATURE) {
+    throw new RefactoringError(`"${CONTAINMENT_FEATURE}" is provided by Fudomo and can not be renamed.`);
+  }
+  if (!FEATURE_NAME_PATTERN.test(newFeature) || BUILTIN_FUNCTION_NAMES.includes(newFeature)) {
+    throw new RefactoringError(`"${newFeature}" is not a valid feature name: feature names start with a lower case letter, followed by letters and digits, and are not ${BUILTIN_FUNCTION_NAMES.join(', ')}.`);
+  }
+  const plan = new RefactoringPlan(`Rename feature ${type}.${feature} to ${type}.${newFeature}`);
+  const files = await collectFiles(filePath, key, projectPath, true);
+
+  for (const { metamodelPath, text, types } of await readMetamodels(plan, files.metamodelPaths)) {
+    const typePair = findPair(types, type);
+    if (typePair === undefined) continue;
+    if (findPair(typePair.value, newFeature) !== undefined) {
+      throw new RefactoringError(`The metamodel "${path.basename(metamodelPath)}" already defines the feature "${type}.${newFeature}".`);
+    }
+    const featurePair = findPair(typePair.value, feature);
+    if (featurePair !== undefined) plan.update(metamodelPath, applyEdits(text, [nodeEdit(featurePair.key, newFeature)]));
+  }
+
+  for (const decompositionPath of files.decompositionPaths) {
+    const text = await plan.read(decompositionPath);
+    const transformation = parseDecomposition(decompositionPath, text);
+    const lineStarts = lineStartOffsets(text);
+    const edits = [];
+    for (const occurrence of listFeatureOccurrences(transformation).filter(occurrence => occurrence.feature === feature)) {
+      const qualifiedName = occurrence.decomposition.function.qualifiedName;
+      if (occurrence.type === 'Object') {
+        plan.warn(`"${qualifiedName}" in "${path.basename(decompositionPath)}" links "${feature}" of any type, it was not changed.`);
+        continue;
+      }
+      if (occurrence.type !== type) continue;
+      if (occurrence.isFunction && hasDecomposition(transformation, `${type}.${newFeature}`)) {
+        throw new RefactoringError(`"${newFeature}" would link to the decomposition "${type}.${newFeature}" in "${qualifiedName}".`);
+      }
+      edits.push(rangeEdit(text, occurrence.range, newFeature, lineStarts));
+    }
+    await updateDecomposition(plan, decompositionPath, applyEdits(text, edits), projectPath, {});
+  }
+
+  await updateDataFiles(plan, files.dataPaths, (objects, text) => objects
+    .filter(object => object.type === type && object.featureNames.includes(feature))
+    .map(object => rangeEdit(text, object.getFeatureNameLocation(feature), newFeature)));
+
+  if (plan.changes.length === 0) {
+    throw new RefactoringError(`The feature "${type}.${feature}" is not used by the files of the transformation.`);
+  }
+  return plan.toJSON();
+}
+
+/* Plans extracting the links of a decomposition in range (the selection in the .fudomo file)
+   into the new decomposition "<Type>.<newName>", which is added after it. The links are
+   replaced by a local link to the new decomposition. The new decomposition gets a skeleton in
+   the functions files, but no inline function: if the decomposition has one, and no functions
+   file got a skeleton, the plan warns that the function has to be written (until then the
+   function validation reports it as missing).
+*/
+async function planExtractDecomposition(decompositionPath, range, newName, projectPath = null) {
+  const plan = new RefactoringPlan();
+  const text = await plan.read(decompositionPath);
+  const transformation = parseDecomposition(decompositionPath, text);
+  const overlaps = location => !(location[1][0] < range[0][0] || (location[1][0] === range[0][0] && location[1][1] <= range[0][1]) ||
+    location[0][0] > range[1][0] || (location[0][0] === range[1][0] && location[0][1] >= range[1][1]));
+  const decomposition = transformation.decompositions.find(decomposition => decomposition.node.links.some(link => overlaps(link.location)));
+  if (decomposition === undefined) {
+    throw new RefactoringError('Select the links to extract.');
+  }
+  const links = decomposition.node.links.filter(link => overlaps(link.location));
+  const type = decomposition.function.type;
+  if (!FUDOMO_NAME_PATTERN.test(newName) || BUILTIN_FUNCTION_NAMES.includes(newName)) {
+    throw new RefactoringError(`"${newName}" is not a valid function name.`);
+  }
+  if (transformation.decompositions.some(other => other.function.qualifiedName === `${type}.${newName}`)) {
+    throw new RefactoringError(`A decomposition "${type}.${newName}" already exists.`);
+  }
+  if (links.length === decomposition.node.links.length && links.length === 1) {
+    throw new RefactoringError('A single link can not be extracted from a decomposition without other links.');
+  }
+
+  plan.title = `Extract ${type}.${newName} from ${decomposition.function.qualifiedName}`;
+  const lines = text.split('\n');
+  const lineStarts = lineStartOffsets(text);
+  const linkTexts = links.map(link => text.slice(offsetForPosition(text, link.location[0], lineStarts), offsetForPosition(text, link.location[1], lineStarts)).replace(/\s+/g, ' '));
+  const inlineFunction = getInlineFunction(transformation, decomposition);
+  const lastRow = inlineFunction !== undefined ? Math.max(inlineFunction.closeRow, decomposition.node.location[1][0]) : decomposition.node.location[1][0];
+  // Separated by a blank line if the decomposition is followed by one
+  const newLines = lastRow + 1 < lines.length && lines[lastRow + 1].trim() === '' ? [''] : [];
+  newLines.push(`${type}.${newName}:`, `  ${linkTexts.join(', ')}`);
+  const insertAt = offsetForPosition(text, [lastRow, lines[lastRow].replace(/\r$/, '').length], lineStarts);
+  const newText = applyEdits(text, [
+    { start: offsetForPosition(text, links[0].location[0], lineStarts), end: offsetForPosition(text, links[links.length - 1].location[1], lineStarts), newText: newName },
+    { start: insertAt, end: insertAt, newText: '\n' + newLines.join('\n') }
+  ]);
+  await updateDecomposition(plan, decompositionPath, newText, projectPath, {}, [decomposition.function.qualifiedName]);
+  const functionName = `${type}_${newName}`;
+  const hasSkeleton = plan.changes.some(change => change.file !== decompositionPath &&
+    functionRegions(change.newText, getFunctionsLanguageId(change.file)).has(functionName));
+  if (inlineFunction !== undefined && !hasSkeleton) {
+    plan.warn(`"${type}.${newName}" has no function yet, its inline function has to be written by hand.`);
+  }
+  return plan.toJSON();
+}
+
+/* Writes the changes of the plan. Throws a RefactoringError without writing anything if one
+   of the files was changed since the plan was made.
+*/
+async function applyRefactoring(plan) {
+  for (const change of plan.changes) {
+    if (await readTextFile(change.file, `"${path.basename(change.file)}" was deleted.`) !== change.oldText) {
+      throw new RefactoringError(`"${path.basename(change.file)}" was changed in the meantime.`);
+    }
+  }
+  for (const change of plan.changes) {
+    await writeFileAtomically(change.file, change.newText);
+  }
+}
+
+module.exports = {
+  RefactoringError: RefactoringError,
+  findRenameTarget: findRenameTarget,
+  planRenameFunction: planRenameFunction,
+  planRenameType: planRenameType,
+  planRenameFeature: planRenameFeature,
+  planExtractDecomposition: planExtractDecomposition,
+  applyRefactoring: applyRefactoring
+};
@@ -0,0 +1,106 @@
+/* Keeps the decomposition function runners of Python transformations alive between runs, so
+   that the interpreter is not started and the functions module not imported again on every
+   run (eg. with auto-transform).
+
+   Runners are kept per config file. The runner of a config is replaced (which imports the
+   functions module again) when the config, its Python interpreter or the modification time of
+   its functions file changed, and when its Python process exited, eg. because it crashed. The runners of other
+   languages are cheap to create and are not kept.
+
+   A runner is only lent to one run at a time: a run that starts while the runner of its config
+   is in use gets a new runner that is not kept. The functions a run wraps to observe the
+   runner (see TransformationMonitor and TransformationTrace) are restored when it is done.
+*/
+const fs = require('fs');
+const util = require('util');
+
+const stat = util.promisify(fs.stat);
+
+function isProcessRunning(runner) {
+  const process = runner.pythonProc;
+  return process === null || process === undefined || process.exitCode === null && process.signalCode === null;
+}
+
+// Stops the runner, and its Python process even if it is still busy with a function call.
+function stopRunner(runner, finalize) {
+  finalize();
+  const process = runner.pythonProc;
+  if (process && isProcessRunning(runner)) {
+    // The pipes of a killed process fail with errors, which are of no interest
+    process.stdio.forEach(stream => stream && stream.on('error', () => {}));
+    process.kill();
+  }
+}
+
+class FunctionRunnerPool {
+  constructor() {
+    this.entries = new Map(); // key is the path of the config, value is { runner, finalize, functions, signature, inUse }
+  }
+
+  /* Resolves to a decomposition function runner for the config (see
+     TransformationConfig.createFunctionRunner). The run must call its finalize() when it is
+     done (as transform() does), which returns a kept runner to the pool, or discard() if the
+     runner must not be used again (eg. when the run is cancelled while a function is running).
+  */
+  async acquire(config, consoleHandler = console) {
+    if (!config.usesPython()) {
+      return config.createFunctionRunner(consoleHandler);
+    }
+    const signature = JSON.stringify([config.values, await config.getPythonExecutable(), (await stat(config.requirePath('functions'))).mtimeMs]);
+    let entry = this.entries.get(config.path);
+    if (entry !== undefined && entry.inUse) {
+      return config.createFunctionRunner(consoleHandler);
+    }
+    if (entry !== undefined && (entry.signature !== signature || !isProcessRunning(entry.runner))) {
+      this.remove(config.path);
+      entry = undefined;
+    }
+    if (entry === undefined) {
+      const runner = await config.createFunctionRunner(consoleHandler);
+      const functions = { callFunction: runner.callFunction, hasFunction: runner.hasFunction };
+      entry = { runner: runner, finalize: runner.finalize.bind(runner), functions: functions, signature: signature, inUse: false };
+      runner.finalize = () => this.release(entry);
+      this.entries.set(config.path, entry);
+    }
+    entry.inUse = true;
+    entry.runner.consoleHandler = consoleHandler;
+    return entry.runner;
+  }
+
+  // Ends the run of a kept runner, which keeps its process but forgets the objects of the run.
+  release(entry) {
+    entry.inUse = false;
+    Object.assign(entry.runner, entry.functions);
+    entry.runner.idByComparableObject = new WeakMap();
+    entry.runner.objectModelById = {};
+  }
+
+  // Stops the runner, which is not used again.
+  discard(runner) {
+    for (const [configPath, entry] of this.entries) {
+      if (entry.runner === runner) {
+        this.remove(configPath);
+        return;
+      }
+    }
+    stopRunner(runner, runner.finalize.bind(runner));
+  }
+
+  remove(configPath) {
+    const entry = this.entries.get(configPath);
+    this.entries.delete(configPath);
+    Object.assign(entry.runner, entry.functions);
+    stopRunner(entry.runner, entry.finalize);
+  }
+
+  // Stops all kept runners.
+  dispose() {
+    for (const configPath of Array.from(this.entries.keys())) {
+      this.remove(configPath);
+    }
+  }
+}
+
+module.exports = {
+  FunctionRunnerPool: FunctionRunnerPool
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { getSkeletonGenerator, SKELETON_GENERATORS } = require('fudomo-transform');
+const { FUDOMO_FILE_EXTENSION, readTextFile } = require('./config.js');
+const { loadTransformation } = require('./pipeline.js');
+const { makeMessage } = require('./validation.js');
+const { getFunctionsLanguageId, listFunctionDefinitions, appendSkeleton } = require('./implementations.js');
+const { getParameterSolutions } = require('./quick-fixes.js');
+const { withoutInlineFunctions } = require('./inline-functions.js');
+
+function getSkeletonLanguage(languageId) {
+  const language = SKELETON_GENERATORS.find(g => g.id == languageId);
+  if (language === undefined) {
+    throw new Error(`Unknown skeleton language "${languageId}" (expected one of ${SKELETON_GENERATORS.map(g => g.id).join(', ')}).`);
+  }
+  return language;
+}
+
+// Calculates a destination file name that does not exist yet, like this:
+// 'abc.fudomo' => 'abc_functions.js', 'abc_functions2.js', 'abc_functions3.js', ...
+function getSkeletonDestinationPath(decompositionPath, languageId) {
+  const language = getSkeletonLanguage(languageId);
+  const dir = path.dirname(decompositionPath);
+  const filenameNoExt = path.basename(decompositionPath, '.' + FUDOMO_FILE_EXTENSION);
+
+  let dedupSuffix = 1;
+  let destPath = path.join(dir, `${filenameNoExt}_functions.${language.extension}`);
+  while (fs.existsSync(destPath)) {
+    dedupSuffix += 1;
+    destPath = path.join(dir, `${filenameNoExt}_functions${dedupSuffix}.${language.extension}`);
+  }
+  return destPath;
+}
+
+// Resolves to the skeleton source for the decompositions of the decomposition file that have no inline
+// function. Rejects with a DecompositionSyntaxError if the decomposition file can not be parsed.
+async function generateSkeletonSource(decompositionPath, languageId) {
+  const language = getSkeletonLanguage(languageId);
+  const transformation = withoutInlineFunctions(await loadTransformation(decompositionPath));
+  return getSkeletonGenerator(language.id).generateSkeleton(transformation);
+}
+
+/* Compares the decompositions of the config's transformation with its functions file.
+   Resolves to { functionsPath, languageId, text, missing, messages }, where text is the
+   current content of the functions file (null if it does not exist yet), missing are the
+   decompositions without function, and messages are linter warnings for functions whose
+   parameters do not match their decomposition and for functions without decomposition.
+   Decompositions with inline functions are left out.
+*/
+async function planSkeletonSync(config, consoleHandler = console) {
+  const transformation = withoutInlineFunctions(await loadTransformation(config.requirePath('decomposition')));
+  const functionsPath = config.requirePath('functions');
+  if (!fs.existsSync(functionsPath)) {
+    const languageId = getFunctionsLanguageId(functionsPath);
+    if (languageId === null) {
+      throw new Error(`Can not generate skeletons for functions file "${config.get('functions')}": unknown language.`);
+    }
+    return { functionsPath: functionsPath, languageId: languageId, text: null, missing: transformation.decompositions, messages: [] };
+  }
+  const text = await readTextFile(functionsPath, 'Functions file not found.');
+
+  const functionRunner = await config.createFunctionRunner(consoleHandler);
+  const missing = [];
+  const changed = new Map(); // key is function name, value is validation error
+  let criteria = null;
+  try {
+    criteria = getSkeletonGenerator(functionRunner.languageId).getFunctionValidationCriteria(transformation);
+    const markers = await functionRunner.validateFunctions(criteria);
+    for (const criterion of criteria) {
+      const marker = markers.find(marker => marker.decompositionQualifiedName === criterion.decompositionQualifiedName);
+      if (!(await functionRunner.hasFunction(criterion.functionName))) {
+        missing.push(transformation.getDecompositionBySignature(criterion.decompositionQualifiedName));
+      } else if (marker !== undefined) {
+        changed.set(criterion.functionName, marker.error);
+      }
+    }
+  } finally {
+    functionRunner.finalize();
+  }
+
+  const messages = [];
+  const expectedNames = new Set(criteria.map(criterion => criterion.functionName));
+  for (const definition of listFunctionDefinitions(text, functionRunner.languageId)) {
+    if (changed.has(definition.name)) {
+      const message = makeMessage(functionsPath, definition.range, changed.get(definition.name), 'The parameters of the decomposition changed, update the function.', 'warning');
+      const criterion = criteria.find(criterion => criterion.functionName === definition.name);
+      const solutions = getParameterSolutions(criterion, { path: functionsPath, text: text, languageId: functionRunner.languageId });
+      if (solutions !== undefined) message.solutions = solutions;
+      messages.push(message);
+    } else if (!expectedNames.has(definition.name)) {
+      messages.push(makeMessage(functionsPath, definition.range, `Function "${definition.name}" has no decomposition in "${config.get('decomposition')}".`, 'The decomposition was removed or renamed.', 'warning'));
+    }
+  }
+  return { functionsPath: functionsPath, languageId: functionRunner.languageId, text: text, missing: missing, messages: messages };
+}
+
+/* Returns the new content of the functions file for a plan of planSkeletonSync: the
+   skeletons of the missing decompositions are appended, existing functions are kept as they are.
+*/
+function applySkeletonSync(plan) {
+  const generator = getSkeletonGenerator(plan.languageId);
+  if (plan.text === null) {
+    return generator.generateSkeleton({ decompositions: plan.missing });
+  }
+  return plan.missing.reduce((text, decomposition) => appendSkeleton(text, plan.languageId, decomposition), plan.text);
+}
+
+module.exports = {
+  getSkeletonLanguage: getSkeletonLanguage,
+  getSkeletonDestinationPath: getSkeletonDestinationPath,
+  generateSkeletonSource: generateSkeletonSource,
+  planSkeletonSync: planSkeletonSync,
+  applySkeletonSync: applySkeletonSync
+};
@@ -0,0 +1,38 @@
+/* "Did you mean ...?" suggestions for misspelled names. */
+
+// Levenshtein distance between two strings.
+function editDistance(a, b) {
+  let previousRow = [];
+  for (let j = 0; j <= b.length; j++) previousRow.push(j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + substitutionCost));
+    }
+    previousRow = row;
+  }
+  return previousRow[b.length];
+}
+
+// Returns the candidate closest to name, or null if no candidate is close enough to be a likely misspelling.
+// The comparison is case-insensitive, so that "Decomposition" suggests "decomposition".
+function findClosest(name, candidates) {
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance && distance <= maxDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  editDistance: editDistance,
+  findClosest: findClosest
+};
@@ -0,0 +1,28 @@
+/* Conversions between character offsets and [row, column] positions (both zero-based). */
+
+function lineStartOffsets(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  return lineStarts;
+}
+
+// lineStarts can be passed to avoid recomputing them when converting many offsets of the same text.
+function positionForOffset(text, offset, lineStarts = lineStartOffsets(text)) {
+  let row = 0;
+  while (row + 1 < lineStarts.length && lineStarts[row + 1] <= offset) row++;
+  return [row, offset - lineStarts[row]];
+}
+
+function offsetForPosition(text, position, lineStarts = lineStartOffsets(text)) {
+  const [row, column] = position;
+  if (row >= lineStarts.length) return text.length;
+  return Math.min(lineStarts[row] + column, text.length);
+}
+
+module.exports = {
+  lineStartOffsets: lineStartOffsets,
+  positionForOffset: positionForOffset,
+  offsetForPosition: offsetForPosition
+};
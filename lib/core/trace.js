@@ -0,0 +1,270 @@
+/* Records the decomposition function calls of a transformation run as a call tree.
+
+   fudomo-transform has no hooks for observing the computation, so the trace is assembled
+   from what a TransformationContext exposes:
+     - the log callbacks: every decomposition logs "Decomposing <Type.function>" after
+       indenting, and dedents when it is done, which gives the nesting of the calls,
+     - the function runner, whose callFunction receives the argument values and returns
+       the result of the function,
+     - the centered models, whose type is read for the "Decomposing" message, which tells
+       which object the decomposition runs on.
+*/
+
+const MAX_VALUE_DEPTH = 8;
+
+function isObjectModel(value) {
+  return value !== null && typeof value === 'object' && typeof value.getFeatureAsArray === 'function' && 'comparable' in value;
+}
+
+// Describes an object of the data as { type, id, path, range }, where range is [[row, column], [row, column]].
+function describeObject(objectModel) {
+  let range = null;
+  try {
+    range = objectModel.fullDefinitionLocation;
+  } catch (error) {
+    // Some model objects can not tell their location
+  }
+  return {
+    type: objectModel.type,
+    id: objectModel.id !== undefined ? objectModel.id : null,
+    path: objectModel.sourceLocation || null,
+    range: range
+  };
+}
+
+/* Converts a value passed to or returned by a decomposition function to a JSON compatible
+   value. Objects of the data are replaced by { object: <description> } (see describeObject),
+   Sets by Arrays.
+*/
+function describeValue(value, depth = 0) {
+  if (value === undefined) return null;
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_VALUE_DEPTH) return String(value);
+  if (isObjectModel(value)) return { object: describeObject(value) };
+  if (value instanceof Set || Array.isArray(value)) {
+    return Array.from(value, item => describeValue(item, depth + 1));
+  }
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (error) {
+    return String(value); // Cyclic structures
+  }
+}
+
+function describeError(error) {
+  if (error === null || error === undefined) return null;
+  return error.message !== undefined ? String(error.message) : String(error);
+}
+
+// A short, single line representation of a value returned by describeValue.
+function formatValue(value, maxLength = 80) {
+  let text;
+  if (value !== null && typeof value === 'object' && value.object !== undefined && Object.keys(value).length === 1) {
+    text = value.object.id !== null ? `${value.object.type} ${value.object.id}` : value.object.type;
+  } else if (Array.isArray(value)) {
+    text = '[' + value.map(item => formatValue(item, maxLength)).join(', ') + ']';
+  } else {
+    text = JSON.stringify(value);
+  }
+  if (text === undefined) text = String(value);
+  return text.length > maxLength ? text.slice(0, maxLength - 1) + '…' : text;
+}
+
+/* A call of a decomposition function, or of a function that is not decomposed (eg. an
+   external function used by a link). status is 'running', 'returned' or 'failed'.
+*/
+class TraceCall {
+  constructor(functionName, qualifiedName = null) {
+    this.functionName = functionName;
+    this.qualifiedName = qualifiedName;
+    this.decomposition = null; // { path, range } of the decomposition in the .fudomo file
+    this.object = null; // see describeObject
+    this.parameters = []; // [{ name, value }]
+    this.result = null;
+    this.error = null;
+    this.status = 'running';
+    this.children = [];
+  }
+
+  get name() {
+    return this.qualifiedName !== null ? this.qualifiedName : this.functionName;
+  }
+
+  toJSON() {
+    return {
+      function: this.functionName,
+      decomposition: this.qualifiedName !== null ? Object.assign({ name: this.qualifiedName }, this.decomposition) : null,
+      object: this.object,
+      parameters: this.parameters,
+      status: this.status,
+      result: this.result,
+      error: this.error,
+      children: this.children
+    };
+  }
+}
+
+/* The trace of a transformation run. Pass it to runTransformation (option "trace"), which
+   attaches it to the TransformationContext before the transformation starts.
+*/
+class TransformationTrace {
+  constructor() {
+    this.calls = []; // The top level calls
+    this.startDate = null;
+    this.transformationPath = null;
+    this.depth = 0;
+    this.open = []; // [{ call, depth, model, hasLinks }] of the decompositions being computed
+    this.lastTypedModel = null;
+    this.decompositions = new Map();
+    this.runner = null;
+  }
+
+  /* Installs the hooks on the context, its function runner and its root model. A trace can
+     be attached to several contexts that run one after the other (with the same runner),
+     their calls are recorded as top level calls.
+  */
+  attach(context) {
+    if (this.startDate === null) this.startDate = new Date();
+    this.transformation = context.transformation;
+    this.transformationPath = context.transformation.sourceLocation;
+    this.decompositions.clear();
+    context.log = (message, ...params) => this.handleLog(String(message), params);
+    context.indentLog = () => this.depth++;
+    context.dedentLog = () => this.handleDedent();
+    this.observeModel(context.rootModel);
+
+    const runner = context.functionRunner;
+    if (runner !== this.runner) {
+      const callFunction = runner.callFunction.bind(runner);
+      runner.callFunction = (name, args) => this.recordFunctionCall(name, args, callFunction(name, args));
+      this.runner = runner;
+    }
+  }
+
+  get currentEntry() {
+    return this.open.length > 0 ? this.open[this.open.length - 1] : null;
+  }
+
+  addCall(call) {
+    const parent = this.currentEntry;
+    (parent !== null ? parent.call.children : this.calls).push(call);
+  }
+
+  // Makes reading the type of the centered model (and of the models reachable from it) remember it.
+  observeModel(centeredModel) {
+    if (centeredModel === null || typeof centeredModel !== 'object' || centeredModel.traced) return centeredModel;
+    const trace = this;
+    const successors = centeredModel.successors;
+    const predecessors = centeredModel.predecessors;
+    Object.defineProperties(centeredModel, {
+      traced: { value: true },
+      type: {
+        get() {
+          trace.lastTypedModel = this;
+          return this.center.type;
+        }
+      },
+      successors: {
+        value: function(...args) {
+          return successors.apply(this, args).map(model => trace.observeModel(model));
+        }
+      },
+      predecessors: {
+        value: function(...args) {
+          return new Set(Array.from(predecessors.apply(this, args), model => trace.observeModel(model)));
+        }
+      }
+    });
+    return centeredModel;
+  }
+
+  getDecomposition(qualifiedName) {
+    if (!this.decompositions.has(qualifiedName)) {
+      this.decompositions.set(qualifiedName, this.transformation.getDecompositionBySignature(qualifiedName) || null);
+    }
+    return this.decompositions.get(qualifiedName);
+  }
+
+  handleLog(message, params) {
+    if (!message.includes('Decomposing')) return;
+    const qualifiedName = params[0];
+    const decomposition = this.getDecomposition(qualifiedName);
+    const model = this.lastTypedModel;
+    const call = new TraceCall(decomposition !== null ? decomposition.function.externalName : qualifiedName, qualifiedName);
+    if (decomposition !== null) {
+      call.decomposition = { path: this.transformationPath, range: decomposition.node.location };
+      call.parameters = decomposition.links.map(link => ({ name: link.parameterName, value: null }));
+    }
+    if (model !== null) {
+      call.object = describeObject(model.center);
+    }
+    this.addCall(call);
+    this.open.push({ call: call, depth: this.depth, model: model, hasLinks: call.parameters.length > 0, called: false });
+  }
+
+  handleDedent() {
+    this.depth--;
+    while (this.open.length > 0 && this.currentEntry.depth > this.depth) {
+      const entry = this.open.pop();
+      if (entry.called) continue; // The result is set when the function returns
+      if (!entry.hasLinks && entry.model !== null) {
+        // Decompositions without links and without function return the feature of the same name
+        entry.call.status = 'returned';
+        entry.call.result = describeValue(entry.model.getFeature(entry.call.qualifiedName.split('.')[1]));
+      } else {
+        entry.call.status = 'failed';
+      }
+    }
+  }
+
+  recordFunctionCall(name, args, resultPromise) {
+    const entry = this.currentEntry;
+    let call;
+    if (entry !== null && !entry.called && entry.call.functionName === name) {
+      entry.called = true;
+      call = entry.call;
+      args.forEach((value, index) => {
+        if (index < call.parameters.length) {
+          call.parameters[index].value = describeValue(value);
+        } else {
+          call.parameters.push({ name: `argument${index}`, value: describeValue(value) });
+        }
+      });
+    } else {
+      call = new TraceCall(name);
+      call.parameters = args.map((value, index) => ({ name: `argument${index}`, value: describeValue(value) }));
+      this.addCall(call);
+    }
+    return Promise.resolve(resultPromise).then(result => {
+      call.status = 'returned';
+      call.result = describeValue(result);
+      return result;
+    }, error => {
+      call.status = 'failed';
+      call.error = describeError(error);
+      throw error;
+    });
+  }
+
+  get callCount() {
+    const count = calls => calls.reduce((sum, call) => sum + 1 + count(call.children), 0);
+    return count(this.calls);
+  }
+
+  toJSON() {
+    return {
+      transformation: this.transformationPath,
+      date: this.startDate !== null ? this.startDate.toISOString() : null,
+      calls: this.calls
+    };
+  }
+}
+
+module.exports = {
+  TraceCall: TraceCall,
+  TransformationTrace: TransformationTrace,
+  isObjectModel: isObjectModel,
+  describeObject: describeObject,
+  describeValue: describeValue,
+  formatValue: formatValue
+};
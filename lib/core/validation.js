@@ -0,0 +1,195 @@
+const fs = require('fs');
+const { loadModel, getSkeletonGenerator, TransformationValidator, DataValidator, MetamodelInferer } = require('fudomo-transform');
+const { ObjectModel } = require('fudomo-transform/model-io.js');
+const { ConfigError, readTextFile } = require('./config.js');
+const { loadConfigMetamodel, loadModelText } = require('./metamodel.js');
+const { parseFudomoText, createInlineFunctionRunner } = require('./inline-functions.js');
+const { getTransformationSolutions, getDataSolutions, getFunctionSolutions } = require('./quick-fixes.js');
+
+/* The validate* functions resolve to { file, messages }, where messages are
+   in the format of the Atom linter (v2) API:
+     { severity, location: { file, position }, excerpt, description, solutions }
+   solutions are optional, see quick-fixes.js.
+*/
+
+function makeMessage(file, position, excerpt, description = '', severity = 'error') {
+  return {
+    severity: severity,
+    location: {
+      file: file,
+      position: position
+    },
+    excerpt: excerpt,
+    description: description
+  };
+}
+
+function withSolutions(message, solutions) {
+  if (solutions !== undefined) message.solutions = solutions;
+  return message;
+}
+
+// The text of a file, or null if it can not be read.
+async function readTextFileOrNull(filePath) {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function requireConfigPath(config, key) {
+  if (!config.has(key)) {
+    throw new ConfigError(`Configuration file does not specify ${key}.`);
+  }
+  return config.resolvePath(key);
+}
+
+async function validateTransformation(config) {
+  const metamodel = await loadConfigMetamodel(config);
+  if (metamodel === null) {
+    throw new ConfigError('Configuration file does not specify metamodel.');
+  }
+
+  const decompPath = requireConfigPath(config, 'decomposition');
+  const transformationText = await readTextFile(decompPath, 'Decomposition file not found.');
+  const transformation = parseFudomoText(transformationText);
+
+  const validator = new TransformationValidator(metamodel, transformation);
+  const messages = validator.errors.map(error => withSolutions(
+    makeMessage(decompPath, error.location, error.message, error.context),
+    getTransformationSolutions(error, metamodel, transformationText)));
+  return { file: decompPath, messages: messages };
+}
+
+async function validateData(config) {
+  const metamodel = await loadConfigMetamodel(config);
+  const dataPath = requireConfigPath(config, 'data');
+  return validateModel(dataPath, () => loadModel(dataPath), metamodel, config, null);
+}
+
+/* Validates the text of an OYAML data file (eg. of an editor with unsaved changes) like
+   validateData, with the metamodel of the config. If the metamodel can not be loaded, only
+   the syntax of the data is checked (the errors of the metamodel are reported for the
+   metamodel file).
+*/
+async function validateDataText(config, dataPath, text) {
+  let metamodel = null;
+  try {
+    metamodel = await loadConfigMetamodel(config);
+  } catch (error) {
+    // Only the syntax of the data is checked
+  }
+  return validateModel(dataPath, () => loadModelText(dataPath, text), metamodel, config, text);
+}
+
+/* Errors (in the format of the markers of the loader) for references of the model to ids
+   that are not defined, which the DataValidator and the transformation can not resolve.
+*/
+function findUnresolvedReferences(model) {
+  const errors = [];
+  const visited = new Set();
+  const open = [model.center];
+  while (open.length > 0) {
+    const obj = open.pop();
+    if (visited.has(obj.comparable)) continue;
+    visited.add(obj.comparable);
+    for (const featureName of obj.featureNames) {
+      try {
+        open.push(...obj.getFeatureAsArray(featureName).filter(value => value instanceof ObjectModel));
+      } catch (error) {
+        errors.push({ location: obj.getFeatureValueLocation(featureName), message: error.message });
+      }
+    }
+  }
+  return errors;
+}
+
+/* Loads the model of the data file with load() and validates it against the metamodel (if
+   not null). dataText is the text the model is loaded from, or null to read it from the
+   file if it is needed for quick fixes.
+*/
+async function validateModel(dataPath, load, metamodel, config, dataText) {
+  // Load data and catch syntactic errors
+  let model = null;
+  let errors = [];
+  try {
+    model = load();
+  } catch (error) {
+    if (error.markers != undefined) {
+      errors = error.markers;
+    } else {
+      throw error;
+    }
+  }
+  if (model !== null) {
+    errors = findUnresolvedReferences(model);
+    if (errors.length > 0) model = null;
+  }
+
+  // Run data validation if no syntactic errors were found
+  let validationErrors = [];
+  if (model !== null && metamodel !== null) {
+    const validator = new DataValidator(metamodel, model);
+    validationErrors = validator.errors;
+  }
+
+  const messages = errors.map(error => makeMessage(dataPath, error.location, error.message, error.context));
+  if (validationErrors.length > 0) {
+    const metamodelPath = config.resolvePath('metamodel');
+    const solutionContext = {
+      dataText: (dataText !== null ? dataText : await readTextFileOrNull(dataPath)) || '',
+      metamodel: metamodel,
+      metamodelPath: metamodelPath,
+      metamodelText: await readTextFileOrNull(metamodelPath),
+      inferredMetamodel: new MetamodelInferer().inferMetamodel([model])
+    };
+    for (const error of validationErrors) {
+      messages.push(withSolutions(makeMessage(dataPath, error.location, error.message, error.context), getDataSolutions(error, solutionContext)));
+    }
+  }
+  return { file: dataPath, messages: messages };
+}
+
+async function validateFunctions(config, consoleHandler = console) {
+  const decompPath = requireConfigPath(config, 'decomposition');
+  const transformationText = await readTextFile(decompPath, 'Decomposition file not found.');
+  const transformation = parseFudomoText(transformationText, decompPath);
+  if (transformation.inlineFunctionErrors.length > 0) {
+    return { file: decompPath, messages: transformation.inlineFunctionErrors.map(error => makeMessage(decompPath, error.range, error.message)) };
+  }
+
+  // The functions file is optional if there are inline functions
+  const functionsPath = transformation.inlineFunctions.length > 0 ? config.resolvePath('functions') : requireConfigPath(config, 'functions');
+  const fileRunner = functionsPath !== null ? await config.createFunctionRunner(consoleHandler) : null;
+  const functionRunner = createInlineFunctionRunner(transformation, decompPath, fileRunner, consoleHandler);
+  let validationCriteria = null;
+  let validationMarkers = null;
+  try {
+    const skeletonGen = getSkeletonGenerator(functionRunner.languageId);
+    validationCriteria = skeletonGen.getFunctionValidationCriteria(transformation);
+    validationMarkers = await functionRunner.validateFunctions(validationCriteria);
+  } finally {
+    functionRunner.finalize();
+  }
+
+  const functions = { path: functionsPath, text: functionsPath !== null ? await readTextFileOrNull(functionsPath) : null, languageId: functionRunner.languageId };
+  const messages = [];
+  for (const marker of validationMarkers) {
+    const decomposition = transformation.getDecompositionBySignature(marker.decompositionQualifiedName);
+    if (decomposition) {
+      const position = decomposition.characterRange.toArray();
+      const criterion = validationCriteria.find(criterion => criterion.decompositionQualifiedName === marker.decompositionQualifiedName);
+      messages.push(withSolutions(makeMessage(decompPath, position, marker.error), getFunctionSolutions(marker, position, criterion, decomposition, functions)));
+    } // TODO else...
+  }
+  return { file: decompPath, messages: messages };
+}
+
+module.exports = {
+  makeMessage: makeMessage,
+  validateTransformation: validateTransformation,
+  validateData: validateData,
+  validateDataText: validateDataText,
+  validateFunctions: validateFunctions
+};
@@ -0,0 +1,33 @@
+'use babel';
+
+import path from 'path'
+
+/* Applies the edit of a quick fix that changes another file than the one of its linter
+   message (see core/quick-fixes.js). The file is opened and changed in its editor, so
+   that the change can be reviewed before it is saved.
+*/
+export async function applyFileEdit(edit) {
+  const editor = await atom.workspace.open(edit.file, { searchAllPanes: true });
+  if (editor.getTextInBufferRange(edit.range) !== edit.currentText) {
+    atom.notifications.addWarning(`Can not apply the quick fix: "${path.basename(edit.file)}" was changed since it was validated`, {
+      detail: 'Validate again to update the quick fixes.'
+    });
+    return;
+  }
+  const range = editor.setTextInBufferRange(edit.range, edit.replaceWith);
+  editor.setSelectedBufferRange(range);
+  editor.scrollToBufferPosition(range.start, { center: true });
+}
+
+// Returns the messages with the solutions that change other files turned into linter solutions with an apply callback.
+export function withFileEditSolutions(messages) {
+  return messages.map(message => {
+    if (!message.solutions || !message.solutions.some(solution => solution.edit !== undefined)) return message;
+    const solutions = message.solutions.map(solution => solution.edit === undefined ? solution : {
+      title: solution.title,
+      position: solution.position,
+      apply: () => applyFileEdit(solution.edit)
+    });
+    return Object.assign({}, message, { solutions: solutions });
+  });
+}
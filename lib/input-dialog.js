@@ -0,0 +1,123 @@
+'use babel';
+
+import { CompositeDisposable } from 'atom'
+
+/* Shows a modal panel with a single line text field. Resolves to the entered
+   text, or to null if the dialog was cancelled.
+*/
+export function promptForText(label, initialText = '') {
+  return new Promise(resolve => {
+    const element = document.createElement('div');
+    element.className = 'fudomo-input-dialog';
+    const labelElement = document.createElement('label');
+    labelElement.className = 'icon icon-pencil';
+    labelElement.textContent = label;
+    const editor = atom.workspace.buildTextEditor({ mini: true });
+    editor.setText(initialText);
+    editor.selectAll();
+    element.append(labelElement, editor.getElement());
+
+    const panel = atom.workspace.addModalPanel({ item: element });
+    const previouslyFocused = document.activeElement;
+    const subscriptions = new CompositeDisposable();
+    let closed = false;
+    const close = result => {
+      if (closed) return;
+      closed = true;
+      subscriptions.dispose();
+      panel.destroy();
+      if (previouslyFocused) previouslyFocused.focus();
+      resolve(result);
+    };
+
+    subscriptions.add(atom.commands.add(editor.getElement(), {
+      'core:confirm': () => close(editor.getText()),
+      'core:cancel': () => close(null)
+    }));
+    editor.getElement().addEventListener('blur', () => close(null));
+    editor.getElement().focus();
+  });
+}
+
+/* Shows a modal panel with a list of items ({ label, detail }) that is filtered by the text
+   entered above it. Resolves to the chosen item, to the entered text if it matches no item,
+   or to null if the dialog was cancelled.
+*/
+export function promptForItem(label, items) {
+  return new Promise(resolve => {
+    const element = document.createElement('div');
+    element.className = 'fudomo-input-dialog select-list';
+    const labelElement = document.createElement('label');
+    labelElement.className = 'icon icon-list-unordered';
+    labelElement.textContent = label;
+    const editor = atom.workspace.buildTextEditor({ mini: true });
+    const listElement = document.createElement('ol');
+    listElement.className = 'list-group';
+    element.append(labelElement, editor.getElement(), listElement);
+
+    let visibleItems = items;
+    let selectedIndex = 0;
+    const render = () => {
+      listElement.textContent = '';
+      visibleItems.forEach((item, index) => {
+        const itemElement = document.createElement('li');
+        itemElement.className = index === selectedIndex ? 'two-lines selected' : 'two-lines';
+        const primary = document.createElement('div');
+        primary.className = 'primary-line';
+        primary.textContent = item.label;
+        const secondary = document.createElement('div');
+        secondary.className = 'secondary-line';
+        secondary.textContent = item.detail || '';
+        itemElement.append(primary, secondary);
+        // mousedown, because a click would first blur the editor, which cancels the dialog
+        itemElement.addEventListener('mousedown', event => {
+          event.preventDefault();
+          close(item);
+        });
+        listElement.append(itemElement);
+      });
+      const selectedElement = listElement.children[selectedIndex];
+      if (selectedElement) selectedElement.scrollIntoView({ block: 'nearest' });
+    };
+    const moveSelection = delta => {
+      if (visibleItems.length === 0) return;
+      selectedIndex = (selectedIndex + delta + visibleItems.length) % visibleItems.length;
+      render();
+    };
+
+    const panel = atom.workspace.addModalPanel({ item: element });
+    const previouslyFocused = document.activeElement;
+    const subscriptions = new CompositeDisposable();
+    let closed = false;
+    const close = result => {
+      if (closed) return;
+      closed = true;
+      subscriptions.dispose();
+      panel.destroy();
+      if (previouslyFocused) previouslyFocused.focus();
+      resolve(result);
+    };
+
+    subscriptions.add(editor.onDidChange(() => {
+      const query = editor.getText().toLowerCase();
+      visibleItems = items.filter(item => (item.label + ' ' + (item.detail || '')).toLowerCase().includes(query));
+      selectedIndex = 0;
+      render();
+    }));
+    subscriptions.add(atom.commands.add(editor.getElement(), {
+      'core:move-up': () => moveSelection(-1),
+      'core:move-down': () => moveSelection(1),
+      'core:confirm': () => {
+        if (visibleItems.length > 0) {
+          close(visibleItems[selectedIndex]);
+        } else {
+          close(editor.getText().trim() !== '' ? editor.getText().trim() : null);
+        }
+      },
+      'core:cancel': () => close(null)
+    }));
+    editor.getElement().addEventListener('blur', () => close(null));
+    render();
+    editor.getElement().focus();
+  });
+}
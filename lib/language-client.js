@@ -0,0 +1,34 @@
+'use babel';
+
+import path from 'path'
+import { AutoLanguageClient } from 'atom-languageclient'
+
+import { CONFIG_FILE_EXTENSION } from './core/config'
+
+const SERVER_PATH = path.join(__dirname, '..', 'bin', 'fudomo-language-server');
+
+/* Starts the Fudomo language server for .fudomo files and connects it to the
+   Atom IDE services (diagnostics, definitions, references, datatips, outline).
+*/
+export default class FudomoLanguageClient extends AutoLanguageClient {
+  getGrammarScopes() {
+    return ['source.fudomo'];
+  }
+
+  getLanguageName() {
+    return 'Fudomo';
+  }
+
+  getServerName() {
+    return 'Fudomo Language Server';
+  }
+
+  startServerProcess() {
+    return this.spawnChildNode([SERVER_PATH, '--stdio']);
+  }
+
+  // The server only needs to know about changes of files that can change the metamodel of a .fudomo file.
+  filterChangeWatchedFiles(filePath) {
+    return ['.' + CONFIG_FILE_EXTENSION, '.yaml'].includes(path.extname(filePath));
+  }
+}
@@ -1,18 +1,45 @@
 'use babel';
 
-import { CompositeDisposable, File } from 'atom'
-import YAML from 'yaml'
-import { nullOptions } from 'yaml/types'
-import path from 'path'
+import { CompositeDisposable, Disposable, File } from 'atom'
 import process from 'process'
 
-import { parseFudomo, loadModel, transform, TransformationContext, getRunnerClassById, getRunnerClassByFileExtension, getSkeletonGenerator, SKELETON_GENERATORS, MetamodelInferer, TransformationValidator, DataValidator, FudomoComputeException } from 'fudomo-transform' // TODO use ES6 modules
-import child_process from 'child_process'
+import { getSkeletonGenerator, SKELETON_GENERATORS, FudomoComputeException } from 'fudomo-transform' // TODO use ES6 modules
 import treeKill from 'tree-kill'
 
-
-const CONFIG_FILE_EXTENSION = 'config';
-const FUDOMO_FILE_EXTENSION = 'fudomo';
+import { CONFIG_FILE_EXTENSION, FUDOMO_FILE_EXTENSION, loadConfig, setPythonInterpreterResolver } from './core/config'
+import { Phase, PhaseError, DecompositionSyntaxError, runTransformation as runConfiguredTransformation, startPostprocess } from './core/pipeline'
+import * as validation from './core/validation'
+import { isFudomoConfigText, validateConfigText } from './core/config-schema'
+import { METAMODEL_FILE_NAME, DATA_FILE_EXTENSIONS, DATA_TEXT_EXTENSIONS, inferMetamodelText, getInferredMetamodelPath } from './core/metamodel'
+import { validateMetamodelText, validateMetamodel } from './core/metamodel-schema'
+import { updateMetamodelText } from './core/metamodel-merge'
+import { getSkeletonLanguage, getSkeletonDestinationPath, generateSkeletonSource, planSkeletonSync, applySkeletonSync } from './core/skeletons'
+import { CancellationToken, CancelledError, TimeoutError } from './core/cancellation'
+import { formatProgress } from './core/progress'
+import { FunctionRunnerPool } from './core/runner-pool'
+import { findPythonInterpreters, findProjectInterpreter } from './core/python-interpreters'
+import { ConfigDependencyCache, findNearestConfigReferencing } from './core/dependencies'
+import { FudomoDocument } from './core/language-service'
+import { parseFudomoText, getInlineFunction } from './core/inline-functions'
+import { formatFudomoText } from './core/formatter'
+import { RefactoringError, findRenameTarget, planRenameFunction, planRenameType, planRenameFeature, planExtractDecomposition } from './core/refactoring'
+import { getFunctionsLanguageId, findImplementation, getFunctionNameAt, findDecompositionForFunction, appendSkeleton } from './core/implementations'
+import { loadSourceMap, findProvenance } from './core/provenance'
+import { TEST_FILE_EXTENSION } from './core/golden-tests'
+import { openSourceLocation, handleExceptionSourceLinks } from './source-links'
+import { withFileEditSolutions } from './file-edits'
+import { promptForItem, promptForText } from './input-dialog'
+import { createElement } from './view-helpers'
+import PreviewView, { PREVIEW_URI_PREFIX } from './preview-view'
+import TraceView, { TRACE_URI_PREFIX } from './trace-view'
+import TestResultsView, { TESTS_URI_PREFIX } from './test-results-view'
+import MetamodelDiagramView, { METAMODEL_DIAGRAM_URI_PREFIX } from './metamodel-diagram-view'
+import MetamodelUpdateView from './metamodel-update-view'
+import RefactoringView from './refactoring-view'
+import ValidationDashboardView, { VALIDATION_DASHBOARD_URI } from './validation-dashboard-view'
+import ModelView, { MODEL_URI } from './model-view'
+import FudomoLanguageClient from './language-client'
+import FudomoAutocompleteProvider from './autocomplete-provider'
 
 function showSuccess(message, buttonText, onButtonClick) {
   const options = {};
@@ -37,8 +64,9 @@ function showFudomoComputeException(error, basePath) {
 
 ${error.cause.version} was found, but Python 3 is required.
 
-Please specify a corresponding \`python3\` interpreter executable in the decomposition config file, using
-one of the following keys:
+Please choose a \`python3\` interpreter with "Language Fudomo: Select Python Interpreter" (or by clicking the
+interpreter in the status bar), set the default interpreter in the settings of the package, or specify it in the
+decomposition config file, using one of the following keys:
 
 - \`python-executable\`: path to executable file
 - \`python-executable-<platform>\`: path to executable file to use on &lt;platform&gt;, where platform can be
@@ -47,15 +75,7 @@ one of the following keys:
   }
 
   atom.notifications.addError('An error occurred running the Fudomo transformation', options);
-  for (const link of document.querySelectorAll('atom-notification a.fudomo-exception-source-link')) {
-    link.onclick = (event) => {
-      const location = JSON.parse(event.srcElement.getAttribute('data-source-loc'));
-      const editorPromise = atom.workspace.open(location.src, { initialLine: Number(location.pos[0][0]), initialColumn: Number(location.pos[0][1]) });
-      editorPromise.then(editor => {
-        editor.setSelectedBufferRange(location.pos);
-      });
-    };
-  }
+  handleExceptionSourceLinks(document.querySelectorAll('atom-notification a.fudomo-exception-source-link'));
 }
 
 function showError(message, detail, buttonText, onButtonClick) {
@@ -69,6 +89,12 @@ function showError(message, detail, buttonText, onButtonClick) {
   atom.notifications.addError(message, options);
 }
 
+// Describes a span of a source map, eg. "Member.fullName on Member jim".
+function describeProvenanceSpan(span) {
+  if (span.object === null) return span.function;
+  return `${span.function} on ${span.object.type}` + (span.object.id !== null ? ` ${span.object.id}` : '');
+}
+
 function hasFileExtension(event, extension) { // extension can be single extension or array
   // The click was on an element in li.file, find the li itself
   let listItem = null;
@@ -105,24 +131,62 @@ function getSelectedFilesWithExtension(treeView, extension) { // extension can b
   return paths;
 }
 
-function getTransformationErrorsAsMarkDown(transformation) {
+function hasExtension(filePath, extensions) {
+  return extensions.some(ext => filePath.endsWith('.' + ext));
+}
+
+function getTransformationErrorsAsMarkDown(errors) {
   let errorsMd = '';
-  for (const error of transformation.errors) {
+  for (const error of errors) {
     errorsMd += `~~~~\n${error.excerpt}\n~~~~\n`;
   }
   return errorsMd;
 }
 
+function showDecompositionSyntaxError(error) {
+  const errorsMd = getTransformationErrorsAsMarkDown(error.errors);
+  atom.notifications.addError(error.message, {
+    dismissable: true,
+    description: errorsMd,
+    buttons: [{
+      text: 'Open',
+      onDidClick: () => atom.workspace.open(error.decompositionPath)
+    }]
+  });
+}
+
+// Time to wait after a file change before running auto transformations, in milliseconds
+const AUTO_TRANSFORM_DEBOUNCE_DELAY = 300;
+
+const runningTransformations = {}; // key is absolute path of config file, value is CancellationToken
 const runningPostprocessors = {}; // key is absolute path of config file, value is pid
 const killedPostprocessors = {}; // key is pid, value is dummy
 
+// Kills the running post-processor of the config file, without reporting an error for it.
+function killPostprocessor(configPath) {
+  const pid = runningPostprocessors[configPath];
+  killedPostprocessors[pid] = true;
+  treeKill(pid, 'SIGKILL');
+  delete runningPostprocessors[configPath];
+}
+
+const FUDOMO_EDITOR_SELECTOR = 'atom-text-editor[data-grammar="source fudomo"]';
+const METAMODEL_SCOPE_NAME = 'source.fudomo-metamodel';
+const METAMODEL_EDITOR_SELECTOR = 'atom-text-editor[data-grammar="source fudomo-metamodel"]';
+// Files for which the Python interpreter is shown in the status bar
+const PYTHON_INTERPRETER_FILE_EXTENSIONS = [CONFIG_FILE_EXTENSION, FUDOMO_FILE_EXTENSION, 'py'];
+// Changes of these files (and of files in virtual environments) can change the discovered Python interpreters
+const PYTHON_PROJECT_FILE_PATTERN = /(^|[\\/])(pyproject\.toml|\.python-version|\.?venv)([\\/]|$)/;
+// Editors of languages that decomposition functions can be implemented in
+const FUNCTIONS_EDITOR_SELECTOR = 'atom-text-editor[data-grammar="source js"], atom-text-editor[data-grammar="source python"]';
+
 let lastCopyDecompositionFunctionContextMenuMouseEvent = null;
 
-class Phase {
-  constructor(activity, openablePath) {
-    this.activity = activity;
-    this.openablePath = openablePath;
-  }
+// Resolves to the text of an open editor for the file (including unsaved changes), or the file contents, or null.
+async function readEditorOrFileText(filePath) {
+  const editor = atom.workspace.getTextEditors().find(editor => editor.getPath() === filePath);
+  if (editor !== undefined) return editor.getText();
+  return new File(filePath).read();
 }
 
 export default {
@@ -130,19 +194,66 @@ export default {
   treeView: null,
   busySignalApi: null,
   indieLinter: null,
+  previewViews: null,
+  traceViews: null,
+  testResultsViews: null,
+  metamodelDiagramViews: null,
+  validationDashboardViews: null,
+  modelViews: null,
+  languageClient: null,
+  autocompleteProvider: null,
+  configDependencies: null,
+  runnerPool: null,
+  projectInterpreters: null,
+  statusBarTile: null,
+  statusBarTooltip: null,
+  statusBarUpdate: 0,
+  pendingChangedPaths: null,
+  pendingDeletedPaths: null,
+  changedFilesTimeout: null,
 
   activate() {
     require('atom-package-deps').install('language-fudomo');
 
     this.subscriptions = new CompositeDisposable();
+    this.previewViews = new Set();
+    this.traceViews = new Set();
+    this.testResultsViews = new Set();
+    this.metamodelDiagramViews = new Set();
+    this.validationDashboardViews = new Set();
+    this.modelViews = new Set();
+    this.dataEditorLints = new Set();
+    this.languageClient = new FudomoLanguageClient();
+    this.languageClient.activate();
+    this.autocompleteProvider = new FudomoAutocompleteProvider();
+    this.configDependencies = new ConfigDependencyCache();
+    this.runnerPool = new FunctionRunnerPool();
+    this.projectInterpreters = new Map();
+    setPythonInterpreterResolver(async config => {
+      const interpreter = await this.resolvePythonInterpreter(config.baseDir);
+      return interpreter !== null ? interpreter.path : null;
+    });
+    this.pendingChangedPaths = new Set();
+    this.pendingDeletedPaths = new Set();
 
     // Add command for running transformation
     const commands = {
       'language-fudomo:runTransformation': () => this.runTransformation(),
+      'language-fudomo:openPreview': event => this.openPreview(event),
+      'language-fudomo:cancelTransformation': () => this.cancelTransformation(),
+      'language-fudomo:cancelAllTransformations': () => this.cancelAllTransformations(),
+      'language-fudomo:runWithTrace': event => this.runWithTrace(event),
+      'language-fudomo:runTests': event => this.runTests(event),
       'language-fudomo:validateTransformation': () => this.validateTransformation(),
       'language-fudomo:validateData': () => this.validateData(),
       'language-fudomo:validateFunctions': () => this.validateFunctions(),
+      'language-fudomo:validateAllTransformations': () => this.validateAllTransformations(),
+      'language-fudomo:syncFunctionSkeletons': () => this.syncFunctionSkeletons(),
+      'language-fudomo:selectPythonInterpreter': () => this.selectPythonInterpreter(),
       'language-fudomo:inferMetamodel': () => this.inferMetamodel(),
+      'language-fudomo:updateMetamodel': () => this.updateMetamodel(),
+      'language-fudomo:showMetamodelDiagram': event => this.showMetamodelDiagram(event),
+      'language-fudomo:showModel': event => this.showModel(event),
       'language-fudomo:enableAutoTransform': () => this.enableAutoTransform(),
       'language-fudomo:disableAutoTransform': () => this.disableAutoTransform()
     };
@@ -151,6 +262,22 @@ export default {
       commands[`language-fudomo:copyDecompositionFunctionDefinition-${language.id}`] = () => this.copyDecompositionFunctionDefinition(language.id);
     }
     this.subscriptions.add(atom.commands.add('atom-workspace', commands));
+    this.subscriptions.add(atom.commands.add(FUDOMO_EDITOR_SELECTOR, {
+      'language-fudomo:renameDecompositionFunction': () => this.renameDecompositionFunction(atom.workspace.getActiveTextEditor()),
+      'language-fudomo:renameTypeOrFeature': () => this.renameTypeOrFeature(atom.workspace.getActiveTextEditor()),
+      'language-fudomo:extractDecomposition': () => this.extractDecomposition(atom.workspace.getActiveTextEditor()),
+      'language-fudomo:goToImplementation': () => this.goToImplementation(atom.workspace.getActiveTextEditor()),
+      'language-fudomo:formatFile': () => this.formatFile(atom.workspace.getActiveTextEditor())
+    }));
+    this.subscriptions.add(atom.commands.add(METAMODEL_EDITOR_SELECTOR, {
+      'language-fudomo:renameTypeOrFeature': () => this.renameTypeOrFeature(atom.workspace.getActiveTextEditor())
+    }));
+    this.subscriptions.add(atom.commands.add(FUNCTIONS_EDITOR_SELECTOR, {
+      'language-fudomo:goToDecomposition': () => this.goToDecomposition(atom.workspace.getActiveTextEditor())
+    }));
+    this.subscriptions.add(atom.commands.add('atom-text-editor:not([mini])', {
+      'language-fudomo:whereDidThisComeFrom': () => this.showProvenance(atom.workspace.getActiveTextEditor())
+    }));
 
     const skeletonGenerationSubMenus = [];
     for (const language of SKELETON_GENERATORS) {
@@ -171,6 +298,22 @@ export default {
           'command':  'language-fudomo:runTransformation',
           'shouldDisplay': event => hasFileExtension(event, CONFIG_FILE_EXTENSION)
         },
+        { 'label': 'Cancel Fudomo Transformation',
+          'command':  'language-fudomo:cancelTransformation',
+          'shouldDisplay': event => this.allowCancelTransformation(event)
+        },
+        { 'label': 'Open Fudomo Preview',
+          'command':  'language-fudomo:openPreview',
+          'shouldDisplay': event => hasFileExtension(event, CONFIG_FILE_EXTENSION)
+        },
+        { 'label': 'Run Fudomo Transformation with Trace',
+          'command':  'language-fudomo:runWithTrace',
+          'shouldDisplay': event => hasFileExtension(event, CONFIG_FILE_EXTENSION)
+        },
+        { 'label': 'Run Fudomo Tests',
+          'command':  'language-fudomo:runTests',
+          'shouldDisplay': event => hasFileExtension(event, [CONFIG_FILE_EXTENSION, TEST_FILE_EXTENSION])
+        },
         { 'label': 'Validate Fudomo Transformation',
           'command':  'language-fudomo:validateTransformation',
           'shouldDisplay': event => hasFileExtension(event, CONFIG_FILE_EXTENSION)
@@ -185,7 +328,19 @@ export default {
         },
         { 'label': 'Infer Metamodel',
           'command':  'language-fudomo:inferMetamodel',
-          'shouldDisplay': event => hasFileExtension(event, ['yaml', 'oyaml', 'js']) // TODO get extensions from model-io.js
+          'shouldDisplay': event => hasFileExtension(event, DATA_FILE_EXTENSIONS)
+        },
+        { 'label': 'Update Metamodel from Data',
+          'command':  'language-fudomo:updateMetamodel',
+          'shouldDisplay': event => hasFileExtension(event, DATA_FILE_EXTENSIONS)
+        },
+        { 'label': 'Show Fudomo Model',
+          'command':  'language-fudomo:showModel',
+          'shouldDisplay': event => hasFileExtension(event, DATA_TEXT_EXTENSIONS)
+        },
+        { 'label': 'Show Metamodel Diagram',
+          'command':  'language-fudomo:showMetamodelDiagram',
+          'shouldDisplay': event => hasFileExtension(event, [CONFIG_FILE_EXTENSION, 'yaml'])
         },
         { 'label': 'Enable AutoTransform',
           'command': 'language-fudomo:enableAutoTransform',
@@ -195,12 +350,32 @@ export default {
           'command': 'language-fudomo:disableAutoTransform',
           'shouldDisplay': event => this.allowDisableAutoTransform(event)
         },
+        { 'label': 'Sync Function Skeletons',
+          'command': 'language-fudomo:syncFunctionSkeletons',
+          'shouldDisplay': event => hasFileExtension(event, CONFIG_FILE_EXTENSION)
+        },
         { 'label': 'Generate Function Skeletons',
           'shouldDisplay': event => hasFileExtension(event, FUDOMO_FILE_EXTENSION),
           'submenu': skeletonGenerationSubMenus
         }
       ],
-      '.syntax--entity.syntax--name.syntax--section.syntax--decomposition.syntax--fudomo': [
+      '.tree-view .project-root > .header': [
+        { label: 'Validate All Fudomo Transformations', command: 'language-fudomo:validateAllTransformations' }
+      ],
+      [FUDOMO_EDITOR_SELECTOR]: [
+        { label: 'Go to Implementation', command: 'language-fudomo:goToImplementation' },
+        { label: 'Rename Decomposition Function', command: 'language-fudomo:renameDecompositionFunction' },
+        { label: 'Rename Type or Feature', command: 'language-fudomo:renameTypeOrFeature' },
+        { label: 'Extract Decomposition', command: 'language-fudomo:extractDecomposition' },
+        { label: 'Format Fudomo File', command: 'language-fudomo:formatFile' }
+      ],
+      [METAMODEL_EDITOR_SELECTOR]: [
+        { label: 'Rename Type or Feature', command: 'language-fudomo:renameTypeOrFeature' }
+      ],
+      [FUNCTIONS_EDITOR_SELECTOR]: [
+        { label: 'Go to Fudomo Decomposition', command: 'language-fudomo:goToDecomposition' }
+      ],
+      '.syntax--fudomo.syntax--decomposition.syntax--typedFunction': [ // the tokens of decomposition headers
         { label: 'Copy Decomposition Function',
           created: function(event) {
             lastCopyDecompositionFunctionContextMenuMouseEvent = event;
@@ -210,71 +385,85 @@ export default {
       ]
     }));
 
-    const thiz = this;
-    this.subscriptions.add(atom.project.onDidChangeFiles(async events => {
-      const autoTransformPaths = Object.keys(atom.config.get('language-fudomo.autoTransformPaths') || {});
-      if (autoTransformPaths.length == 0) return;
+    // Lint .config, metamodel and data files while they are edited
+    this.subscriptions.add(atom.workspace.observeTextEditors(editor => this.observeConfigEditor(editor)));
+    this.subscriptions.add(atom.workspace.observeTextEditors(editor => this.observeMetamodelEditor(editor)));
+    this.subscriptions.add(atom.workspace.observeTextEditors(editor => this.observeDataEditor(editor)));
+    // Format .fudomo files when they are saved, if enabled
+    this.subscriptions.add(atom.workspace.observeTextEditors(editor => this.observeFudomoEditor(editor)));
 
-      const dataFileAbsPaths = {}; // maps to set of config file paths
-      for (var configPath of autoTransformPaths) {
-        try {
-          // Use of await in for-loop instead of Promise.all() is deliberate, because we don't want to fail fast.
-          if (atom.project.relativizePath(configPath) == null) continue; // Not in open project
-          const configText = await new File(configPath).read(true);
-          if (configText === null) continue;
-          const config = YAML.parse(configText);
-          const dataFile = new File(configPath).getParent().getFile(config.data);
-          const resolvedDataFilePath = await dataFile.getRealPath();
-          configPaths = dataFileAbsPaths[resolvedDataFilePath];
-          if (configPaths === undefined) {
-            configPaths = new Set();
-            dataFileAbsPaths[resolvedDataFilePath] = configPaths;
-          }
-          configPaths.add(configPath);
-        } catch (error) {
-          showError('Error running Auto Transform', error.message);
-        }
+    this.subscriptions.add(atom.workspace.addOpener(uri => {
+      if (uri.startsWith(PREVIEW_URI_PREFIX)) {
+        return this.createPreviewView(decodeURIComponent(uri.slice(PREVIEW_URI_PREFIX.length)));
       }
-
-      for (const event of events) {
-        const action = event.action;
-        if (action == 'created' || action == 'modified' || action == 'renamed') {
-          const configPaths = dataFileAbsPaths[event.path] || [];
-          for (const configPath of configPaths) {
-            thiz.runTransformationConfigFile(configPath, notifyOnSuccess = false);
-          }
-        }
+      if (uri.startsWith(TRACE_URI_PREFIX)) {
+        return this.createTraceView(decodeURIComponent(uri.slice(TRACE_URI_PREFIX.length)));
+      }
+      if (uri.startsWith(TESTS_URI_PREFIX)) {
+        return this.createTestResultsView(decodeURIComponent(uri.slice(TESTS_URI_PREFIX.length)));
+      }
+      if (uri.startsWith(METAMODEL_DIAGRAM_URI_PREFIX)) {
+        return this.createMetamodelDiagramView(decodeURIComponent(uri.slice(METAMODEL_DIAGRAM_URI_PREFIX.length)));
+      }
+      if (uri === VALIDATION_DASHBOARD_URI) {
+        return this.createValidationDashboardView();
       }
+      if (uri === MODEL_URI) {
+        return this.createModelView();
+      }
+    }));
+
+    this.subscriptions.add(atom.project.onDidChangeFiles(events => this.handleDidChangeFiles(events)));
+    this.subscriptions.add(atom.workspace.observeActiveTextEditor(() => this.updateStatusBar()));
+    this.subscriptions.add(atom.config.onDidChange('language-fudomo', () => {
+      this.projectInterpreters.clear();
+      this.updateStatusBar();
     }));
   },
 
   deactivate() {
     this.subscriptions.dispose();
-  },
-
-  provideLinter() {
-    return {
-      name: 'Fudomo',
-      scope: 'file', // or 'project'
-      lintsOnChange: false, // or true
-      grammarScopes: ['source.fudomo'],
-      lint(textEditor) {
-        const editorPath = textEditor.getPath()
-        const buffer = textEditor.getBuffer();
-        const text = buffer.getText();
-
-        const transformation = parseFudomo(text);
-        const errors = transformation.errors;
-        // add location for Atom
-        for (const error of errors) {
-          error.location = {
-            position: [buffer.positionForCharacterIndex(error.startOffset), buffer.positionForCharacterIndex(error.endOffset)],
-            file: editorPath
-          };
-        }
-        return errors;
+    clearTimeout(this.changedFilesTimeout);
+    for (const configPath of Object.keys(runningTransformations)) {
+      runningTransformations[configPath].cancel();
+    }
+    this.runnerPool.dispose();
+    setPythonInterpreterResolver(null);
+    if (this.statusBarTile !== null) this.statusBarTile.destroy();
+    if (this.statusBarTooltip !== null) this.statusBarTooltip.dispose();
+    for (const view of [...this.previewViews, ...this.traceViews, ...this.testResultsViews, ...this.metamodelDiagramViews, ...this.validationDashboardViews, ...this.modelViews]) {
+      const pane = atom.workspace.paneForItem(view);
+      if (pane) {
+        pane.destroyItem(view);
+      } else {
+        view.destroy();
       }
     }
+    return this.languageClient.deactivate();
+  },
+
+  provideAutocomplete() {
+    return this.autocompleteProvider;
+  },
+
+  provideOutlines() {
+    return this.languageClient.provideOutlines();
+  },
+
+  provideDefinitions() {
+    return this.languageClient.provideDefinitions();
+  },
+
+  provideFindReferences() {
+    return this.languageClient.provideFindReferences();
+  },
+
+  provideCodeActions() {
+    return this.languageClient.provideCodeActions();
+  },
+
+  consumeDatatip(service) {
+    this.languageClient.consumeDatatip(service);
   },
 
   consumeTreeView(treeView) {
@@ -283,6 +472,18 @@ export default {
 
   consumeBusySignal(api) {
     this.busySignalApi = api;
+    this.subscriptions.add(this.languageClient.consumeBusySignal(api));
+  },
+
+  consumeStatusBar(statusBar) {
+    const element = createElement('a', 'fudomo-python-interpreter inline-block');
+    element.onclick = () => this.selectPythonInterpreter();
+    this.statusBarTile = statusBar.addRightTile({ item: element, priority: 200 });
+    this.updateStatusBar();
+    return new Disposable(() => {
+      this.statusBarTile.destroy();
+      this.statusBarTile = null;
+    });
   },
 
   consumeIndie(registerIndie) {
@@ -291,6 +492,512 @@ export default {
     });
     this.subscriptions.add(linter);
     this.indieLinter = linter;
+    // Diagnostics of the language server
+    this.languageClient.consumeLinterV2(registerIndie);
+  },
+
+  observeConfigEditor(editor) {
+    const editorPath = editor.getPath();
+    if (!editorPath || !editorPath.endsWith('.' + CONFIG_FILE_EXTENSION)) return;
+
+    const lint = () => this.lintConfigText(editor.getPath(), editor.getText());
+    const editorSubscriptions = new CompositeDisposable(editor.onDidStopChanging(lint), editor.onDidSave(lint));
+    this.subscriptions.add(editorSubscriptions);
+    editorSubscriptions.add(editor.onDidDestroy(() => {
+      editorSubscriptions.dispose();
+      this.subscriptions.remove(editorSubscriptions);
+    }));
+    lint();
+  },
+
+  // Sets the linter messages of a .config file. Unless force is true, files that
+  // don't look like Fudomo configs (.config is a common extension) are not linted.
+  async lintConfigText(configPath, text, force = false) {
+    if (this.indieLinter === null) return;
+    if (!force && !isFudomoConfigText(text)) {
+      this.indieLinter.setMessages(configPath, []);
+      return;
+    }
+    this.indieLinter.setMessages(configPath, await validateConfigText(configPath, text));
+  },
+
+  // Metamodel.yaml files, and .yaml files referenced as "metamodel" by a .config file, get the metamodel grammar and are linted.
+  async observeMetamodelEditor(editor) {
+    const editorPath = editor.getPath();
+    if (!editorPath || !editorPath.endsWith('.yaml')) return;
+    if (new File(editorPath).getBaseName() !== METAMODEL_FILE_NAME) {
+      const projectPath = atom.project.relativizePath(editorPath)[0];
+      if (await findNearestConfigReferencing(editorPath, 'metamodel', config => true, projectPath) === null) return;
+      if (editor.isDestroyed()) return;
+      const grammar = editor.getGrammar();
+      if (grammar.scopeName === 'source.yaml' || grammar.scopeName === 'text.plain.null-grammar') {
+        if (atom.grammars.assignLanguageMode) {
+          atom.grammars.assignLanguageMode(editor.getBuffer(), METAMODEL_SCOPE_NAME);
+        } else {
+          editor.setGrammar(atom.grammars.grammarForScopeName(METAMODEL_SCOPE_NAME));
+        }
+      }
+    }
+
+    const lint = async () => {
+      if (this.indieLinter === null) return;
+      this.indieLinter.setMessages(editor.getPath(), await validateMetamodelText(editor.getPath(), editor.getText()));
+    };
+    const editorSubscriptions = new CompositeDisposable(editor.onDidStopChanging(lint), editor.onDidSave(lint));
+    this.subscriptions.add(editorSubscriptions);
+    editorSubscriptions.add(editor.onDidDestroy(() => {
+      editorSubscriptions.dispose();
+      this.subscriptions.remove(editorSubscriptions);
+    }));
+    lint();
+  },
+
+  /* OYAML files referenced as "data" by a .config file are validated against the metamodel of
+     the config while they are edited. The config is looked up on every change, so files that
+     become data of a config are linted from then on.
+  */
+  observeDataEditor(editor) {
+    const editorPath = editor.getPath();
+    if (!editorPath || !hasExtension(editorPath, DATA_TEXT_EXTENSIONS)) return;
+    if (new File(editorPath).getBaseName() === METAMODEL_FILE_NAME) return;
+
+    let lastLint = 0;
+    const lint = async () => {
+      const currentLint = ++lastLint;
+      const result = await this.validateDataText(editor.getPath(), editor.getText());
+      // Results of a lint that was overtaken by a later one are outdated
+      if (result !== null && currentLint === lastLint && this.indieLinter !== null) {
+        this.indieLinter.setMessages(result.file, withFileEditSolutions(result.messages));
+      }
+    };
+    const editorSubscriptions = new CompositeDisposable(editor.onDidStopChanging(lint), editor.onDidSave(lint));
+    this.subscriptions.add(editorSubscriptions);
+    this.dataEditorLints.add(lint);
+    editorSubscriptions.add(editor.onDidDestroy(() => {
+      editorSubscriptions.dispose();
+      this.subscriptions.remove(editorSubscriptions);
+      this.dataEditorLints.delete(lint);
+    }));
+    lint();
+  },
+
+  // The editor can get the Fudomo grammar later (e.g. when a new file is saved as .fudomo), so the grammar is checked on every save.
+  observeFudomoEditor(editor) {
+    const editorSubscriptions = new CompositeDisposable(editor.getBuffer().onWillSave(() => {
+      if (atom.config.get('language-fudomo.formatOnSave') && editor.getGrammar().scopeName === 'source.fudomo') {
+        this.formatEditor(editor);
+      }
+    }));
+    this.subscriptions.add(editorSubscriptions);
+    editorSubscriptions.add(editor.onDidDestroy(() => {
+      editorSubscriptions.dispose();
+      this.subscriptions.remove(editorSubscriptions);
+    }));
+  },
+
+  // Replaces the text of the editor with its formatted text, in a single undoable change. Returns false if the text has syntax errors.
+  formatEditor(editor) {
+    const text = editor.getText();
+    let formattedText = null;
+    try {
+      formattedText = formatFudomoText(text, { path: editor.getPath(), sortByType: atom.config.get('language-fudomo.sortDecompositionsByType') });
+    } catch (error) {
+      if (error instanceof DecompositionSyntaxError) return false;
+      throw error;
+    }
+    if (formattedText !== text) {
+      editor.transact(() => editor.getBuffer().setTextViaDiff(formattedText));
+    }
+    return true;
+  },
+
+  formatFile(editor) {
+    if (!editor) return;
+    if (!this.formatEditor(editor)) {
+      showError('Can not format the file: it has syntax errors.', 'Fix the errors shown by the linter and format it again.');
+    }
+  },
+
+  // Refactorings are planned from the files on disk, so the edited file has to be saved first.
+  canRefactor(editor) {
+    if (!editor || !editor.getPath()) return false;
+    if (editor.isModified()) {
+      showError(`Can not refactor "${new File(editor.getPath()).getBaseName()}": it has unsaved changes.`, 'Save the file and refactor again.');
+      return false;
+    }
+    return true;
+  },
+
+  /* Opens the review of a refactoring of the files related to the file of editor by the
+     .config files of its project. planRefactoring(projectPath) resolves to the plan (see
+     core/refactoring).
+  */
+  async openRefactoring(editor, planRefactoring) {
+    let plan = null;
+    try {
+      plan = await planRefactoring(atom.project.relativizePath(editor.getPath())[0]);
+    } catch (error) {
+      if (error instanceof RefactoringError) {
+        atom.notifications.addWarning('Can not refactor', { detail: error.message });
+      } else {
+        showError('Could not refactor', error.message);
+      }
+      return;
+    }
+    await atom.workspace.open(new RefactoringView(plan), { split: 'right' });
+  },
+
+  async renameDecompositionFunction(editor) {
+    if (!this.canRefactor(editor)) return;
+    const position = editor.getCursorBufferPosition().toArray();
+    const wordRange = editor.getLastCursor().getCurrentWordBufferRange();
+    const newName = await promptForText('New name of the decomposition function', editor.getTextInBufferRange(wordRange));
+    if (newName === null || newName === '') return;
+    await this.openRefactoring(editor, projectPath => planRenameFunction(editor.getPath(), position, newName, projectPath));
+  },
+
+  // Renames the type or feature at the cursor of a .fudomo or metamodel file.
+  async renameTypeOrFeature(editor) {
+    if (!this.canRefactor(editor)) return;
+    const filePath = editor.getPath();
+    const target = findRenameTarget(filePath, editor.getText(), editor.getCursorBufferPosition().toArray());
+    if (target === null) {
+      atom.notifications.addWarning('Place the cursor on a type or feature to rename it.');
+      return;
+    }
+    const key = filePath.endsWith('.' + FUDOMO_FILE_EXTENSION) ? 'decomposition' : 'metamodel';
+    if (target.feature === null) {
+      const newType = await promptForText(`New name of the type "${target.type}"`, target.type);
+      if (newType === null || newType === '' || newType === target.type) return;
+      await this.openRefactoring(editor, projectPath => planRenameType(filePath, key, target.type, newType, projectPath));
+    } else {
+      const newFeature = await promptForText(`New name of the feature "${target.type}.${target.feature}"`, target.feature);
+      if (newFeature === null || newFeature === '' || newFeature === target.feature) return;
+      await this.openRefactoring(editor, projectPath => planRenameFeature(filePath, key, target.type, target.feature, newFeature, projectPath));
+    }
+  },
+
+  // Extracts the selected links of a decomposition into a new decomposition.
+  async extractDecomposition(editor) {
+    if (!this.canRefactor(editor)) return;
+    const range = editor.getSelectedBufferRange();
+    if (range.isEmpty()) {
+      atom.notifications.addWarning('Select the links to extract.');
+      return;
+    }
+    const newName = await promptForText('Name of the new decomposition function', '');
+    if (newName === null || newName === '') return;
+    await this.openRefactoring(editor, projectPath => planExtractDecomposition(editor.getPath(), range.serialize(), newName, projectPath));
+  },
+
+  /* Resolves to the validation result (see validation.validateDataText) of the text of a data
+     file, with the metamodel of the nearest .config file that uses it as "data", or to null if
+     no .config file of the project uses it.
+  */
+  async validateDataText(dataPath, text) {
+    try {
+      const projectPath = atom.project.relativizePath(dataPath)[0];
+      const config = await findNearestConfigReferencing(dataPath, 'data', config => true, projectPath);
+      if (config === null) return null;
+      return await validation.validateDataText(config, dataPath, text);
+    } catch (error) {
+      console.dir(error);
+      return null;
+    }
+  },
+
+  // Sets the linter messages of the metamodel of the config. Missing metamodel files are reported by lintConfigFile.
+  async lintConfigMetamodel(config) {
+    if (this.indieLinter === null || !config.has('metamodel')) return;
+    try {
+      const { file, messages } = await validateMetamodel(config);
+      this.indieLinter.setMessages(file, messages);
+    } catch (error) {
+      console.dir(error);
+    }
+  },
+
+  async lintConfigFile(configPath) {
+    try {
+      const text = await new File(configPath).read(true);
+      if (text !== null) {
+        await this.lintConfigText(configPath, text, true);
+      }
+    } catch (error) {
+      console.dir(error);
+    }
+  },
+
+  handleDidChangeFiles(events) {
+    for (const event of events) {
+      for (const changedPath of [event.path, event.oldPath]) {
+        if (changedPath === undefined) continue;
+        this.configDependencies.invalidate(changedPath, event.action);
+        if (PYTHON_PROJECT_FILE_PATTERN.test(changedPath) && this.projectInterpreters.size > 0) {
+          this.projectInterpreters.clear();
+          this.updateStatusBar();
+        }
+        if (changedPath.endsWith('.' + CONFIG_FILE_EXTENSION) || changedPath.endsWith('.yaml')) {
+          // May change the metamodel used for completion
+          this.autocompleteProvider.clearMetamodelCache();
+        }
+        if (event.action !== 'deleted') {
+          this.pendingChangedPaths.add(changedPath);
+        } else {
+          this.pendingDeletedPaths.add(changedPath);
+        }
+      }
+    }
+    if (this.pendingChangedPaths.size == 0 && this.pendingDeletedPaths.size == 0) return;
+
+    // Saving several files (or a tool writing a file in chunks) causes a burst of events,
+    // which should cause one transformation only.
+    clearTimeout(this.changedFilesTimeout);
+    this.changedFilesTimeout = setTimeout(() => {
+      const changedPaths = this.pendingChangedPaths;
+      const deletedPaths = this.pendingDeletedPaths;
+      this.pendingChangedPaths = new Set();
+      this.pendingDeletedPaths = new Set();
+      this.handleChangedPaths(changedPaths, deletedPaths);
+    }, AUTO_TRANSFORM_DEBOUNCE_DELAY);
+  },
+
+  /* Runs the auto transform configs and refreshes the previews affected by a change of
+     changedPaths. The validation dashboard also validates the configs affected by deletedPaths again.
+  */
+  async handleChangedPaths(changedPaths, deletedPaths) {
+    const isAffected = dependencyPaths => Array.from(changedPaths).some(changedPath => dependencyPaths.has(changedPath));
+
+    const autoTransformPaths = Object.keys(atom.config.get('language-fudomo.autoTransformPaths') || {});
+    for (const configPath of autoTransformPaths) {
+      // Use of await in for-loop instead of Promise.all() is deliberate, because we don't want to fail fast.
+      if (atom.project.relativizePath(configPath)[0] == null) continue; // Not in open project
+      if (!new File(configPath).existsSync()) continue;
+      let dependencyPaths = null;
+      try {
+        dependencyPaths = await this.configDependencies.get(configPath);
+      } catch (error) {
+        // Report a broken config only when it was changed, not on every change of some other file
+        if (changedPaths.has(configPath)) {
+          this.runTransformationConfigFile(configPath, false);
+        }
+        continue;
+      }
+      if (isAffected(dependencyPaths)) {
+        this.runTransformationConfigFile(configPath, false);
+      }
+    }
+
+    for (const previewView of Array.from(this.previewViews)) {
+      let affected = changedPaths.has(previewView.configPath);
+      if (!affected) {
+        try {
+          affected = isAffected(await this.configDependencies.get(previewView.configPath));
+        } catch (error) {
+          // The error is shown in the preview when the config file is changed
+        }
+      }
+      if (affected) {
+        previewView.refresh();
+      }
+    }
+
+    for (const validationDashboardView of Array.from(this.validationDashboardViews)) {
+      validationDashboardView.handleChangedPaths(new Set([...changedPaths, ...deletedPaths]));
+    }
+
+    // A changed .config or metamodel file can change how the open data files are validated
+    const allPaths = [...changedPaths, ...deletedPaths];
+    if (allPaths.some(changedPath => hasExtension(changedPath, [CONFIG_FILE_EXTENSION, 'yaml']))) {
+      for (const lint of Array.from(this.dataEditorLints)) {
+        lint();
+      }
+    }
+  },
+
+  createPreviewView(configPath) {
+    const previewView = new PreviewView(configPath, this.runnerPool);
+    this.previewViews.add(previewView);
+    previewView.onDidDestroy(() => this.previewViews.delete(previewView));
+    return previewView;
+  },
+
+  /* The .config file in the active editor if the command was invoked there, otherwise the
+     .config files selected in the tree view. extension can be single extension or array.
+  */
+  getCommandConfigPaths(event, extension = CONFIG_FILE_EXTENSION) {
+    const extensions = Array.isArray(extension) ? extension : [extension];
+    const editor = atom.workspace.getActiveTextEditor();
+    const invokedInEditor = event && event.target && event.target.closest && event.target.closest('atom-text-editor') !== null;
+    if (invokedInEditor && editor && editor.getPath() && extensions.some(ext => editor.getPath().endsWith('.' + ext))) {
+      return [editor.getPath()];
+    } else if (this.treeView) {
+      return getSelectedFilesWithExtension(this.treeView, extensions);
+    }
+    return [];
+  },
+
+  openPreview(event) {
+    for (const configPath of this.getCommandConfigPaths(event)) {
+      atom.workspace.open(PREVIEW_URI_PREFIX + encodeURIComponent(configPath));
+    }
+  },
+
+  createTraceView(configPath) {
+    const traceView = new TraceView(configPath);
+    this.traceViews.add(traceView);
+    traceView.onDidDestroy(() => this.traceViews.delete(traceView));
+    return traceView;
+  },
+
+  async runWithTrace(event) {
+    for (const configPath of this.getCommandConfigPaths(event)) {
+      const uri = TRACE_URI_PREFIX + encodeURIComponent(configPath);
+      const openView = Array.from(this.traceViews).find(view => view.getURI() === uri);
+      if (openView !== undefined) {
+        openView.refresh(); // Run again when the trace is already open
+      }
+      await atom.workspace.open(uri);
+    }
+  },
+
+  createTestResultsView(testFilePath) {
+    const testResultsView = new TestResultsView(testFilePath);
+    this.testResultsViews.add(testResultsView);
+    testResultsView.onDidDestroy(() => this.testResultsViews.delete(testResultsView));
+    return testResultsView;
+  },
+
+  createValidationDashboardView() {
+    const validationDashboardView = new ValidationDashboardView(this.configDependencies);
+    this.validationDashboardViews.add(validationDashboardView);
+    validationDashboardView.onDidDestroy(() => this.validationDashboardViews.delete(validationDashboardView));
+    return validationDashboardView;
+  },
+
+  createModelView() {
+    const modelView = new ModelView();
+    this.modelViews.add(modelView);
+    modelView.onDidDestroy(() => this.modelViews.delete(modelView));
+    return modelView;
+  },
+
+  // Opens the model dock, for the data file selected in the tree view if the command was invoked there.
+  async showModel(event) {
+    const invokedInTreeView = event && event.target && event.target.closest && event.target.closest('.tree-view') !== null;
+    if (invokedInTreeView && this.treeView) {
+      for (const dataPath of getSelectedFilesWithExtension(this.treeView, DATA_TEXT_EXTENSIONS).slice(0, 1)) {
+        await atom.workspace.open(dataPath);
+      }
+    }
+    await atom.workspace.open(MODEL_URI, { searchAllPanes: true });
+  },
+
+  // Opens the validation dashboard, or validates all configs again if it is open already.
+  async validateAllTransformations() {
+    for (const view of this.validationDashboardViews) {
+      view.refresh();
+    }
+    await atom.workspace.open(VALIDATION_DASHBOARD_URI);
+  },
+
+  // Runs the golden file tests of the selected .config or .fudomo-test files, showing the results in a dock item.
+  async runTests(event) {
+    for (const testFilePath of this.getCommandConfigPaths(event, [CONFIG_FILE_EXTENSION, TEST_FILE_EXTENSION])) {
+      const uri = TESTS_URI_PREFIX + encodeURIComponent(testFilePath);
+      const openView = Array.from(this.testResultsViews).find(view => view.getURI() === uri);
+      if (openView !== undefined) {
+        openView.refresh();
+      }
+      await atom.workspace.open(uri);
+    }
+  },
+
+  /* The Python interpreter for the configs in directory that do not set "python-executable":
+     the one selected for the project ("Select Python Interpreter"), the one of the project or
+     of the active environment (see core/python-interpreters), or the default of the settings.
+     Resolves to { path, source, description }, or null if the runner uses "python".
+  */
+  async resolvePythonInterpreter(directory) {
+    const projectPath = atom.project.relativizePath(directory)[0] || directory;
+    const selectedPath = (atom.config.get('language-fudomo.pythonInterpreterPaths') || {})[projectPath];
+    if (selectedPath) {
+      return { path: selectedPath, source: 'selected', description: 'selected for the project' };
+    }
+    if (!this.projectInterpreters.has(directory)) {
+      this.projectInterpreters.set(directory, findProjectInterpreter(directory));
+    }
+    const interpreter = await this.projectInterpreters.get(directory);
+    if (interpreter !== null) return interpreter;
+    const defaultPath = atom.config.get('language-fudomo.defaultPythonExecutable');
+    return defaultPath ? { path: defaultPath, source: 'setting', description: 'default of the settings' } : null;
+  },
+
+  // The project of the active editor, or the first project.
+  getActiveProjectPath() {
+    const editor = atom.workspace.getActiveTextEditor();
+    const projectPath = editor && editor.getPath() ? atom.project.relativizePath(editor.getPath())[0] : null;
+    return projectPath || atom.project.getPaths()[0] || null;
+  },
+
+  async selectPythonInterpreter() {
+    const projectPath = this.getActiveProjectPath();
+    if (projectPath === null) {
+      atom.notifications.addWarning('Open a project to select the Python interpreter of its Fudomo transformations.');
+      return;
+    }
+
+    const busyMessage = this.busySignalApi.reportBusy('Searching Python interpreters');
+    let interpreters = [];
+    let automatic = null;
+    try {
+      [interpreters, automatic] = await Promise.all([findPythonInterpreters(projectPath), findProjectInterpreter(projectPath)]);
+    } finally {
+      busyMessage.dispose();
+    }
+    const defaultPath = atom.config.get('language-fudomo.defaultPythonExecutable');
+    let automaticDetail = 'the "python" on the PATH';
+    if (automatic !== null) {
+      automaticDetail = `${automatic.description}: ${automatic.path}`;
+    } else if (defaultPath) {
+      automaticDetail = `default of the settings: ${defaultPath}`;
+    }
+    const items = [{ label: 'Automatic', detail: automaticDetail, path: null }].concat(interpreters.map(interpreter => ({
+      label: interpreter.path,
+      detail: interpreter.description,
+      path: interpreter.path
+    })));
+
+    const choice = await promptForItem(`Python interpreter for the Fudomo transformations of "${projectPath}" (or the path of another one):`, items);
+    if (choice === null) return;
+    const selectedPath = typeof choice === 'string' ? choice : choice.path;
+    const interpreterPaths = Object.assign({}, atom.config.get('language-fudomo.pythonInterpreterPaths') || {});
+    if (selectedPath === null) {
+      delete interpreterPaths[projectPath];
+    } else {
+      interpreterPaths[projectPath] = selectedPath;
+    }
+    atom.config.set('language-fudomo.pythonInterpreterPaths', interpreterPaths);
+  },
+
+  // Shows the Python interpreter of the project of the active editor in the status bar, for Fudomo and Python files.
+  async updateStatusBar() {
+    if (this.statusBarTile === null) return;
+    const update = ++this.statusBarUpdate;
+    const element = this.statusBarTile.getItem();
+    const editor = atom.workspace.getActiveTextEditor();
+    const filePath = editor ? editor.getPath() : null;
+    if (!filePath || !PYTHON_INTERPRETER_FILE_EXTENSIONS.some(extension => filePath.endsWith('.' + extension))) {
+      element.style.display = 'none';
+      return;
+    }
+    const interpreter = await this.resolvePythonInterpreter(new File(filePath).getParent().getPath());
+    if (update !== this.statusBarUpdate || this.statusBarTile === null) return; // A newer update was started
+    element.style.display = '';
+    element.textContent = 'Python: ' + (interpreter !== null ? atom.project.relativizePath(interpreter.path)[1] : 'python');
+    if (this.statusBarTooltip !== null) this.statusBarTooltip.dispose();
+    const description = interpreter !== null ? `${interpreter.description}: ${interpreter.path}` : 'the "python" on the PATH';
+    this.statusBarTooltip = atom.tooltips.add(element, { title: `Python interpreter of Fudomo transformations (${description}). Click to select another one.` });
   },
 
   allowEnableAutoTransform(event) {
@@ -334,184 +1041,153 @@ export default {
     await Promise.all(paths.map(async (path) => this.runTransformationConfigFile(path, true)));
   },
 
-  getRunnerClass(config) {
-    let RunnerClass = null;
-    if (config.runnerId !== undefined) {
-      // Runner is configured in config file
-      if (config.runnerId === 'javascript') {
-        // Automatically substitute javascriptvm for javascript, because
-        // we don't want to run user-supplied js code in Atom's node directly.
-        RunnerClass = getRunnerClassById('javascriptvm');
-      } else {
-        RunnerClass = getRunnerClassById(config.runnerId);
-      }
-    } else {
-      // Runner is not configured in config file, find by file extension
-      const extension = path.extname(config.functions).slice(1);
-      if (extension === 'js') {
-        // Automatically use javascriptvm for javascript, because
-        // we don't want to run user-supplied js code in Atom's node directly.
-        RunnerClass = getRunnerClassById('javascriptvm');
-      } else {
-        RunnerClass = getRunnerClassByFileExtension(extension);
-      }
+  allowCancelTransformation(event) {
+    return getSelectedFilesWithExtension(this.treeView, CONFIG_FILE_EXTENSION).some(path => path in runningTransformations || path in runningPostprocessors);
+  },
+
+  // Cancels the running transformations and post-processors of the selected config files.
+  cancelTransformation() {
+    for (const path of getSelectedFilesWithExtension(this.treeView, CONFIG_FILE_EXTENSION)) {
+      this.cancelTransformationConfigFile(path);
     }
-    if (RunnerClass == undefined) {
-      if (config.runnerId !== undefined) {
-        throw new Error(`Can not find decomposition function runner class with id "${config.runnerId}".`);
-      } else {
-        throw new Error(`Can not find decomposition function runner class for file extension "${path.extname(config.functions).slice(1)}".`);
-      }
+  },
+
+  cancelAllTransformations() {
+    const configPaths = new Set(Object.keys(runningTransformations).concat(Object.keys(runningPostprocessors)));
+    if (configPaths.size === 0) {
+      atom.notifications.addInfo('No Fudomo transformation is running.');
+    }
+    configPaths.forEach(configPath => this.cancelTransformationConfigFile(configPath));
+  },
+
+  cancelTransformationConfigFile(configPath) {
+    if (configPath in runningTransformations) {
+      runningTransformations[configPath].cancel();
+      delete runningTransformations[configPath];
+    }
+    if (configPath in runningPostprocessors) {
+      killPostprocessor(configPath);
     }
-    return RunnerClass;
   },
 
   async runTransformationConfigFile(configFilePath, notifyOnSuccess = true) {
-    const thiz = this;
-    const configFile = new File(configFilePath);
     const projectPath = atom.project.relativizePath(configFilePath)[0];
-    const baseDir = configFile.getParent();
-    let phase = new Phase('reading config file', configFilePath); // for error handler
+    await this.lintConfigFile(configFilePath);
 
-    let funcFile = null;
-    let dataFile = null;
-    let decompFile = null;
+    let config = null;
+    try {
+      config = await loadConfig(configFilePath);
+    } catch (error) {
+      this.handleTransformError(new PhaseError(new Phase('reading config file', configFilePath), error), projectPath);
+      return;
+    }
+
+    // Cancel a still running transformation of the same config file, its result would be outdated
+    if (config.path in runningTransformations) {
+      runningTransformations[config.path].cancel();
+    }
+    const cancellationToken = new CancellationToken();
+    runningTransformations[config.path] = cancellationToken;
+
+    const runningMessageTitle = `Running Fudomo transformation "${config.get('decomposition')}"`;
+    const runningMessage = this.busySignalApi.reportBusy(`${runningMessageTitle} (click to cancel)`, {
+      onDidClick: () => this.cancelTransformationConfigFile(config.path)
+    });
+    const onProgress = progress => runningMessage.setTitle(`${runningMessageTitle}: ${formatProgress(progress)} (click to cancel)`);
 
+    let outputPath = null;
+    let outputPaths = [];
     try {
-      const configText = await configFile.read(true);
-      if (configText === null) throw new Error('Config file not found.');
-      let config = null;
-      phase = new Phase('parsing config file', configFilePath);
-      config = YAML.parse(configText); // No try-catch: exception is ok to fall through to outer catch handler.
-
-      const decompPath = config.decomposition;
-      if (decompPath === undefined) {
-        throw new Error('Fudomo transformation config file error: "decomposition" attribute not set.');
-      }
-      decompFile = baseDir.getFile(decompPath);
-
-      const funcPath = config.functions;
-      if (funcPath === undefined) {
-        throw new Error('Fudomo transformation config file error: "functions" attribute not set.');
-      }
-      funcFile = baseDir.getFile(funcPath);
-      const funcPromise = funcFile.read(true);
-
-      const dataPath = config.data;
-      if (dataPath === undefined) {
-        throw new Error('Fudomo transformation config file error: "data" attribute not set.');
-      }
-      dataFile = baseDir.getFile(dataPath);
-      const dataFilePath = dataFile.getPath();
-
-      const outputPath = config.output;
-      if (outputPath === undefined) {
-        throw new Error('Fudomo transformation config file error: "output" attribute not set.');
-      }
-
-      phase = new Phase(`loading data from "${dataPath}"`, dataFilePath);
-      const model = loadModel(dataFilePath);
-
-      phase = 'loading decomposition file';
-      const decompSource = await decompFile.read(true);
-      if (decompSource == null) throw new Error('Decomposition file not found.');
-
-      phase = new Phase(`creating decomposition function runner`, configFile.getPath());
-      RunnerClass = this.getRunnerClass(config);
-
-      phase = new Phase(`parsing Fudomo decomposition functions from "${funcPath}"`, funcFile.getPath());
-      config.functions = await funcFile.getRealPath(); // Set config.functions to absolute path (non-permanent change as the loaded config instance is only used in this function)
-      config.consoleHandler = console;
-      const functionRunner = new RunnerClass(baseDir.getPath(), config);
-
-      const absDecompPath = await decompFile.getRealPath();
-      const transformation = parseFudomo(decompSource, absDecompPath);
-      if (transformation.hasError) {
-        const errorsMd = getTransformationErrorsAsMarkDown(transformation);
-        atom.notifications.addError(`Could not parse Fudomo decomposition definition from "${decompPath}"`, {
-          dismissable: true,
-          description: errorsMd,
-          buttons: [{
-            text: 'Open',
-            onDidClick: () => atom.workspace.open(decompFile.getPath())
-          }]
-        });
-      } else {
-        phase = new Phase(`running Fudomo transformation ${config.decomposition}`, decompFile.getPath());
-        const transformationContext = new TransformationContext(transformation, model, functionRunner);
-        transform(transformationContext).then(async result => {
-
-          try {
-            phase = `writing Fudomo transformation result to destination file "${outputPath}"`;
-            const outputFile = baseDir.getFile(outputPath);
-            await outputFile.write(result);
-
-            if (config.postprocess != undefined) {
-
-              // Kill already running post-processor for the given config file
-              if (path in runningPostprocessors) {
-                const pid = runningPostprocessors[path];
-                killedPostprocessors[pid] = true;
-                treeKill(pid, 'SIGKILL');
-              }
-
-              // this part does not use promises because child_process.exec, in its promisified version in node 10,
-              // does not give access to the ChildProcess, which we need to get the pid in order to kill it if it already runs.
-              const busyMessageTitle = `Postprocessing result of Fudomo transformation "${config.decomposition}"`;
-              const busyMessage = thiz.busySignalApi.reportBusy(busyMessageTitle);
-
-              const child = child_process.exec(config.postprocess, { cwd: baseDir.getPath(), windowsHide: true }, function(error, stdout, stderr) {
-                busyMessage.setTitle(busyMessageTitle + ' (interrupted)');
-                busyMessage.dispose();
-
-                if (error == null) {
-                  if (notifyOnSuccess) {
-                    showSuccess(`Result of Fudomo transformation "${config.decomposition}" successfully written to "${config.output}" and post-processed.`);
-                  }
-                } else {
-                  if (child.pid in killedPostprocessors) {
-                    // If process was killed because transformation was triggered again, don't show error message.
-                    // Checking this using error.signal was not reliable.
-                    delete killedPostprocessors[child.pid];
-                  } else {
-                    showError(`Error post-processing result of Fudomo transformation "${config.decomposition}".`, stderr || stdout, 'Open', () => atom.workspace.open(dataFilePath));
-                  }
-                }
-                delete runningPostprocessors[path];
-              });
-
-              runningPostprocessors[path] = child.pid;
-
-            } else {
-              if (notifyOnSuccess) {
-                showSuccess(`Result of Fudomo transformation "${config.decomposition}" successfully written to "${config.output}".`, 'Open', () => atom.workspace.open(outputFile.getPath()));
-              }
-            }
-          } catch (error) {
-            this.handleTransformError(error, phase, projectPath);
-          }
-        }).catch(error => {
-          this.handleTransformError(error, phase, projectPath);
-        });
+      ({ outputPath, outputPaths } = await runConfiguredTransformation(config, { cancellationToken: cancellationToken, onProgress: onProgress, runnerPool: this.runnerPool }));
+    } catch (error) {
+      this.handleTransformError(error, projectPath);
+      return;
+    } finally {
+      runningMessage.dispose();
+      if (runningTransformations[config.path] === cancellationToken) {
+        delete runningTransformations[config.path];
+      }
+    }
+    if (cancellationToken.isCancelled) return;
+
+    const isSingleOutput = outputPaths.length === 1 && outputPaths[0] === outputPath;
+    const destination = isSingleOutput ? `"${config.get('output')}"` : `${outputPaths.length} files`;
+    if (!config.has('postprocess')) {
+      if (notifyOnSuccess && isSingleOutput) {
+        showSuccess(`Result of Fudomo transformation "${config.get('decomposition')}" successfully written to ${destination}.`, 'Open', () => atom.workspace.open(outputPath));
+      } else if (notifyOnSuccess) {
+        showSuccess(`Result of Fudomo transformation "${config.get('decomposition')}" successfully written to ${destination}.`);
       }
+      return;
+    }
+
+    // Kill already running post-processor for the given config file
+    if (config.path in runningPostprocessors) {
+      killPostprocessor(config.path);
+    }
+
+    const busyMessageTitle = `Postprocessing result of Fudomo transformation "${config.get('decomposition')}"`;
+    const busyMessage = this.busySignalApi.reportBusy(`${busyMessageTitle} (click to cancel)`, {
+      onDidClick: () => this.cancelTransformationConfigFile(config.path)
+    });
+
+    try {
+      const child = startPostprocess(config, (error, stdout, stderr) => {
+        busyMessage.setTitle(busyMessageTitle + ' (interrupted)');
+        busyMessage.dispose();
+
+        if (error == null) {
+          if (notifyOnSuccess) {
+            showSuccess(`Result of Fudomo transformation "${config.get('decomposition')}" successfully written to ${destination} and post-processed.`);
+          }
+        } else {
+          if (child.pid in killedPostprocessors) {
+            // If process was killed because transformation was triggered again or cancelled, don't show error message.
+            // Checking this using error.signal was not reliable.
+            delete killedPostprocessors[child.pid];
+          } else {
+            showError(`Error post-processing result of Fudomo transformation "${config.get('decomposition')}".`, stderr || stdout, 'Open', () => atom.workspace.open(config.path));
+          }
+        }
+        if (runningPostprocessors[config.path] === child.pid) {
+          delete runningPostprocessors[config.path];
+        }
+      });
+
+      runningPostprocessors[config.path] = child.pid;
     } catch (error) {
-      this.handleTransformError(error, phase, projectPath);
+      busyMessage.dispose();
+      this.handleTransformError(new PhaseError(new Phase('post-processing Fudomo transformation result', config.path), error), projectPath);
     }
   },
 
-  handleTransformError(error, phase, projectPath) {
+  handleTransformError(error, projectPath) {
+    let phase = null;
+    if (error instanceof PhaseError) {
+      phase = error.phase;
+      error = error.cause;
+    }
+    if (error instanceof CancelledError && !(error instanceof TimeoutError)) {
+      // A newer run of the transformation was started, or the run was cancelled
+      return;
+    }
     console.dir(error);
+
     if (error instanceof FudomoComputeException) {
       showFudomoComputeException(error, projectPath);
       return;
     }
-
-    let activity = phase;
-    let openablePath = null;
-    if (phase instanceof Phase) {
-      activity = phase.activity;
-      openablePath = phase.openablePath;
+    if (error instanceof DecompositionSyntaxError) {
+      showDecompositionSyntaxError(error);
+      return;
     }
+    if (error instanceof TimeoutError) {
+      showError(error.message, 'Increase the "timeout" of the .config file if the transformation needs more time.');
+      return;
+    }
+
+    const activity = phase !== null ? phase.activity : 'running Fudomo transformation';
+    const openablePath = phase !== null ? phase.openablePath : null;
 
     if (openablePath !== null) {
       showError(`Error while ${activity}`, `Error: ${error.message}\nStack trace:\n${error.toString()}`, 'Open', () => atom.workspace.open(openablePath));
@@ -538,7 +1214,7 @@ export default {
 
     const screenPos = editor.component.screenPositionForMouseEvent(mouseEvent);
     const bufferPos = editor.bufferPositionForScreenPosition(screenPos);
-    const transformation = parseFudomo(editor.getBuffer().getText());
+    const transformation = parseFudomoText(editor.getBuffer().getText());
     if (transformation.hasError) {
       showError('Can not copy decomposition function definition: the transformation file has errors.');
       return;
@@ -555,68 +1231,219 @@ export default {
     showSuccess(`Skeleton function definition of "${decomposition.function.qualifiedName}" copied to clipboard.`);
   },
 
-  async generateFunctionsForDecompositionFile(path, languageId) {
-    const language = SKELETON_GENERATORS.filter(g => g.id == languageId)[0];
+  // Opens the function implementing the decomposition at the cursor (or the decomposition a link at the cursor refers to).
+  async goToImplementation(editor) {
+    if (!editor || !editor.getPath()) return;
+    const decompositionPath = editor.getPath();
+    const document = new FudomoDocument(decompositionPath, editor.getText());
+    if (document.hasSyntaxError) {
+      showError('Can not go to implementation: the transformation file has errors.');
+      return;
+    }
 
-    const file = new File(path);
-    const dir = file.getParent();
+    const position = editor.getCursorBufferPosition();
+    const occurrence = document.getOccurrenceAt([position.row, position.column]);
+    const decomposition = occurrence !== null ? document.getDecompositions(occurrence.qualifiedName)[0] : document.transformation.getDecompositionForTextCoordinate(position.column, position.row);
+    if (!decomposition) {
+      showError('Can not go to implementation: there is no decomposition at the cursor.');
+      return;
+    }
+    const inlineFunction = getInlineFunction(document.transformation, decomposition);
+    if (inlineFunction !== undefined) {
+      editor.setCursorBufferPosition([inlineFunction.openRow + 1, 0]);
+      editor.scrollToCursorPosition();
+      return;
+    }
 
-    // Calculate destination file name like this: 'abc.fudomo' => 'abc_functions.js', 'abc_functions2.js', 'abc_functions3.js', ...
-    const filenameNoExt = file.getBaseName().slice(0, -(FUDOMO_FILE_EXTENSION.length + 1));
-    let dedupSuffix = '';
-    let destFile = dir.getFile(filenameNoExt + '_functions' + String(dedupSuffix) + '.' + language.extension);
-    while (destFile.existsSync()) {
-      if (dedupSuffix == '') {
-        dedupSuffix = 2;
-      }
-      destFile = dir.getFile(filenameNoExt + '_functions' + String(dedupSuffix) + '.' + language.extension);
-      dedupSuffix += 1;
+    const projectPath = atom.project.relativizePath(decompositionPath)[0];
+    const config = await findNearestConfigReferencing(decompositionPath, 'decomposition', config => config.has('functions'), projectPath);
+    if (config === null) {
+      showError(`Can not go to implementation: no .config file uses "${editor.getTitle()}" as decomposition and specifies functions.`);
+      return;
+    }
+    const functionsPath = config.resolvePath('functions');
+    const languageId = getFunctionsLanguageId(functionsPath);
+    if (languageId === null) {
+      showError(`Can not go to implementation: the language of the functions file "${config.get('functions')}" is not supported.`);
+      return;
     }
 
-    try {
-      const decompSource = await file.read(true);
-      if (decompSource === null) throw new Error('Decomposition file not found.');
-
-      const transformation = parseFudomo(decompSource);
-      if (transformation.hasError) {
-        const errorsMd = getTransformationErrorsAsMarkDown(transformation);
-        atom.notifications.addError(`Could not parse Fudomo decomposition definition from "${path}"`, {
-          dismissable: true,
-          description: errorsMd,
-          buttons: [{
-            text: 'Open',
-            onDidClick: () => atom.workspace.open(file.getPath())
-          }]
-        });
-      } else {
-        const skeletonSource = getSkeletonGenerator(language.id).generateSkeleton(transformation);
+    const openImplementation = async (appendIfMissing) => {
+      const functionsEditor = await atom.workspace.open(functionsPath);
+      let range = findImplementation(functionsEditor.getText(), languageId, decomposition);
+      if (range === null && appendIfMissing) {
         try {
-          await destFile.write(skeletonSource);
-          showSuccess(`Fudomo function skeletons for transformation "${file.getBaseName()}" successfully written to "${destFile.getBaseName()}".`, 'Open', () => atom.workspace.open(destFile.getPath()));
+          functionsEditor.getBuffer().setTextViaDiff(appendSkeleton(functionsEditor.getText(), languageId, decomposition));
         } catch (error) {
-          showError(`Could not write skeleton functions to destination file "${destFile.getPath()}"`, `Error: ${error.message}`);
+          showError(`Could not append skeleton of "${decomposition.function.qualifiedName}".`, error.message);
+          return;
         }
+        range = findImplementation(functionsEditor.getText(), languageId, decomposition);
+      }
+      if (range !== null) {
+        functionsEditor.setSelectedBufferRange(range);
+        functionsEditor.scrollToCursorPosition();
       }
+    };
+
+    const functionsText = await readEditorOrFileText(functionsPath);
+    if (functionsText !== null && findImplementation(functionsText, languageId, decomposition) !== null) {
+      await openImplementation(false);
+      return;
+    }
+    const notification = atom.notifications.addInfo(`"${decomposition.function.qualifiedName}" is not implemented in "${config.get('functions')}" yet.`, {
+      dismissable: true,
+      buttons: [{
+        text: 'Append Skeleton',
+        onDidClick: () => {
+          notification.dismiss();
+          openImplementation(true);
+        }
+      }]
+    });
+  },
+
+  // Opens the decomposition implemented by the function at the cursor.
+  async goToDecomposition(editor) {
+    if (!editor || !editor.getPath()) return;
+    const functionsPath = editor.getPath();
+    const languageId = getFunctionsLanguageId(functionsPath);
+    if (languageId === null) return;
+
+    const position = editor.getCursorBufferPosition();
+    const functionName = getFunctionNameAt(editor.getText(), languageId, [position.row, position.column]);
+    if (functionName === null) {
+      showError('Can not go to decomposition: the cursor is not inside a decomposition function.');
+      return;
+    }
+
+    const projectPath = atom.project.relativizePath(functionsPath)[0];
+    const config = await findNearestConfigReferencing(functionsPath, 'functions', config => config.has('decomposition'), projectPath);
+    if (config === null) {
+      showError(`Can not go to decomposition: no .config file uses "${editor.getTitle()}" as functions file.`);
+      return;
+    }
+
+    const decompositionEditor = await atom.workspace.open(config.resolvePath('decomposition'));
+    const document = new FudomoDocument(decompositionEditor.getPath(), decompositionEditor.getText());
+    if (document.hasSyntaxError) {
+      showError('Can not go to decomposition: the transformation file has errors.');
+      return;
+    }
+    const decomposition = findDecompositionForFunction(document.transformation, functionName);
+    if (decomposition === null) {
+      showError(`There is no decomposition for function "${functionName}" in "${config.get('decomposition')}".`);
+      return;
+    }
+    decompositionEditor.setSelectedBufferRange(decomposition.function.node.location);
+    decompositionEditor.scrollToCursorPosition();
+  },
+
+  // Opens the decomposition and the data object that produced the text at the cursor in an output file.
+  async showProvenance(editor) {
+    if (!editor || !editor.getPath()) return;
+    const outputPath = editor.getPath();
+    const projectPath = atom.project.relativizePath(outputPath)[0];
+    const config = await findNearestConfigReferencing(outputPath, 'output', config => config.has('source-map'), projectPath);
+    if (config === null) {
+      showError(`Can not find where the text came from: no .config file writes "${editor.getTitle()}" as output and specifies a "source-map".`);
+      return;
+    }
+
+    let map = null;
+    try {
+      map = await loadSourceMap(config.resolvePath('source-map'));
+    } catch (error) {
+      showError(`Could not read source map "${config.get('source-map')}". Run the transformation to create it.`, error.message);
+      return;
+    }
+    const text = editor.getText();
+    if (editor.isModified() || text.length !== map.length) {
+      atom.notifications.addWarning(`"${editor.getTitle()}" changed since its source map was written, the result may be wrong. Run the transformation again to update it.`);
+    }
+
+    const position = editor.getCursorBufferPosition();
+    const chain = findProvenance(map, text, [position.row, position.column]);
+    if (chain.length === 0) {
+      atom.notifications.addInfo('No decomposition function call produced the text at the cursor.');
+      return;
+    }
+    const origin = chain[0];
+    if (origin.object !== null && origin.object.path !== null && origin.object.range !== null) {
+      await openSourceLocation(origin.object.path, origin.object.range, { split: 'right', activatePane: false });
+    }
+    if (origin.decomposition !== null) {
+      await openSourceLocation(origin.decomposition.path, origin.decomposition.range);
+    }
+    atom.notifications.addInfo(`Produced by ${describeProvenanceSpan(origin)}`, {
+      detail: chain.slice(1).map(span => `called by ${describeProvenanceSpan(span)}`).join('\n')
+    });
+  },
 
+  async generateFunctionsForDecompositionFile(path, languageId) {
+    const language = getSkeletonLanguage(languageId);
+    const file = new File(path);
+    const destFile = new File(getSkeletonDestinationPath(path, language.id));
+
+    try {
+      const skeletonSource = await generateSkeletonSource(path, language.id);
+      try {
+        await destFile.write(skeletonSource);
+        showSuccess(`Fudomo function skeletons for transformation "${file.getBaseName()}" successfully written to "${destFile.getBaseName()}".`, 'Open', () => atom.workspace.open(destFile.getPath()));
+      } catch (error) {
+        showError(`Could not write skeleton functions to destination file "${destFile.getPath()}"`, `Error: ${error.message}`);
+      }
     } catch(error) {
-      showError('Could not create skeleton functions for Fudomo transformation', `Error: ${error.message}`);
-      console.dir(error);
+      if (error instanceof DecompositionSyntaxError) {
+        showDecompositionSyntaxError(error);
+      } else {
+        showError('Could not create skeleton functions for Fudomo transformation', `Error: ${error.message}`);
+        console.dir(error);
+      }
+    }
+  },
+
+  createMetamodelDiagramView(metamodelPath) {
+    const diagramView = new MetamodelDiagramView(metamodelPath);
+    this.metamodelDiagramViews.add(diagramView);
+    diagramView.onDidDestroy(() => this.metamodelDiagramViews.delete(diagramView));
+    return diagramView;
+  },
+
+  /* Opens the class diagrams of the metamodel in the active editor (if the command was invoked
+     there), or of the selected metamodel files and of the metamodels of the selected .config files.
+  */
+  async showMetamodelDiagram(event) {
+    const metamodelPaths = [];
+    for (const filePath of this.getCommandConfigPaths(event, [CONFIG_FILE_EXTENSION, 'yaml'])) {
+      if (!filePath.endsWith('.' + CONFIG_FILE_EXTENSION)) {
+        metamodelPaths.push(filePath);
+        continue;
+      }
+      try {
+        const config = await loadConfig(filePath);
+        if (!config.has('metamodel')) {
+          showError('Configuration file does not specify metamodel.', `Add a "metamodel" key to ${filePath}.`);
+          continue;
+        }
+        metamodelPaths.push(config.resolvePath('metamodel'));
+      } catch (error) {
+        showError('Error reading config file', `Error: ${error.message}`, 'Open', () => atom.workspace.open(filePath));
+      }
+    }
+    for (const metamodelPath of metamodelPaths) {
+      await atom.workspace.open(METAMODEL_DIAGRAM_URI_PREFIX + encodeURIComponent(metamodelPath), { split: 'right' });
     }
   },
 
   async inferMetamodel() {
-    const paths = getSelectedFilesWithExtension(this.treeView, ['oyaml', 'yaml', 'js']); // TODO get extensions from model-io.js
+    const paths = getSelectedFilesWithExtension(this.treeView, DATA_FILE_EXTENSIONS);
     if (paths.length == 0) return;
 
-    const parents = paths.map(path => new File(path).getParent());
-    parents.sort((a, b) => b.getPath().length - a.getPath().length); // Sort by length
-    const destDir = parents[0];
-    const destFile = destDir.getFile('Metamodel.yaml');
+    const destFile = new File(getInferredMetamodelPath(paths));
 
     try {
-      const metamodel = new MetamodelInferer().inferMetamodelFromPaths(paths);
-      nullOptions.nullStr = '';
-      const textualMetamodel = YAML.stringify(metamodel);
+      const textualMetamodel = inferMetamodelText(paths);
       await destFile.write(textualMetamodel);
       showSuccess(`Inferred metamodel written to "${destFile.getBaseName()}"`, 'Open', () => atom.workspace.open(destFile.getPath()));
     } catch (error) {
@@ -625,123 +1452,63 @@ export default {
     }
   },
 
+  /* Merges the metamodel inferred from the selected data files into the metamodel of the
+     config using the data (or the metamodel "Infer Metamodel" would write), showing the
+     changes for review before they are written.
+  */
+  async updateMetamodel() {
+    const paths = getSelectedFilesWithExtension(this.treeView, DATA_FILE_EXTENSIONS);
+    if (paths.length == 0) return;
+
+    try {
+      const projectPath = atom.project.relativizePath(paths[0])[0];
+      const config = await findNearestConfigReferencing(paths[0], 'data', config => config.has('metamodel'), projectPath);
+      const metamodelFile = new File(config !== null ? config.resolvePath('metamodel') : getInferredMetamodelPath(paths));
+      if (!(await metamodelFile.exists())) { // Nothing to merge with
+        await metamodelFile.write(inferMetamodelText(paths));
+        showSuccess(`Inferred metamodel written to "${metamodelFile.getBaseName()}"`, 'Open', () => atom.workspace.open(metamodelFile.getPath()));
+        return;
+      }
+      const existingText = await metamodelFile.read(true);
+      const merge = updateMetamodelText(existingText, paths);
+      if (merge.additions.length === 0 && merge.conflicts.length === 0) {
+        atom.notifications.addInfo(`Metamodel "${metamodelFile.getBaseName()}" is up to date with the data.`);
+        return;
+      }
+      await atom.workspace.open(new MetamodelUpdateView(metamodelFile.getPath(), paths, existingText, merge));
+    } catch (error) {
+      showError('Error updating metamodel', `Error: ${error.message}`);
+      console.dir(error);
+    }
+  },
+
   async validateTransformation() {
-    const paths = getSelectedFilesWithExtension(this.treeView, 'config');
+    const paths = getSelectedFilesWithExtension(this.treeView, CONFIG_FILE_EXTENSION);
 
     for (const configPath of paths) {
+      await this.lintConfigFile(configPath);
       try {
-        const configFile = new File(configPath);
-        const configText = await configFile.read(true);
-        if (configText === null) throw new Error('Config file not found.');
-        const config = YAML.parse(configText);
-
-        if (config.metamodel == null) {
-          throw new Error('Configuration file does not specify metamodel.');
-        }
-
-        const parentDir = configFile.getParent();
-        const metamodelFile = parentDir.getFile(config.metamodel);
-
-        const metamodelText = await metamodelFile.read(true);
-        if (metamodelText === null) {
-          throw new Error(`Metamodel file ${metamodelFile.getPath()} could not be read.`);
-        }
-        const metamodel = YAML.parse(metamodelText);
-
-        if (config.decomposition == null) {
-          throw new Error('Configuration file does not specify decomposition.');
-        }
-
-        const decompFile = parentDir.getFile(config.decomposition);
-        const transformationText = await decompFile.read(true);
-        if (transformationText === null) throw new Error('Decomposition file not found.');
-        const transformation = parseFudomo(transformationText);
-
-        const validator = new TransformationValidator(metamodel, transformation);
-
-        const messages = [];
-        for (const error of validator.errors) {
-
-          messages.push({
-            severity: 'error',
-            location: {
-              file: decompFile.getPath(),
-              position: error.location
-            },
-            excerpt: error.message,
-            description: error.context
-          });
-        }
-        this.indieLinter.setMessages(decompFile.getPath(), messages);
-
+        const config = await loadConfig(configPath);
+        await this.lintConfigMetamodel(config);
+        const { file, messages } = await validation.validateTransformation(config);
+        this.indieLinter.setMessages(file, withFileEditSolutions(messages));
       } catch (error) {
         showError('Error validating Transformation', `Error: ${error.message}`);
         console.dir(error);
       }
-
     }
   },
 
   async validateData() {
-    const paths = getSelectedFilesWithExtension(this.treeView, 'config');
+    const paths = getSelectedFilesWithExtension(this.treeView, CONFIG_FILE_EXTENSION);
 
     for (const configPath of paths) {
+      await this.lintConfigFile(configPath);
       try {
-        const configFile = new File(configPath);
-        const configText = await configFile.read(true);
-        if (configText === null) throw new Error('Config file not found.');
-        const config = YAML.parse(configText);
-
-        const parentDir = configFile.getParent();
-        let metamodel = null;
-        if (config.metamodel != null) {
-          const metamodelFile = parentDir.getFile(config.metamodel);
-
-          const metamodelText = await metamodelFile.read(true);
-          if (metamodelText === null) {
-            throw new Error(`Metamodel file ${metamodelFile.getPath()} could not be read.`);
-          }
-          metamodel = YAML.parse(metamodelText);
-        }
-
-        if (config.data == null) {
-          throw new Error('Configuration file does not specify data.')
-        }
-
-        // Load data and catch syntactic errors
-        const dataFile = parentDir.getFile(config.data);
-        let model = null;
-        let errors = [];
-        try {
-          model = loadModel(dataFile.getPath());
-        } catch (error) {
-          if (error.markers != undefined) {
-            errors = error.markers;
-          } else {
-            throw error;
-          }
-        }
-
-        // Run data validation if no syntactic errors were found
-        if (model !== null && metamodel !== null) {
-          const validator = new DataValidator(metamodel, model);
-          errors = errors.concat(validator.errors);
-        }
-
-        const messages = [];
-        for (const error of errors) {
-          messages.push({
-            severity: 'error',
-            location: {
-              file: dataFile.getPath(),
-              position: error.location
-            },
-            excerpt: error.message,
-            description: error.context
-          });
-        }
-        this.indieLinter.setMessages(dataFile.getPath(), messages);
-
+        const config = await loadConfig(configPath);
+        await this.lintConfigMetamodel(config);
+        const { file, messages } = await validation.validateData(config);
+        this.indieLinter.setMessages(file, withFileEditSolutions(messages));
       } catch (error) {
         showError('Error validating data file', `Error: ${error.message}`);
         console.dir(error);
@@ -750,49 +1517,52 @@ export default {
   },
 
   async validateFunctions() {
-    const paths = getSelectedFilesWithExtension(this.treeView, 'config');
+    const paths = getSelectedFilesWithExtension(this.treeView, CONFIG_FILE_EXTENSION);
 
     for (const configPath of paths) {
+      await this.lintConfigFile(configPath);
       try {
-        const configFile = new File(configPath);
-        const baseDir = configFile.getParent();
-        const configText = await configFile.read(true);
-        if (configText === null) throw new Error('Config file not found.');
-        const config = YAML.parse(configText);
-
-        const decompFile = baseDir.getFile(config.decomposition);
-        const transformationText = await decompFile.read(true);
-        if (transformationText === null) throw new Error('Decomposition file not found.');
-        const transformation = parseFudomo(transformationText);
-
-        const RunnerClass = this.getRunnerClass(config);
-
-        const functionRunner = new RunnerClass(baseDir.getPath(), config);
-        const skeletonGen = getSkeletonGenerator(functionRunner.languageId);
-        const validationCriteria = skeletonGen.getFunctionValidationCriteria(transformation);
-        const validationMarkers = await functionRunner.validateFunctions(validationCriteria);
-
-        this.indieLinter.setMessages(decompFile.getPath(), []);
-
-        const messages = [];
-        for (const marker of validationMarkers) {
-          const decomposition = transformation.getDecompositionBySignature(marker.decompositionQualifiedName);
-          if (decomposition) {
-            messages.push({
-              severity: 'error',
-              location: {
-                file: decompFile.getPath(),
-                position: decomposition.characterRange.toArray()
-              },
-              excerpt: marker.error,
-              description: ''
-            });
-          } // TODO else...
+        const config = await loadConfig(configPath);
+        const { file, messages } = await validation.validateFunctions(config);
+        this.indieLinter.setMessages(file, withFileEditSolutions(messages));
+      } catch (error) {
+        showError('Error validating functions', `Error: ${error.message}`);
+        console.dir(error);
+      }
+    }
+  },
+
+  async syncFunctionSkeletons() {
+    const paths = getSelectedFilesWithExtension(this.treeView, CONFIG_FILE_EXTENSION);
+
+    for (const configPath of paths) {
+      await this.lintConfigFile(configPath);
+      try {
+        const config = await loadConfig(configPath);
+        const plan = await planSkeletonSync(config);
+        this.indieLinter.setMessages(plan.functionsPath, plan.messages);
+
+        const functionsEditor = atom.workspace.getTextEditors().find(editor => editor.getPath() === plan.functionsPath);
+        if (plan.missing.length > 0 && functionsEditor !== undefined && functionsEditor.isModified()) {
+          showError(`Can not sync function skeletons: "${config.get('functions')}" has unsaved changes.`, 'Save the file and try again.');
+          continue;
+        }
+        if (plan.missing.length > 0) {
+          await new File(plan.functionsPath).write(applySkeletonSync(plan));
         }
-        this.indieLinter.setMessages(decompFile.getPath(), messages);
 
+        const added = plan.missing.map(decomposition => decomposition.function.qualifiedName);
+        let message = added.length > 0 ? `Added function skeletons for ${added.join(', ')} to "${config.get('functions')}".` : `"${config.get('functions')}" already has a function for every decomposition.`;
+        if (plan.messages.length > 0) {
+          message += ` ${plan.messages.length} function(s) need to be updated, see the linter messages and their quick fixes.`;
+        }
+        showSuccess(message, 'Open', () => atom.workspace.open(plan.functionsPath));
       } catch (error) {
-        showError('Error validating functions', `Error: ${error.message}`);
+        if (error instanceof DecompositionSyntaxError) {
+          showDecompositionSyntaxError(error);
+        } else {
+          showError('Error syncing function skeletons', `Error: ${error.message}`);
+        }
         console.dir(error);
       }
     }
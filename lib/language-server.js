@@ -0,0 +1,234 @@
+/* Fudomo language server (Language Server Protocol), usable from any editor with an
+   LSP client. Started by bin/fudomo-language-server.
+
+   The metamodel used to validate a .fudomo file is taken from the nearest .config file
+   that uses the .fudomo file as its decomposition (see findDecompositionMetamodel).
+*/
+const url = require('url');
+const {
+  createConnection, TextDocuments, TextDocumentSyncKind, DiagnosticSeverity, SymbolKind,
+  MarkupKind, CodeActionKind, ResponseError, ErrorCodes
+} = require('vscode-languageserver/node');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const { FudomoDocument, RenameError } = require('./core/language-service.js');
+const { findDecompositionMetamodel } = require('./core/metamodel.js');
+const { makeMessage } = require('./core/validation.js');
+
+const SEVERITIES = {
+  error: DiagnosticSeverity.Error,
+  warning: DiagnosticSeverity.Warning,
+  info: DiagnosticSeverity.Information
+};
+
+function toLspPosition(position) {
+  return { line: position[0], character: position[1] };
+}
+
+function toLspRange(range) {
+  return { start: toLspPosition(range[0]), end: toLspPosition(range[1]) };
+}
+
+function fromLspPosition(position) {
+  return [position.line, position.character];
+}
+
+function uriToPath(uri) {
+  return url.fileURLToPath(uri);
+}
+
+function pathToUri(filePath) {
+  return url.pathToFileURL(filePath).href;
+}
+
+function rangesOverlap(a, b) {
+  const before = (p, q) => p[0] < q[0] || (p[0] === q[0] && p[1] <= q[1]);
+  return before(a[0], b[1]) && before(b[0], a[1]);
+}
+
+function messageToDiagnostic(message) {
+  const diagnostic = {
+    severity: SEVERITIES[message.severity] || DiagnosticSeverity.Error,
+    range: toLspRange(message.location.position),
+    message: message.excerpt,
+    source: 'fudomo'
+  };
+  if (message.description) {
+    diagnostic.message += ` (${message.description})`;
+  }
+  return diagnostic;
+}
+
+// The quick fix of a solution (see core/quick-fixes.js) of the message as a code action.
+function solutionToCodeAction(uri, message, solution) {
+  const edit = solution.edit !== undefined
+    ? { changes: { [pathToUri(solution.edit.file)]: [{ range: toLspRange(solution.edit.range), newText: solution.edit.replaceWith }] } }
+    : { changes: { [uri]: [{ range: toLspRange(solution.position), newText: solution.replaceWith }] } };
+  return { title: solution.title, kind: CodeActionKind.QuickFix, diagnostics: [messageToDiagnostic(message)], edit: edit };
+}
+
+function symbolToDocumentSymbol(symbol, kind) {
+  const documentSymbol = {
+    name: symbol.name,
+    kind: kind,
+    range: toLspRange(symbol.range),
+    selectionRange: toLspRange(symbol.selectionRange)
+  };
+  if (symbol.detail) documentSymbol.detail = symbol.detail;
+  if (symbol.children) {
+    documentSymbol.children = symbol.children.map(child => symbolToDocumentSymbol(child, SymbolKind.Function));
+  }
+  return documentSymbol;
+}
+
+// Runs handler and turns a RenameError into a response error, so the client can show its message.
+function handleRenameErrors(handler) {
+  try {
+    return handler();
+  } catch (error) {
+    if (error instanceof RenameError) {
+      return new ResponseError(ErrorCodes.InvalidRequest, error.message);
+    }
+    throw error;
+  }
+}
+
+class FudomoLanguageServer {
+  constructor(connection) {
+    this.connection = connection;
+    this.documents = new TextDocuments(TextDocument);
+    this.parsedDocuments = new Map(); // key is uri, value is { version, document }
+    this.metamodels = new Map(); // key is uri, value is promise of the metamodel (or null)
+
+    this.documents.onDidChangeContent(event => this.validate(event.document));
+    this.documents.onDidClose(event => {
+      this.parsedDocuments.delete(event.document.uri);
+      this.metamodels.delete(event.document.uri);
+      this.connection.sendDiagnostics({ uri: event.document.uri, diagnostics: [] });
+    });
+
+    connection.onInitialize(() => ({
+      capabilities: {
+        textDocumentSync: TextDocumentSyncKind.Incremental,
+        definitionProvider: true,
+        referencesProvider: true,
+        hoverProvider: true,
+        documentSymbolProvider: true,
+        renameProvider: { prepareProvider: true },
+        codeActionProvider: { codeActionKinds: [CodeActionKind.QuickFix] }
+      }
+    }));
+    connection.onDidChangeWatchedFiles(() => {
+      // A config or metamodel may have changed
+      this.metamodels.clear();
+      for (const textDocument of this.documents.all()) {
+        this.validate(textDocument);
+      }
+    });
+    connection.onDefinition(params => this.withDocument(params, (document, position) =>
+      document.findDefinitions(position).map(range => ({ uri: params.textDocument.uri, range: toLspRange(range) }))));
+    connection.onReferences(params => this.withDocument(params, (document, position) =>
+      document.findReferences(position, params.context.includeDeclaration).map(range => ({ uri: params.textDocument.uri, range: toLspRange(range) }))));
+    connection.onHover(params => this.withDocument(params, (document, position) => {
+      const hover = document.getHover(position);
+      if (hover === null) return null;
+      return { contents: { kind: MarkupKind.Markdown, value: hover.contents }, range: toLspRange(hover.range) };
+    }));
+    connection.onDocumentSymbol(params => this.withDocument(params, document =>
+      document.getSymbols().map(symbol => symbolToDocumentSymbol(symbol, SymbolKind.Class))));
+    connection.onPrepareRename(params => this.withDocument(params, (document, position) =>
+      handleRenameErrors(() => toLspRange(document.prepareRename(position)))));
+    connection.onRenameRequest(params => this.withDocument(params, (document, position) =>
+      handleRenameErrors(() => {
+        const edits = document.getRenameEdits(position, params.newName).map(edit => ({ range: toLspRange(edit.range), newText: edit.newText }));
+        return { changes: { [params.textDocument.uri]: edits } };
+      })));
+    connection.onCodeAction(params => this.withDocument(params, document => this.getCodeActions(params, document)));
+
+    this.documents.listen(connection);
+  }
+
+  listen() {
+    this.connection.listen();
+  }
+
+  // Returns the parsed FudomoDocument for the open text document, parsing it only once per version.
+  getDocument(textDocument) {
+    const cached = this.parsedDocuments.get(textDocument.uri);
+    if (cached !== undefined && cached.version === textDocument.version) {
+      return cached.document;
+    }
+    const document = new FudomoDocument(uriToPath(textDocument.uri), textDocument.getText());
+    this.parsedDocuments.set(textDocument.uri, { version: textDocument.version, document: document });
+    return document;
+  }
+
+  // Calls handler with the document and position of a request, or returns null if the document is not open.
+  withDocument(params, handler) {
+    const textDocument = this.documents.get(params.textDocument.uri);
+    if (textDocument === undefined) return null;
+    const position = params.position !== undefined ? fromLspPosition(params.position) : null;
+    return handler(this.getDocument(textDocument), position);
+  }
+
+  // Resolves to the metamodel for the document, or null.
+  getMetamodel(uri) {
+    let metamodel = this.metamodels.get(uri);
+    if (metamodel === undefined) {
+      metamodel = findDecompositionMetamodel(uriToPath(uri));
+      this.metamodels.set(uri, metamodel);
+    }
+    return metamodel;
+  }
+
+  // Resolves to the quick fixes of the diagnostics in the range of the request.
+  async getCodeActions(params, document) {
+    let metamodel = null;
+    try {
+      metamodel = await this.getMetamodel(params.textDocument.uri);
+    } catch (error) {
+      return []; // Reported by validate
+    }
+    const range = [fromLspPosition(params.range.start), fromLspPosition(params.range.end)];
+    const actions = new Map(); // key is title and edit, as several diagnostics can have the same fix
+    for (const message of document.getDiagnostics(metamodel)) {
+      if (message.solutions === undefined || !rangesOverlap(message.location.position, range)) continue;
+      for (const solution of message.solutions) {
+        const action = solutionToCodeAction(params.textDocument.uri, message, solution);
+        const key = action.title + JSON.stringify(action.edit);
+        if (!actions.has(key)) actions.set(key, action);
+      }
+    }
+    return Array.from(actions.values());
+  }
+
+  async validate(textDocument) {
+    const version = textDocument.version;
+    const document = this.getDocument(textDocument);
+
+    let metamodel = null;
+    const messages = [];
+    try {
+      metamodel = await this.getMetamodel(textDocument.uri);
+    } catch (error) {
+      messages.push(makeMessage(document.filePath, [[0, 0], [0, 0]], `Metamodel could not be loaded: ${error.message}`, '', 'warning'));
+    }
+
+    const current = this.documents.get(textDocument.uri);
+    if (current === undefined || current.version !== version) return; // Outdated
+
+    const diagnostics = messages.concat(document.getDiagnostics(metamodel)).map(messageToDiagnostic);
+    this.connection.sendDiagnostics({ uri: textDocument.uri, diagnostics: diagnostics });
+  }
+}
+
+// Starts the server. Without arguments, the connection is chosen by the command line (eg. --stdio).
+function startLanguageServer(connection = createConnection()) {
+  const server = new FudomoLanguageServer(connection);
+  server.listen();
+  return server;
+}
+
+module.exports = {
+  FudomoLanguageServer: FudomoLanguageServer,
+  startLanguageServer: startLanguageServer
+};
@@ -0,0 +1,126 @@
+'use babel';
+
+import { CompositeDisposable, Emitter, File } from 'atom'
+import path from 'path'
+import YAML from 'yaml'
+
+import { createMetamodelDiagram } from './core/metamodel-diagram'
+import { nodeRange } from './core/config-schema'
+import { openSourceLocation } from './source-links'
+import { createElement } from './view-helpers'
+
+export const METAMODEL_DIAGRAM_URI_PREFIX = 'atom://language-fudomo/metamodel-diagram/';
+
+/* Pane item showing a metamodel file as a class diagram, which is updated when the file is
+   saved. Clicking a type opens its definition in the metamodel file.
+*/
+export default class MetamodelDiagramView {
+  constructor(metamodelPath) {
+    this.metamodelPath = metamodelPath;
+    this.emitter = new Emitter();
+    this.subscriptions = new CompositeDisposable();
+    this.text = null;
+    this.svg = null;
+    this.error = null;
+
+    this.element = createElement('div', 'fudomo-metamodel-diagram native-key-bindings');
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement('div', 'fudomo-preview-toolbar btn-toolbar');
+    this.exportButton = createElement('button', 'btn icon icon-file-media', 'Export SVG');
+    this.exportButton.onclick = () => this.exportSVG();
+    this.statusElement = createElement('span', 'fudomo-preview-status text-subtle');
+    toolbar.append(this.exportButton, this.statusElement);
+
+    this.errorElement = createElement('div', 'fudomo-preview-error');
+    this.diagramElement = createElement('div', 'fudomo-metamodel-diagram-content');
+    this.diagramElement.onclick = event => this.handleClick(event);
+
+    this.element.append(toolbar, this.errorElement, this.diagramElement);
+
+    this.file = new File(metamodelPath);
+    this.subscriptions.add(this.file.onDidChange(() => this.refresh()));
+    this.subscriptions.add(this.file.onDidRename(() => this.emitter.emit('did-change-title')));
+    this.render();
+    this.refresh();
+  }
+
+  getTitle() {
+    return `Metamodel Diagram: ${path.basename(this.metamodelPath)}`;
+  }
+
+  getIconName() {
+    return 'type-hierarchy';
+  }
+
+  getURI() {
+    return METAMODEL_DIAGRAM_URI_PREFIX + encodeURIComponent(this.metamodelPath);
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidChangeTitle(callback) {
+    return this.emitter.on('did-change-title', callback);
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+    this.element.remove();
+  }
+
+  async refresh() {
+    try {
+      const text = await this.file.read(true);
+      if (text === null) throw new Error(`Metamodel file ${path.basename(this.metamodelPath)} not found.`);
+      this.svg = createMetamodelDiagram(YAML.parse(text));
+      this.text = text;
+      this.error = null;
+    } catch (error) {
+      this.error = error; // The previous diagram stays visible
+    }
+    this.render();
+  }
+
+  // Opens the diagram as SVG in an editor for a (not yet saved) file next to the metamodel file.
+  async exportSVG() {
+    if (this.svg === null) return;
+    const svgPath = path.join(path.dirname(this.metamodelPath), path.basename(this.metamodelPath, path.extname(this.metamodelPath)) + '.svg');
+    const editor = await atom.workspace.open(svgPath);
+    editor.setText(this.svg);
+  }
+
+  handleClick(event) {
+    const typeElement = event.target.closest('[data-type]');
+    if (typeElement === null || this.text === null) return;
+    const doc = YAML.parseDocument(this.text);
+    const pair = doc.contents && doc.contents.items ? doc.contents.items.find(item => item.key && item.key.value === typeElement.dataset.type) : undefined;
+    if (pair !== undefined) {
+      openSourceLocation(this.metamodelPath, nodeRange(this.text, pair.key));
+    }
+  }
+
+  render() {
+    this.exportButton.disabled = this.svg === null;
+    this.statusElement.textContent = this.error === null && this.svg !== null ? `Updated at ${new Date().toLocaleTimeString()}` : '';
+
+    this.errorElement.textContent = '';
+    this.errorElement.style.display = this.error !== null ? '' : 'none';
+    if (this.error !== null) {
+      this.errorElement.append(
+        createElement('div', 'fudomo-preview-error-heading text-error', 'Error reading metamodel'),
+        createElement('pre', null, this.error.message)
+      );
+    }
+
+    this.diagramElement.classList.toggle('fudomo-preview-stale', this.error !== null);
+    this.diagramElement.innerHTML = this.svg !== null ? this.svg : ''; // createMetamodelDiagram escapes all names
+  }
+}
@@ -0,0 +1,132 @@
+'use babel';
+
+import { Emitter, File } from 'atom'
+import path from 'path'
+
+import { diffLines } from './core/diff'
+import { writeFileAtomically } from './core/outputs'
+import { createElement, createLocationLink, renderDiff } from './view-helpers'
+
+/* Pane item for reviewing the changes of "Update Metamodel from Data" (the result of
+   mergeMetamodelText) before they are written. The changes resolving conflicts are only
+   written if they are included explicitly.
+*/
+export default class MetamodelUpdateView {
+  constructor(metamodelPath, dataPaths, existingText, merge) {
+    this.metamodelPath = metamodelPath;
+    this.existingText = existingText;
+    this.merge = merge;
+    this.emitter = new Emitter();
+
+    this.element = createElement('div', 'fudomo-metamodel-update native-key-bindings');
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement('div', 'fudomo-preview-toolbar btn-toolbar');
+    const writeButton = createElement('button', 'btn btn-primary icon icon-check', 'Write Metamodel');
+    writeButton.onclick = () => this.write();
+    const cancelButton = createElement('button', 'btn icon icon-x', 'Cancel');
+    cancelButton.onclick = () => this.close();
+    toolbar.append(writeButton, cancelButton);
+
+    const dataNames = dataPaths.map(dataPath => path.basename(dataPath)).join(', ');
+    const summary = createElement('div', 'fudomo-metamodel-update-summary');
+    const additions = merge.additions.map(addition => addition.feature !== null ? `${addition.type}.${addition.feature}` : addition.type);
+    summary.append(createElement('div', null, additions.length > 0
+      ? `Adds ${additions.join(', ')} from ${dataNames}.`
+      : 'The data has no new types or features.'));
+
+    this.includeConflictsCheckbox = null;
+    if (merge.conflicts.length > 0) {
+      const conflictList = createElement('ul', 'fudomo-metamodel-update-conflicts');
+      for (const conflict of merge.conflicts) {
+        const item = createElement('li', 'icon icon-alert text-warning');
+        item.append(createLocationLink(metamodelPath, conflict.position), ' ', createElement('span', null, conflict.message));
+        if (!conflict.resolvable) {
+          item.append(createElement('span', 'text-subtle', ' The metamodel has to be changed by hand.'));
+        }
+        conflictList.append(item);
+      }
+      summary.append(createElement('div', 'text-warning', 'The data contradicts the metamodel:'), conflictList);
+
+      if (merge.text !== merge.additionsText) {
+        const label = createElement('label', 'input-label');
+        this.includeConflictsCheckbox = createElement('input', 'input-checkbox');
+        this.includeConflictsCheckbox.type = 'checkbox';
+        this.includeConflictsCheckbox.onchange = () => this.renderDiff();
+        label.append(this.includeConflictsCheckbox, ' Extend the declared types to resolve the conflicts');
+        summary.append(label);
+      }
+    }
+
+    this.diffElement = createElement('pre', 'fudomo-preview-content');
+    this.element.append(toolbar, summary, this.diffElement);
+    this.renderDiff();
+  }
+
+  getTitle() {
+    return `Update ${path.basename(this.metamodelPath)}`;
+  }
+
+  getIconName() {
+    return 'diff';
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  destroy() {
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+    this.element.remove();
+  }
+
+  get includeConflicts() {
+    return this.includeConflictsCheckbox !== null && this.includeConflictsCheckbox.checked;
+  }
+
+  get newText() {
+    return this.includeConflicts ? this.merge.text : this.merge.additionsText;
+  }
+
+  renderDiff() {
+    this.diffElement.textContent = '';
+    renderDiff(this.diffElement, diffLines(this.existingText, this.newText));
+  }
+
+  close() {
+    const pane = atom.workspace.paneForItem(this);
+    if (pane) {
+      pane.destroyItem(this);
+    } else {
+      this.destroy();
+    }
+  }
+
+  async write() {
+    const metamodelName = path.basename(this.metamodelPath);
+    const editor = atom.workspace.getTextEditors().find(editor => editor.getPath() === this.metamodelPath);
+    if (editor !== undefined && editor.isModified()) {
+      atom.notifications.addError(`"${metamodelName}" has unsaved changes`, { detail: 'Save the metamodel and update it again.', dismissable: true });
+      return;
+    }
+    try {
+      if (await new File(this.metamodelPath).read(true) !== this.existingText) {
+        atom.notifications.addError(`"${metamodelName}" was changed in the meantime`, { detail: 'Update the metamodel again to review the changes.', dismissable: true });
+        return;
+      }
+      await writeFileAtomically(this.metamodelPath, this.newText);
+    } catch (error) {
+      atom.notifications.addError(`Could not write "${metamodelName}"`, { detail: error.message, dismissable: true });
+      return;
+    }
+    atom.notifications.addSuccess(`Metamodel "${metamodelName}" updated.`, {
+      buttons: [{ text: 'Open', onDidClick: () => atom.workspace.open(this.metamodelPath) }]
+    });
+    this.close();
+  }
+}
@@ -0,0 +1,341 @@
+'use babel';
+
+import { CompositeDisposable, Emitter } from 'atom'
+import path from 'path'
+
+import { readTextFile } from './core/config'
+import { METAMODEL_FILE_NAME, DATA_TEXT_EXTENSIONS, loadModelText } from './core/metamodel'
+import { findNearestConfigReferencing } from './core/dependencies'
+import { hasSyntaxError } from './core/pipeline'
+import { parseFudomoText } from './core/inline-functions'
+import { describeModel, formatObjectName, getApplicableDecompositions } from './core/model-browser'
+import { formatValue } from './core/trace'
+import { openSourceLocation } from './source-links'
+import { createElement, createLocationLink } from './view-helpers'
+
+export const MODEL_URI = 'atom://language-fudomo/model';
+
+function isDataEditor(editor) {
+  const editorPath = editor ? editor.getPath() : null;
+  return Boolean(editorPath) && DATA_TEXT_EXTENSIONS.some(ext => editorPath.endsWith('.' + ext)) && path.basename(editorPath) !== METAMODEL_FILE_NAME;
+}
+
+function createSourceLink(text, filePath, range, className) {
+  const link = createElement('a', className, text);
+  link.href = '#';
+  link.onclick = event => {
+    event.stopPropagation(); // Do not toggle the tree item
+    openSourceLocation(filePath, range);
+  };
+  return link;
+}
+
+/* Dock item showing the object model of the data file in the active editor (or the last
+   active one): its objects grouped by type, with their attributes and references, and the
+   decompositions of the transformation using the data that apply to the selected object.
+   The model is loaded from the text of the editor whenever it stops changing.
+*/
+export default class ModelView {
+  constructor() {
+    this.emitter = new Emitter();
+    this.subscriptions = new CompositeDisposable();
+    this.editorSubscriptions = null;
+    this.editor = null;
+    this.model = null; // see describeModel
+    this.error = null;
+    this.transformation = null; // { decompositionPath, transformation } of the config using the data, or { message }
+    this.expanded = new Set(); // names of expanded types and objects (see formatObjectName)
+    this.selectedName = null;
+    this.refreshCount = 0;
+
+    this.element = createElement('div', 'fudomo-model native-key-bindings');
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement('div', 'fudomo-preview-toolbar btn-toolbar');
+    this.statusElement = createElement('span', 'fudomo-preview-status text-subtle');
+    toolbar.append(this.statusElement);
+
+    this.errorElement = createElement('div', 'fudomo-preview-error');
+    this.treeElement = createElement('ul', 'fudomo-model-tree list-tree has-collapsable-children');
+    this.detailsElement = createElement('div', 'fudomo-model-details');
+
+    this.element.append(toolbar, this.errorElement, this.treeElement, this.detailsElement);
+    this.subscriptions.add(atom.workspace.observeActiveTextEditor(editor => {
+      if (isDataEditor(editor)) this.setEditor(editor);
+    }));
+    this.render();
+  }
+
+  getTitle() {
+    return 'Fudomo Model';
+  }
+
+  getIconName() {
+    return 'list-unordered';
+  }
+
+  getURI() {
+    return MODEL_URI;
+  }
+
+  getDefaultLocation() {
+    return 'right';
+  }
+
+  getAllowedLocations() {
+    return ['left', 'right', 'bottom'];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+    if (this.editorSubscriptions !== null) this.editorSubscriptions.dispose();
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+    this.element.remove();
+  }
+
+  setEditor(editor) {
+    if (editor === this.editor) return;
+    if (this.editorSubscriptions !== null) this.editorSubscriptions.dispose();
+    this.editor = editor;
+    this.model = null;
+    this.transformation = null;
+    this.selectedName = null;
+    this.expanded.clear();
+    this.editorSubscriptions = new CompositeDisposable(
+      editor.onDidStopChanging(() => this.refresh()),
+      editor.onDidDestroy(() => {
+        this.editorSubscriptions.dispose();
+        this.editorSubscriptions = null;
+        this.editor = null;
+        this.model = null;
+        this.error = null;
+        this.render();
+      })
+    );
+    this.refresh();
+  }
+
+  get dataPath() {
+    return this.editor !== null ? this.editor.getPath() : null;
+  }
+
+  async refresh() {
+    if (this.editor === null) return;
+    const refreshCount = ++this.refreshCount;
+    const dataPath = this.dataPath;
+    try {
+      this.model = describeModel(loadModelText(dataPath, this.editor.getText()));
+      this.error = null;
+    } catch (error) {
+      this.error = error; // The model of the last valid text is still shown
+    }
+    this.render();
+
+    const transformation = await this.loadTransformation(dataPath);
+    if (refreshCount !== this.refreshCount) return; // A newer refresh was started in the meantime
+    this.transformation = transformation;
+    this.renderDetails();
+  }
+
+  // Resolves to the transformation of the nearest config using the data file (see this.transformation).
+  async loadTransformation(dataPath) {
+    try {
+      const projectPath = atom.project.relativizePath(dataPath)[0];
+      const config = await findNearestConfigReferencing(dataPath, 'data', config => config.has('decomposition'), projectPath);
+      if (config === null) {
+        return { message: `No .config file uses "${path.basename(dataPath)}" as data.` };
+      }
+      const decompositionPath = config.resolvePath('decomposition');
+      const transformation = parseFudomoText(await readTextFile(decompositionPath, 'Decomposition file not found.'), decompositionPath);
+      if (hasSyntaxError(transformation)) {
+        return { message: `"${config.get('decomposition')}" has syntax errors.` };
+      }
+      return { decompositionPath: decompositionPath, transformation: transformation };
+    } catch (error) {
+      return { message: error.message };
+    }
+  }
+
+  findObject(name) {
+    return this.model !== null ? this.model.objects.find(object => formatObjectName(object) === name) || null : null;
+  }
+
+  // Selects the object, expanding and scrolling to its item in the tree.
+  selectObject(object) {
+    this.selectedName = formatObjectName(object);
+    this.expanded.add(object.type);
+    this.expanded.add(this.selectedName);
+    this.render();
+    const item = this.treeElement.querySelector('.fudomo-model-object.selected');
+    if (item !== null) item.scrollIntoView({ block: 'nearest' });
+  }
+
+  renderStatus() {
+    if (this.editor === null) {
+      this.statusElement.textContent = 'Open an OYAML data file to browse its objects.';
+    } else {
+      const objectCount = this.model !== null ? `${this.model.objects.length} objects` : 'no objects';
+      this.statusElement.textContent = `${path.basename(this.dataPath)}: ${objectCount}`;
+    }
+  }
+
+  render() {
+    this.renderStatus();
+
+    this.errorElement.textContent = '';
+    this.errorElement.style.display = this.error !== null ? '' : 'none';
+    if (this.error !== null) {
+      this.errorElement.append(createElement('div', 'fudomo-preview-error-heading text-error', 'The data file has errors'));
+      for (const marker of this.error.markers || [{ location: null, message: this.error.message }]) {
+        const entry = createElement('div', 'fudomo-preview-error-entry');
+        entry.append(createLocationLink(this.dataPath, marker.location), createElement('pre', null, marker.message));
+        this.errorElement.append(entry);
+      }
+    }
+
+    this.treeElement.textContent = '';
+    if (this.editor !== null && this.model !== null) {
+      for (const { type, objects } of this.model.types) {
+        this.treeElement.append(this.createTypeElement(type, objects));
+      }
+    }
+    this.renderDetails();
+  }
+
+  createNestedItem(name, className, header, createChildren) {
+    const item = createElement('li', `list-nested-item ${className}`);
+    const headerElement = createElement('div', 'list-item');
+    headerElement.append(header);
+    item.append(headerElement);
+
+    let children = null;
+    const setExpanded = value => {
+      item.classList.toggle('collapsed', !value);
+      if (value) {
+        this.expanded.add(name);
+      } else {
+        this.expanded.delete(name);
+      }
+      if (value && children === null) {
+        children = createElement('ul', 'list-tree');
+        children.append(...createChildren());
+        item.append(children);
+      }
+    };
+    headerElement.onclick = () => setExpanded(item.classList.contains('collapsed'));
+    setExpanded(this.expanded.has(name));
+    return { item: item, header: headerElement };
+  }
+
+  createTypeElement(type, objects) {
+    const header = createElement('span', 'icon icon-package');
+    header.append(createElement('span', 'fudomo-model-type', type), createElement('span', 'text-subtle', ` (${objects.length})`));
+    return this.createNestedItem(type, 'fudomo-model-type-item', header, () => objects.map(object => this.createObjectElement(object))).item;
+  }
+
+  // The children of objects are only created when they are expanded, as models can contain many objects.
+  createObjectElement(object) {
+    const name = formatObjectName(object);
+    const header = createElement('span', 'icon icon-primitive-dot');
+    if (object.range !== null) {
+      // Unlike other source links, the link also selects the object
+      const link = createElement('a', 'fudomo-model-object-name', name);
+      link.href = '#';
+      link.onclick = () => openSourceLocation(this.dataPath, object.range);
+      header.append(link);
+    } else {
+      header.append(createElement('span', 'fudomo-model-object-name', name));
+    }
+
+    const { item, header: headerElement } = this.createNestedItem(name, 'fudomo-model-object', header, () => this.createFeatureElements(object));
+    item.classList.toggle('selected', name === this.selectedName);
+    headerElement.addEventListener('click', () => {
+      this.selectedName = name;
+      for (const selected of this.treeElement.querySelectorAll('.fudomo-model-object.selected')) {
+        selected.classList.remove('selected');
+      }
+      item.classList.add('selected');
+      this.renderDetails();
+    });
+    return item;
+  }
+
+  createObjectLink(object) {
+    const link = createElement('a', 'fudomo-model-object-link', formatObjectName(object));
+    link.href = '#';
+    link.onclick = event => {
+      event.stopPropagation();
+      this.selectObject(object);
+    };
+    return link;
+  }
+
+  createFeatureElements(object) {
+    const elements = [];
+    for (const attribute of object.attributes) {
+      const element = createElement('li', 'list-item fudomo-model-attribute');
+      const value = createElement('span', 'text-subtle', ` = ${formatValue(attribute.value)}`);
+      value.title = JSON.stringify(attribute.value, null, 2);
+      element.append(attribute.range !== null ? createSourceLink(attribute.name, this.dataPath, attribute.range, 'fudomo-model-feature-name') : createElement('span', 'fudomo-model-feature-name', attribute.name), value);
+      elements.push(element);
+    }
+    for (const reference of object.references) {
+      const element = createElement('li', 'list-item fudomo-model-reference');
+      element.append(createElement('span', 'fudomo-model-feature-name', reference.name), ' → ');
+      if (reference.error !== null) {
+        element.append(createElement('span', 'text-error', reference.error));
+      }
+      reference.targets.forEach((target, index) => {
+        if (index > 0) element.append(', ');
+        element.append(this.createObjectLink(target));
+      });
+      elements.push(element);
+    }
+    for (const { name, source } of object.referencedBy) {
+      const element = createElement('li', 'list-item fudomo-model-reference text-subtle');
+      element.append('← ', this.createObjectLink(source), `.${name}`);
+      elements.push(element);
+    }
+    if (object.container !== null) {
+      const element = createElement('li', 'list-item fudomo-model-reference text-subtle');
+      element.append('contained in ', this.createObjectLink(object.container));
+      elements.push(element);
+    }
+    return elements;
+  }
+
+  // Shows the decompositions that apply to the selected object.
+  renderDetails() {
+    this.detailsElement.textContent = '';
+    const object = this.findObject(this.selectedName);
+    if (object === null) return;
+
+    this.detailsElement.append(createElement('div', 'fudomo-model-details-heading', `Decompositions for ${formatObjectName(object)}`));
+    if (this.transformation === null) {
+      this.detailsElement.append(createElement('div', 'text-subtle', 'Looking up the transformation...'));
+    } else if (this.transformation.message !== undefined) {
+      this.detailsElement.append(createElement('div', 'text-subtle', this.transformation.message));
+    } else {
+      const decompositions = getApplicableDecompositions(this.transformation.transformation, object.type);
+      if (decompositions.length === 0) {
+        this.detailsElement.append(createElement('div', 'text-subtle', `No decomposition of "${path.basename(this.transformation.decompositionPath)}" applies to ${object.type}.`));
+      }
+      const list = createElement('ul', 'list-group');
+      for (const decomposition of decompositions) {
+        const entry = createElement('li', 'list-item');
+        entry.append(createSourceLink(decomposition.qualifiedName, this.transformation.decompositionPath, decomposition.range, 'fudomo-model-decomposition'));
+        list.append(entry);
+      }
+      this.detailsElement.append(list);
+    }
+  }
+}
@@ -0,0 +1,207 @@
+'use babel';
+
+import { Emitter } from 'atom'
+import path from 'path'
+
+import { loadConfig } from './core/config'
+import { Phase, PhaseError, runTransformation } from './core/pipeline'
+import { CancellationToken } from './core/cancellation'
+import { diffLines, isUnchanged } from './core/diff'
+import { isOutputMapping } from './core/outputs'
+import { createElement, renderDiff, renderTransformError } from './view-helpers'
+
+export const PREVIEW_URI_PREFIX = 'atom://language-fudomo/preview/';
+
+function resultToString(result) {
+  if (isOutputMapping(result)) {
+    // Several output files, shown one after the other
+    return Object.keys(result).map(outputPath => `──── ${outputPath} ────\n${result[outputPath]}`).join('\n');
+  }
+  return typeof result === 'string' ? result : String(result);
+}
+
+/* Dock item showing the result of the transformation of a .config file. The result is
+   not written to the output file. Errors are shown in the pane instead of as notifications.
+*/
+export default class PreviewView {
+  constructor(configPath, runnerPool) {
+    this.configPath = configPath;
+    this.runnerPool = runnerPool;
+    this.emitter = new Emitter();
+    this.result = null;
+    this.previousResult = null;
+    this.error = null;
+    this.consoleLines = [];
+    this.mode = 'result'; // or 'diff'
+    this.running = false;
+    this.cancellationToken = null;
+
+    this.element = createElement('div', 'fudomo-preview native-key-bindings');
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement('div', 'fudomo-preview-toolbar btn-toolbar');
+    const modeGroup = createElement('div', 'btn-group');
+    this.resultButton = createElement('button', 'btn', 'Result');
+    this.resultButton.onclick = () => this.setMode('result');
+    this.diffButton = createElement('button', 'btn', 'Changes');
+    this.diffButton.onclick = () => this.setMode('diff');
+    modeGroup.append(this.resultButton, this.diffButton);
+    const refreshButton = createElement('button', 'btn icon icon-sync', 'Refresh');
+    refreshButton.onclick = () => this.refresh();
+    this.statusElement = createElement('span', 'fudomo-preview-status text-subtle');
+    toolbar.append(modeGroup, refreshButton, this.statusElement);
+
+    this.errorElement = createElement('div', 'fudomo-preview-error');
+    this.contentElement = createElement('pre', 'fudomo-preview-content');
+    this.consoleElement = createElement('pre', 'fudomo-preview-console');
+
+    this.element.append(toolbar, this.errorElement, this.contentElement, this.consoleElement);
+    this.render();
+    this.refresh();
+  }
+
+  getTitle() {
+    return `Fudomo Preview: ${path.basename(this.configPath)}`;
+  }
+
+  getIconName() {
+    return 'eye';
+  }
+
+  getURI() {
+    return PREVIEW_URI_PREFIX + encodeURIComponent(this.configPath);
+  }
+
+  getDefaultLocation() {
+    return 'right';
+  }
+
+  getAllowedLocations() {
+    return ['left', 'right', 'bottom', 'center'];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  destroy() {
+    if (this.cancellationToken !== null) this.cancellationToken.cancel();
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+    this.element.remove();
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.render();
+  }
+
+  async refresh() {
+    // Only the result of the latest run is shown
+    if (this.cancellationToken !== null) this.cancellationToken.cancel();
+    const cancellationToken = new CancellationToken();
+    this.cancellationToken = cancellationToken;
+    this.running = true;
+    this.renderStatus();
+
+    const consoleLines = [];
+    const consoleHandler = {
+      log: (...args) => consoleLines.push({ kind: 'log', text: args.join(' ') }),
+      error: (...args) => consoleLines.push({ kind: 'error', text: args.join(' ') })
+    };
+
+    let result = null;
+    let error = null;
+    try {
+      let config = null;
+      try {
+        config = await loadConfig(this.configPath);
+      } catch (configError) {
+        throw new PhaseError(new Phase('reading config file', this.configPath), configError);
+      }
+      result = resultToString((await runTransformation(config, {
+        consoleHandler: consoleHandler,
+        writeOutput: false,
+        cancellationToken: cancellationToken,
+        runnerPool: this.runnerPool
+      })).result);
+    } catch (runError) {
+      error = runError;
+    }
+
+    if (cancellationToken.isCancelled) return; // A newer run was started in the meantime, or the view was destroyed
+
+    this.running = false;
+    this.lastRunDate = new Date();
+    this.consoleLines = consoleLines;
+    this.error = error;
+    if (error === null) {
+      if (this.result !== null) {
+        this.previousResult = this.result;
+      }
+      this.result = result;
+    }
+    this.render();
+  }
+
+  renderStatus() {
+    if (this.running) {
+      this.statusElement.textContent = 'Running transformation...';
+    } else if (this.lastRunDate) {
+      const outcome = this.error === null ? 'Transformed' : 'Failed';
+      this.statusElement.textContent = `${outcome} at ${this.lastRunDate.toLocaleTimeString()}`;
+    } else {
+      this.statusElement.textContent = '';
+    }
+  }
+
+  render() {
+    this.resultButton.classList.toggle('selected', this.mode === 'result');
+    this.diffButton.classList.toggle('selected', this.mode === 'diff');
+    this.renderStatus();
+    this.renderError();
+    this.renderContent();
+    this.renderConsole();
+  }
+
+  renderContent() {
+    this.contentElement.textContent = '';
+    this.contentElement.classList.toggle('fudomo-preview-stale', this.error !== null);
+    if (this.result === null) return;
+
+    if (this.mode === 'result') {
+      this.contentElement.textContent = this.result;
+      return;
+    }
+
+    if (this.previousResult === null) {
+      this.contentElement.append(createElement('span', 'text-subtle', 'No previous result to compare with.'));
+      return;
+    }
+    const hunks = diffLines(this.previousResult, this.result);
+    if (isUnchanged(hunks)) {
+      this.contentElement.append(createElement('span', 'text-subtle', 'The result did not change since the previous run.'));
+    }
+    renderDiff(this.contentElement, hunks);
+  }
+
+  renderConsole() {
+    this.consoleElement.textContent = '';
+    this.consoleElement.style.display = this.consoleLines.length > 0 ? '' : 'none';
+    for (const line of this.consoleLines) {
+      this.consoleElement.append(createElement('div', line.kind === 'error' ? 'text-error' : null, line.text));
+    }
+  }
+
+  renderError() {
+    this.errorElement.textContent = '';
+    this.errorElement.style.display = this.error !== null ? '' : 'none';
+    if (this.error !== null) {
+      renderTransformError(this.errorElement, this.error, this.configPath);
+    }
+  }
+}
@@ -0,0 +1,96 @@
+'use babel';
+
+import { Emitter } from 'atom'
+import path from 'path'
+
+import { diffLines } from './core/diff'
+import { applyRefactoring } from './core/refactoring'
+import { createElement, createLocationLink, renderDiff } from './view-helpers'
+
+/* Pane item for reviewing the changes of a refactoring (a plan of core/refactoring) before
+   they are written, with the diff of every changed file.
+*/
+export default class RefactoringView {
+  constructor(plan) {
+    this.plan = plan;
+    this.emitter = new Emitter();
+
+    this.element = createElement('div', 'fudomo-refactoring native-key-bindings');
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement('div', 'fudomo-preview-toolbar btn-toolbar');
+    const applyButton = createElement('button', 'btn btn-primary icon icon-check', 'Apply Refactoring');
+    applyButton.onclick = () => this.apply();
+    const cancelButton = createElement('button', 'btn icon icon-x', 'Cancel');
+    cancelButton.onclick = () => this.close();
+    toolbar.append(applyButton, cancelButton);
+
+    const summary = createElement('div', 'fudomo-refactoring-summary');
+    const fileNames = plan.changes.map(change => path.basename(change.file)).join(', ');
+    summary.append(createElement('div', null, `${plan.title}: changes ${fileNames}.`));
+    if (plan.warnings.length > 0) {
+      const warningList = createElement('ul', 'fudomo-refactoring-warnings');
+      for (const warning of plan.warnings) {
+        warningList.append(createElement('li', 'icon icon-alert text-warning', warning));
+      }
+      summary.append(warningList);
+    }
+    this.element.append(toolbar, summary);
+
+    for (const change of plan.changes) {
+      const heading = createElement('div', 'fudomo-refactoring-file');
+      heading.append(createLocationLink(change.file, null));
+      const diffElement = createElement('pre', 'fudomo-preview-content');
+      renderDiff(diffElement, diffLines(change.oldText, change.newText));
+      this.element.append(heading, diffElement);
+    }
+  }
+
+  getTitle() {
+    return this.plan.title;
+  }
+
+  getIconName() {
+    return 'diff';
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  destroy() {
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+    this.element.remove();
+  }
+
+  close() {
+    const pane = atom.workspace.paneForItem(this);
+    if (pane) {
+      pane.destroyItem(this);
+    } else {
+      this.destroy();
+    }
+  }
+
+  async apply() {
+    const files = this.plan.changes.map(change => change.file);
+    const modified = atom.workspace.getTextEditors().find(editor => files.includes(editor.getPath()) && editor.isModified());
+    if (modified !== undefined) {
+      atom.notifications.addError(`"${path.basename(modified.getPath())}" has unsaved changes`, { detail: 'Save the file and refactor again.', dismissable: true });
+      return;
+    }
+    try {
+      await applyRefactoring(this.plan);
+    } catch (error) {
+      atom.notifications.addError('Could not apply the refactoring', { detail: `${error.message}\nRefactor again to review the changes.`, dismissable: true });
+      return;
+    }
+    atom.notifications.addSuccess(`${this.plan.title}: ${files.length} file${files.length === 1 ? '' : 's'} changed.`);
+    this.close();
+  }
+}
@@ -0,0 +1,22 @@
+'use babel';
+
+/* Opens the file at src and selects position ([[startRow, startColumn], [endRow, endColumn]]).
+   options are passed on to atom.workspace.open (eg. { split: 'right' }).
+*/
+export function openSourceLocation(src, position, options = {}) {
+  const editorPromise = atom.workspace.open(src, Object.assign({ initialLine: Number(position[0][0]), initialColumn: Number(position[0][1]) }, options));
+  return editorPromise.then(editor => {
+    editor.setSelectedBufferRange(position);
+    return editor;
+  });
+}
+
+// Makes the links rendered by FudomoComputeException.toHtml() open their source location.
+export function handleExceptionSourceLinks(links) {
+  for (const link of links) {
+    link.onclick = (event) => {
+      const location = JSON.parse(event.srcElement.getAttribute('data-source-loc'));
+      openSourceLocation(location.src, location.pos);
+    };
+  }
+}
@@ -0,0 +1,207 @@
+'use babel';
+
+import { Emitter } from 'atom'
+import path from 'path'
+
+import { loadTestSuite, runTestSuite, acceptTestResult } from './core/golden-tests'
+import { CancellationToken } from './core/cancellation'
+import { createElement, createLocationLink, renderDiff, renderTransformError } from './view-helpers'
+
+export const TESTS_URI_PREFIX = 'atom://language-fudomo/tests/';
+
+const STATUS_ICONS = {
+  passed: 'icon-check text-success',
+  failed: 'icon-x text-error',
+  new: 'icon-diff-added text-warning',
+  error: 'icon-alert text-error'
+};
+
+/* Dock item showing the results of the golden file tests of a .config file (with a "tests"
+   section) or a .fudomo-test file, with the differences between the actual and the
+   expected outputs.
+*/
+export default class TestResultsView {
+  constructor(testFilePath) {
+    this.testFilePath = testFilePath;
+    this.emitter = new Emitter();
+    this.suite = null;
+    this.results = [];
+    this.error = null;
+    this.running = false;
+    this.cancellationToken = null;
+
+    this.element = createElement('div', 'fudomo-tests native-key-bindings');
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement('div', 'fudomo-preview-toolbar btn-toolbar');
+    const runButton = createElement('button', 'btn icon icon-sync', 'Run Again');
+    runButton.onclick = () => this.refresh();
+    this.acceptAllButton = createElement('button', 'btn icon icon-check', 'Accept All');
+    this.acceptAllButton.onclick = () => this.accept(this.results.filter(result => result.status === 'failed' || result.status === 'new'));
+    this.statusElement = createElement('span', 'fudomo-preview-status text-subtle');
+    toolbar.append(runButton, this.acceptAllButton, this.statusElement);
+
+    this.errorElement = createElement('div', 'fudomo-preview-error');
+    this.resultsElement = createElement('div', 'fudomo-tests-results');
+
+    this.element.append(toolbar, this.errorElement, this.resultsElement);
+    this.render();
+    this.refresh();
+  }
+
+  getTitle() {
+    return `Fudomo Tests: ${path.basename(this.testFilePath)}`;
+  }
+
+  getIconName() {
+    return 'beaker';
+  }
+
+  getURI() {
+    return TESTS_URI_PREFIX + encodeURIComponent(this.testFilePath);
+  }
+
+  getDefaultLocation() {
+    return 'bottom';
+  }
+
+  getAllowedLocations() {
+    return ['left', 'right', 'bottom', 'center'];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  destroy() {
+    if (this.cancellationToken !== null) this.cancellationToken.cancel();
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+    this.element.remove();
+  }
+
+  async refresh() {
+    if (this.cancellationToken !== null) this.cancellationToken.cancel();
+    const cancellationToken = new CancellationToken();
+    this.cancellationToken = cancellationToken;
+    this.running = true;
+    this.renderStatus();
+
+    const ignoreOutput = () => {};
+    let suite = null;
+    let results = [];
+    let error = null;
+    try {
+      suite = await loadTestSuite(this.testFilePath);
+      results = await runTestSuite(suite, {
+        consoleHandler: { log: ignoreOutput, error: ignoreOutput },
+        cancellationToken: cancellationToken
+      });
+    } catch (runError) {
+      error = runError;
+    }
+
+    if (cancellationToken.isCancelled) return; // A newer run was started in the meantime, or the view was destroyed
+
+    this.running = false;
+    this.lastRunDate = new Date();
+    this.suite = suite;
+    this.results = results;
+    this.error = error;
+    this.render();
+  }
+
+  // Makes the actual outputs of the test results the expected outputs, and runs the tests again.
+  async accept(results) {
+    try {
+      for (const result of results) {
+        await acceptTestResult(result);
+      }
+    } catch (error) {
+      atom.notifications.addError('Could not write the expected output', { detail: error.message, dismissable: true });
+    }
+    await this.refresh();
+  }
+
+  renderStatus() {
+    this.acceptAllButton.disabled = this.running || !this.results.some(result => result.status === 'failed' || result.status === 'new');
+    if (this.running) {
+      this.statusElement.textContent = 'Running tests...';
+    } else if (this.lastRunDate) {
+      const count = status => this.results.filter(result => result.status === status).length;
+      const counts = [`${count('passed')} passed`, `${count('failed')} failed`];
+      if (count('new') > 0) counts.push(`${count('new')} new`);
+      if (count('error') > 0) counts.push(`${count('error')} with errors`);
+      this.statusElement.textContent = `${counts.join(', ')} at ${this.lastRunDate.toLocaleTimeString()}`;
+    } else {
+      this.statusElement.textContent = '';
+    }
+  }
+
+  render() {
+    this.renderStatus();
+
+    this.errorElement.textContent = '';
+    this.errorElement.style.display = this.error !== null ? '' : 'none';
+    if (this.error !== null) {
+      this.errorElement.append(
+        createElement('div', 'fudomo-preview-error-heading text-error', 'Error running the tests'),
+        createElement('pre', null, this.error.message)
+      );
+    }
+
+    this.resultsElement.textContent = '';
+    if (this.suite !== null && this.suite.cases.length === 0) {
+      this.resultsElement.append(createElement('span', 'text-subtle', `"${path.basename(this.testFilePath)}" has no tests.`));
+    }
+    for (const result of this.results) {
+      this.resultsElement.append(this.createResultElement(result));
+    }
+  }
+
+  createResultElement(result) {
+    const testCase = result.testCase;
+    const element = createElement('div', 'fudomo-tests-result');
+    const header = createElement('div', 'fudomo-tests-result-header');
+    header.append(
+      createElement('span', 'icon ' + STATUS_ICONS[result.status]),
+      createElement('span', 'fudomo-tests-result-name', testCase.name),
+      ' ',
+      createLocationLink(this.suite.path, testCase.position, 'text-subtle')
+    );
+    if (result.status === 'failed' || result.status === 'new') {
+      const acceptButton = createElement('button', 'btn btn-xs', 'Accept New Output');
+      acceptButton.onclick = () => this.accept([result]);
+      header.append(acceptButton);
+    }
+    element.append(header);
+
+    if (result.status === 'error') {
+      const errorElement = createElement('div', 'fudomo-preview-error');
+      renderTransformError(errorElement, result.error, this.suite.config.path);
+      element.append(errorElement);
+    } else if (result.status === 'new') {
+      const details = createElement('div', 'fudomo-tests-details text-subtle', 'No expected output yet: ');
+      details.append(createLocationLink(testCase.expectedPath, null));
+      element.append(details);
+    }
+
+    for (const diff of result.status === 'failed' ? result.diffs : []) {
+      const diffElement = createElement('div', 'fudomo-tests-diff');
+      diffElement.append(createLocationLink(diff.path, null));
+      const hunksElement = createElement('pre');
+      if (diff.onlyWhitespace) {
+        hunksElement.append(createElement('span', 'text-subtle', 'The result differs only in the final newline.'));
+      } else {
+        renderDiff(hunksElement, diff.hunks);
+      }
+      diffElement.append(hunksElement);
+      element.append(diffElement);
+    }
+    return element;
+  }
+}
@@ -0,0 +1,216 @@
+'use babel';
+
+import { Emitter } from 'atom'
+import path from 'path'
+
+import { runTransformationConfigFile } from './core/pipeline'
+import { CancellationToken } from './core/cancellation'
+import { TransformationTrace, formatValue } from './core/trace'
+import { openSourceLocation } from './source-links'
+import { createElement, renderTransformError } from './view-helpers'
+
+export const TRACE_URI_PREFIX = 'atom://language-fudomo/trace/';
+
+function createSourceLink(text, location, className) {
+  const link = createElement('a', className, text);
+  link.href = '#';
+  link.onclick = event => {
+    event.stopPropagation(); // Do not toggle the tree item
+    openSourceLocation(location.path, location.range);
+  };
+  return link;
+}
+
+/* Dock item showing the decomposition function calls of a run of the transformation of
+   a .config file as a collapsible tree. The result is not written to the output file.
+*/
+export default class TraceView {
+  constructor(configPath) {
+    this.configPath = configPath;
+    this.emitter = new Emitter();
+    this.trace = null;
+    this.error = null;
+    this.running = false;
+    this.cancellationToken = null;
+
+    this.element = createElement('div', 'fudomo-trace native-key-bindings');
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement('div', 'fudomo-preview-toolbar btn-toolbar');
+    const runButton = createElement('button', 'btn icon icon-sync', 'Run Again');
+    runButton.onclick = () => this.refresh();
+    this.exportButton = createElement('button', 'btn icon icon-file-code', 'Export JSON');
+    this.exportButton.onclick = () => this.exportJSON();
+    this.statusElement = createElement('span', 'fudomo-preview-status text-subtle');
+    toolbar.append(runButton, this.exportButton, this.statusElement);
+
+    this.errorElement = createElement('div', 'fudomo-preview-error');
+    this.treeElement = createElement('ul', 'fudomo-trace-tree list-tree has-collapsable-children');
+
+    this.element.append(toolbar, this.errorElement, this.treeElement);
+    this.render();
+    this.refresh();
+  }
+
+  getTitle() {
+    return `Fudomo Trace: ${path.basename(this.configPath)}`;
+  }
+
+  getIconName() {
+    return 'list-unordered';
+  }
+
+  getURI() {
+    return TRACE_URI_PREFIX + encodeURIComponent(this.configPath);
+  }
+
+  getDefaultLocation() {
+    return 'bottom';
+  }
+
+  getAllowedLocations() {
+    return ['left', 'right', 'bottom', 'center'];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  destroy() {
+    if (this.cancellationToken !== null) this.cancellationToken.cancel();
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+    this.element.remove();
+  }
+
+  async refresh() {
+    if (this.cancellationToken !== null) this.cancellationToken.cancel();
+    const cancellationToken = new CancellationToken();
+    this.cancellationToken = cancellationToken;
+    this.running = true;
+    this.renderStatus();
+
+    const trace = new TransformationTrace();
+    const ignoreOutput = () => {};
+    let error = null;
+    try {
+      await runTransformationConfigFile(this.configPath, {
+        consoleHandler: { log: ignoreOutput, error: ignoreOutput },
+        writeOutput: false,
+        cancellationToken: cancellationToken,
+        trace: trace
+      });
+    } catch (runError) {
+      error = runError;
+    }
+
+    if (cancellationToken.isCancelled) return; // A newer run was started in the meantime, or the view was destroyed
+
+    this.running = false;
+    this.lastRunDate = new Date();
+    this.trace = trace;
+    this.error = error;
+    this.render();
+  }
+
+  // Opens the trace as JSON in an editor for a (not yet saved) file next to the config file.
+  async exportJSON() {
+    if (this.trace === null) return;
+    const jsonPath = path.join(path.dirname(this.configPath), path.basename(this.configPath, path.extname(this.configPath)) + '.trace.json');
+    const editor = await atom.workspace.open(jsonPath);
+    editor.setText(JSON.stringify(this.trace, null, 2) + '\n');
+  }
+
+  renderStatus() {
+    this.exportButton.disabled = this.running || this.trace === null;
+    if (this.running) {
+      this.statusElement.textContent = 'Running transformation...';
+    } else if (this.lastRunDate) {
+      const outcome = this.error === null ? 'Traced' : 'Failed after';
+      this.statusElement.textContent = `${outcome} ${this.trace.callCount} calls at ${this.lastRunDate.toLocaleTimeString()}`;
+    } else {
+      this.statusElement.textContent = '';
+    }
+  }
+
+  render() {
+    this.renderStatus();
+
+    this.errorElement.textContent = '';
+    this.errorElement.style.display = this.error !== null ? '' : 'none';
+    if (this.error !== null) {
+      renderTransformError(this.errorElement, this.error, this.configPath);
+    }
+
+    this.treeElement.textContent = '';
+    if (this.trace === null) return;
+    for (const call of this.trace.calls) {
+      this.treeElement.append(this.createCallElement(call, true));
+    }
+  }
+
+  // The items of calls are only created when they are expanded, as traces can contain many calls.
+  createCallElement(call, expanded = false) {
+    const label = createElement('span', 'icon ' + (call.status === 'failed' ? 'icon-x text-error' : 'icon-code'));
+    if (call.decomposition !== null) {
+      label.append(createSourceLink(call.name, call.decomposition, 'fudomo-trace-decomposition'));
+    } else {
+      label.append(createElement('span', 'fudomo-trace-decomposition', call.name));
+    }
+    if (call.object !== null) {
+      label.append(' on ');
+      const objectName = call.object.id !== null ? `${call.object.type} ${call.object.id}` : call.object.type;
+      if (call.object.path !== null && call.object.range !== null) {
+        label.append(createSourceLink(objectName, call.object, 'fudomo-trace-object'));
+      } else {
+        label.append(createElement('span', 'fudomo-trace-object', objectName));
+      }
+    }
+    if (call.status === 'returned') {
+      const result = createElement('span', 'fudomo-trace-result text-subtle', ` → ${formatValue(call.result)}`);
+      result.title = JSON.stringify(call.result, null, 2);
+      label.append(result);
+    } else if (call.error !== null) {
+      label.append(createElement('span', 'fudomo-trace-result text-error', ` ✗ ${call.error}`));
+    }
+
+    if (call.parameters.length === 0 && call.children.length === 0) {
+      const leaf = createElement('li', 'list-item fudomo-trace-call');
+      leaf.append(label);
+      return leaf;
+    }
+
+    const item = createElement('li', 'list-nested-item fudomo-trace-call');
+    const header = createElement('div', 'list-item');
+    header.append(label);
+    item.append(header);
+
+    let children = null;
+    const setExpanded = value => {
+      item.classList.toggle('collapsed', !value);
+      if (value && children === null) {
+        children = createElement('ul', 'list-tree');
+        for (const parameter of call.parameters) {
+          const parameterItem = createElement('li', 'list-item fudomo-trace-parameter');
+          parameterItem.append(
+            createElement('span', 'fudomo-trace-parameter-name', parameter.name),
+            createElement('span', 'text-subtle', ` = ${formatValue(parameter.value)}`)
+          );
+          parameterItem.title = JSON.stringify(parameter.value, null, 2);
+          children.append(parameterItem);
+        }
+        for (const child of call.children) {
+          children.append(this.createCallElement(child));
+        }
+        item.append(children);
+      }
+    };
+    header.onclick = () => setExpanded(item.classList.contains('collapsed'));
+    setExpanded(expanded);
+    return item;
+  }
+}
@@ -0,0 +1,246 @@
+'use babel';
+
+import { Emitter } from 'atom'
+import fs from 'fs'
+
+import { CONFIG_FILE_EXTENSION } from './core/config'
+import { findConfigFiles, isFudomoConfigFile, validateConfigFile } from './core/project-validation'
+import { createElement, createLocationLink } from './view-helpers'
+
+export const VALIDATION_DASHBOARD_URI = 'atom://language-fudomo/validation-dashboard';
+
+const STATUS_ICONS = {
+  passed: 'icon-check text-success',
+  failed: 'icon-x text-error',
+  error: 'icon-alert text-error',
+  skipped: 'icon-dash text-subtle',
+  pending: 'icon-clock text-subtle'
+};
+
+const SEVERITY_ICONS = {
+  error: 'icon-x text-error',
+  warning: 'icon-alert text-warning',
+  info: 'icon-info text-info'
+};
+
+/* Pane item showing the results of the transformation, data and function validation of all
+   .config files of the open projects (see validateConfigFile). The configs are validated one
+   after the other; when files change, only the configs depending on them are validated again
+   (see handleChangedPaths).
+*/
+export default class ValidationDashboardView {
+  constructor(configDependencies) {
+    this.configDependencies = configDependencies;
+    this.emitter = new Emitter();
+    this.results = new Map(); // key is config path, value is the latest result of validateConfigFile (null before the first one)
+    this.queue = new Set(); // config paths waiting to be validated
+    this.validating = null; // config path being validated
+    this.expanded = new Set(); // config paths whose details are shown (toggled by the user)
+    this.destroyed = false;
+    this.lastRunDate = null;
+
+    this.element = createElement('div', 'fudomo-validation native-key-bindings');
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement('div', 'fudomo-preview-toolbar btn-toolbar');
+    const validateButton = createElement('button', 'btn icon icon-sync', 'Validate All');
+    validateButton.onclick = () => this.refresh();
+    const label = createElement('label', 'input-label');
+    this.hidePassedCheckbox = createElement('input', 'input-checkbox');
+    this.hidePassedCheckbox.type = 'checkbox';
+    this.hidePassedCheckbox.onchange = () => this.render();
+    label.append(this.hidePassedCheckbox, ' Hide passed');
+    this.statusElement = createElement('span', 'fudomo-preview-status text-subtle');
+    toolbar.append(validateButton, label, this.statusElement);
+
+    this.resultsElement = createElement('div', 'fudomo-validation-results');
+    this.element.append(toolbar, this.resultsElement);
+    this.render();
+    this.refresh();
+  }
+
+  getTitle() {
+    return 'Fudomo Validation';
+  }
+
+  getIconName() {
+    return 'checklist';
+  }
+
+  getURI() {
+    return VALIDATION_DASHBOARD_URI;
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.queue.clear();
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+    this.element.remove();
+  }
+
+  // Searches the open projects for .config files again and validates all of them.
+  async refresh() {
+    this.statusElement.textContent = 'Searching .config files...';
+    const configPaths = [].concat(...await Promise.all(atom.project.getPaths().map(findConfigFiles)));
+    if (this.destroyed) return;
+    // Previous results stay visible until the config is validated again
+    this.results = new Map(configPaths.map(configPath => [configPath, this.results.get(configPath) || null]));
+    this.validate(configPaths);
+  }
+
+  /* Validates the configs affected by a change of the files at changedPaths (which include
+     deleted files): configs depending on a changed file, and new configs. Deleted configs
+     are removed.
+  */
+  async handleChangedPaths(changedPaths) {
+    const affected = [];
+    for (const configPath of Array.from(this.results.keys())) {
+      if (!fs.existsSync(configPath)) {
+        this.results.delete(configPath);
+        this.queue.delete(configPath);
+        continue;
+      }
+      let affectedConfig = changedPaths.has(configPath);
+      if (!affectedConfig) {
+        try {
+          const dependencyPaths = await this.configDependencies.get(configPath);
+          affectedConfig = Array.from(changedPaths).some(changedPath => dependencyPaths.has(changedPath));
+        } catch (error) {
+          // The config is broken, which is shown when it is validated after a change of the config itself
+        }
+      }
+      if (affectedConfig) affected.push(configPath);
+    }
+    for (const changedPath of changedPaths) {
+      if (changedPath.endsWith('.' + CONFIG_FILE_EXTENSION) && !this.results.has(changedPath) &&
+          atom.project.relativizePath(changedPath)[0] !== null && await isFudomoConfigFile(changedPath)) {
+        this.results.set(changedPath, null);
+        affected.push(changedPath);
+      }
+    }
+    if (this.destroyed) return;
+    this.results = new Map(Array.from(this.results).sort((a, b) => a[0].localeCompare(b[0])));
+    this.validate(affected);
+    this.render();
+  }
+
+  // Adds the configs to the queue, and validates the queued configs one after the other.
+  async validate(configPaths) {
+    configPaths.forEach(configPath => this.queue.add(configPath));
+    this.render();
+    if (this.validating !== null) return; // The running loop takes the new configs
+
+    const ignoreOutput = () => {};
+    while (this.queue.size > 0 && !this.destroyed) {
+      const configPath = this.queue.values().next().value;
+      this.queue.delete(configPath);
+      this.validating = configPath;
+      this.renderStatus();
+      const result = await validateConfigFile(configPath, { log: ignoreOutput, error: ignoreOutput });
+      if (this.results.has(configPath)) {
+        this.results.set(configPath, result); // Not if the config was deleted in the meantime
+      }
+      this.validating = null;
+      if (!this.destroyed) this.render();
+    }
+    this.lastRunDate = new Date();
+    if (!this.destroyed) this.renderStatus();
+  }
+
+  renderStatus() {
+    const results = Array.from(this.results.values()).filter(result => result !== null);
+    const count = status => results.filter(result => result.status === status).length;
+    if (this.validating !== null) {
+      this.statusElement.textContent = `Validating ${atom.project.relativizePath(this.validating)[1]} (${this.queue.size} more queued)...`;
+    } else if (this.lastRunDate !== null) {
+      const counts = [`${count('passed')} passed`, `${count('failed')} failed`];
+      if (count('error') > 0) counts.push(`${count('error')} with errors`);
+      this.statusElement.textContent = `${this.results.size} configs: ${counts.join(', ')} at ${this.lastRunDate.toLocaleTimeString()}`;
+    } else {
+      this.statusElement.textContent = '';
+    }
+  }
+
+  render() {
+    this.renderStatus();
+    this.resultsElement.textContent = '';
+    if (this.lastRunDate !== null && this.results.size === 0) {
+      this.resultsElement.append(createElement('span', 'text-subtle', 'The open projects have no Fudomo .config files.'));
+    }
+    for (const [configPath, result] of this.results) {
+      if (this.hidePassedCheckbox.checked && result !== null && result.status === 'passed' && !this.queue.has(configPath)) continue;
+      this.resultsElement.append(this.createConfigElement(configPath, result));
+    }
+  }
+
+  createConfigElement(configPath, result) {
+    const isQueued = this.queue.has(configPath) || this.validating === configPath;
+    const status = result !== null ? result.status : 'pending';
+    const element = createElement('div', 'fudomo-validation-config');
+    element.classList.toggle('fudomo-preview-stale', isQueued && result !== null);
+
+    const header = createElement('div', 'fudomo-validation-config-header');
+    const isExpanded = this.expanded.has(configPath) !== (status === 'failed' || status === 'error'); // Failed configs are expanded by default
+    const toggle = createElement('span', 'fudomo-validation-toggle icon ' + (isExpanded ? 'icon-chevron-down' : 'icon-chevron-right'));
+    toggle.onclick = () => {
+      if (this.expanded.has(configPath)) {
+        this.expanded.delete(configPath);
+      } else {
+        this.expanded.add(configPath);
+      }
+      this.render();
+    };
+    header.append(toggle, createElement('span', 'icon ' + STATUS_ICONS[status]), createLocationLink(configPath, null));
+    for (const check of result !== null ? result.checks : []) {
+      const errorCount = check.messages.filter(message => message.severity === 'error').length;
+      const text = errorCount > 0 ? `${check.name} (${errorCount})` : check.name;
+      header.append(createElement('span', 'fudomo-validation-check inline-block icon ' + STATUS_ICONS[check.status], text));
+    }
+    if (isQueued) {
+      header.append(createElement('span', 'text-subtle', this.validating === configPath ? 'Validating...' : 'Queued'));
+    }
+    element.append(header);
+
+    if (isExpanded && result !== null) {
+      const details = createElement('div', 'fudomo-validation-details');
+      if (result.error !== null) {
+        details.append(createElement('pre', 'text-error', result.error.message));
+      }
+      for (const check of result.checks) {
+        details.append(this.createCheckElement(check));
+      }
+      element.append(details);
+    }
+    return element;
+  }
+
+  createCheckElement(check) {
+    const element = createElement('div', 'fudomo-validation-check-details');
+    element.append(createElement('div', 'fudomo-validation-check-name icon ' + STATUS_ICONS[check.status], check.name));
+    if (check.status === 'skipped') {
+      element.append(createElement('div', 'fudomo-validation-message text-subtle', `Skipped: the config does not specify ${check.missingKeys.join(' and ')}.`));
+    } else if (check.status === 'error') {
+      element.append(createElement('pre', 'fudomo-validation-message text-error', check.error.message));
+    }
+    for (const message of check.messages) {
+      const messageElement = createElement('div', 'fudomo-validation-message');
+      messageElement.append(
+        createElement('span', 'icon ' + (SEVERITY_ICONS[message.severity] || SEVERITY_ICONS.error)),
+        createLocationLink(message.location.file, message.location.position),
+        ' ',
+        createElement('span', null, message.excerpt)
+      );
+      element.append(messageElement);
+    }
+    return element;
+  }
+}
@@ -0,0 +1,81 @@
+'use babel';
+
+import { FudomoComputeException } from 'fudomo-transform'
+
+import { PhaseError, DecompositionSyntaxError } from './core/pipeline'
+import { openSourceLocation, handleExceptionSourceLinks } from './source-links'
+
+export function createElement(tagName, className = null, textContent = null) {
+  const element = document.createElement(tagName);
+  if (className !== null) element.className = className;
+  if (textContent !== null) element.textContent = textContent;
+  return element;
+}
+
+// Creates a link showing the project relative path (and the position) of file that opens the file at position.
+export function createLocationLink(file, position, className = null) {
+  const link = createElement('a', className);
+  link.href = '#';
+  const relativePath = atom.project.relativizePath(file)[1];
+  link.textContent = position !== null ? `${relativePath}:${position[0][0] + 1}:${position[0][1] + 1}` : relativePath;
+  link.onclick = () => {
+    if (position !== null) {
+      openSourceLocation(file, position);
+    } else {
+      atom.workspace.open(file);
+    }
+  };
+  return link;
+}
+
+// Appends the hunks of a line diff (see core/diff) to container.
+export function renderDiff(container, hunks) {
+  const prefixes = { equal: '  ', removed: '- ', added: '+ ' };
+  for (const hunk of hunks) {
+    const hunkElement = createElement('div', `fudomo-diff-${hunk.kind}`);
+    hunkElement.textContent = hunk.lines.map(line => prefixes[hunk.kind] + line).join('\n');
+    container.append(hunkElement);
+  }
+}
+
+// Creates an entry showing message, with a link opening the file at the given position.
+function createLocationEntry(file, position, message) {
+  const entry = createElement('div', 'fudomo-preview-error-entry');
+  entry.append(createLocationLink(file, position), createElement('pre', null, message));
+  return entry;
+}
+
+/* Appends the description of an error of a transformation run of the config file to
+   container. Source locations mentioned by the error are shown as links.
+*/
+export function renderTransformError(container, error, configPath) {
+  let phase = null;
+  if (error instanceof PhaseError) {
+    phase = error.phase;
+    error = error.cause;
+  }
+
+  const heading = createElement('div', 'fudomo-preview-error-heading text-error');
+  heading.textContent = phase !== null ? `Error while ${phase.activity}` : 'Error running Fudomo transformation';
+  container.append(heading);
+
+  if (error instanceof FudomoComputeException) {
+    const projectPath = atom.project.relativizePath(configPath)[0];
+    const stack = createElement('div');
+    stack.innerHTML = error.toHtml(projectPath); // toHtml escapes all content
+    container.append(createElement('div', null, error.message), stack);
+    handleExceptionSourceLinks(stack.querySelectorAll('a.fudomo-exception-source-link'));
+  } else if (error instanceof DecompositionSyntaxError) {
+    for (const syntaxError of error.errors) {
+      container.append(createLocationEntry(error.decompositionPath, syntaxError.position, syntaxError.excerpt));
+    }
+  } else if (error.markers !== undefined) { // OYAML parsing errors
+    for (const marker of error.markers) {
+      container.append(createLocationEntry(phase !== null ? phase.openablePath : configPath, marker.location, marker.message));
+    }
+  } else if (phase !== null && phase.openablePath !== null) {
+    container.append(createLocationEntry(phase.openablePath, null, error.message));
+  } else {
+    container.append(createElement('pre', null, error.message));
+  }
+}